@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CapacityPlan = sequelize.define('CapacityPlan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Monday of the first planned week',
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    channel_ids: {
+      type: DataTypes.JSON,
+      comment: 'Channels planned for; empty means every active channel',
+      defaultValue: [],
+    },
+    // Inputs
+    assumptions: {
+      type: DataTypes.JSON,
+      comment: 'Attrition, shrinkage, ramp, lead time and overtime assumptions used',
+      defaultValue: {},
+    },
+    // Outputs
+    weekly: {
+      type: DataTypes.JSON,
+      comment: 'Per-week requirement, supply, hiring and overtime plan',
+      defaultValue: [],
+    },
+    monthly: {
+      type: DataTypes.JSON,
+      comment: 'Weekly plan rolled up by calendar month',
+      defaultValue: [],
+    },
+    summary: {
+      type: DataTypes.JSON,
+      defaultValue: {},
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'final'),
+      defaultValue: 'draft',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['start_date'],
+      },
+      {
+        fields: ['status'],
+      },
+    ],
+  });
+
+  return CapacityPlan;
+};
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const moment = require('moment-timezone');
 
 module.exports = (sequelize) => {
   const Channel = sequelize.define('Channel', {
@@ -75,7 +76,24 @@ module.exports = (sequelize) => {
     },
     timezone: {
       type: DataTypes.STRING,
-      defaultValue: 'America/New_York',
+      comment: 'IANA timezone of the operating hours and of forecast dates and hours',
+      // The deployment's timezone (Asia/Singapore in env.example) for new channels
+      defaultValue: process.env.DEFAULT_TIMEZONE || 'America/New_York',
+      validate: {
+        isKnownTimezone(value) {
+          if (!moment.tz.zone(value)) {
+            throw new Error(`Unknown timezone "${value}"`);
+          }
+        },
+      },
+    },
+    interval_minutes: {
+      type: DataTypes.INTEGER,
+      comment: 'Length of forecasting and staffing intervals in minutes',
+      defaultValue: 60,
+      validate: {
+        isIn: [[15, 30, 60]],
+      },
     },
     // Scheduling preferences
     min_staffing_level: {
@@ -119,6 +137,8 @@ module.exports = (sequelize) => {
                 queue_timeout: 300,
                 overflow_action: 'voicemail',
                 call_recording: true,
+                staffing_model: 'erlang_c', // 'erlang_a' to staff for abandonment
+                average_patience: 180, // seconds
               };
               break;
             case 'voice_outbound':
@@ -133,6 +153,7 @@ module.exports = (sequelize) => {
                 auto_response: true,
                 priority_keywords: ['urgent', 'escalate'],
                 max_response_time: 4, // hours
+                staffing_model: 'backlog',
               };
               channel.max_concurrent_interactions = 5;
               break;
@@ -141,9 +162,18 @@ module.exports = (sequelize) => {
                 proactive_chat: false,
                 chat_timeout: 600,
                 auto_translation: false,
+                staffing_model: 'erlang_c', // 'erlang_a' to staff for abandonment
+                average_patience: 300, // seconds
+                concurrency_handle_time_penalty: 0.15, // AHT increase per extra session
               };
               channel.max_concurrent_interactions = 3;
               break;
+            case 'social_media':
+              channel.configuration = {
+                max_response_time: 2, // hours
+                staffing_model: 'backlog',
+              };
+              break;
             default:
               channel.configuration = {};
           }
@@ -158,18 +188,17 @@ module.exports = (sequelize) => {
   };
 
   Channel.prototype.isOperatingHour = function(time) {
-    // Simple time check - could be enhanced with timezone support
-    const currentTime = new Date(time).toTimeString().slice(0, 8);
-    return currentTime >= this.operating_hours_start && currentTime <= this.operating_hours_end;
+    // Read the time on the channel's clock (required lazily to avoid a cycle)
+    const ForecastService = require('../services/ForecastService');
+    const local = ForecastService.getLocalNow(this, time);
+    return ForecastService.isOpenDuring(this, local.hours() * 60 + local.minutes(), 1);
   };
 
   Channel.prototype.calculateRequiredStaff = function(forecastVolume) {
-    // Basic Erlang C calculation simplified
-    const workload = (forecastVolume * this.average_handle_time) / 60; // Convert to hours
-    const shrinkageAdjusted = workload / (1 - this.shrinkage_factor);
-    const buffered = shrinkageAdjusted * (1 + this.preferred_staffing_buffer);
-    
-    return Math.max(Math.ceil(buffered), this.min_staffing_level);
+    // Share the staffing models used by forecasting (required lazily to avoid a cycle);
+    // the optimal figure keeps preferred_staffing_buffer on top of the queueing result
+    const ForecastService = require('../services/ForecastService');
+    return ForecastService.calculateRequiredAgents({ volume: forecastVolume }, this).optimal;
   };
 
   return Channel;
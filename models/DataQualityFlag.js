@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DataQualityFlag = sequelize.define('DataQualityFlag', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Scope
+    flag_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    flag_hour: {
+      type: DataTypes.INTEGER,
+      comment: 'Hour of actuals flagged; null flags the whole day',
+    },
+    // Finding
+    issue: {
+      type: DataTypes.ENUM('outlier_high', 'outlier_low', 'manual'),
+      allowNull: false,
+    },
+    original_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Actual volume when flagged',
+    },
+    expected_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Median of the same weekday and hour the actual was compared with',
+    },
+    score: {
+      type: DataTypes.DECIMAL(8, 2),
+      comment: 'Robust z-score of the actual against the expected volume',
+    },
+    // Decision
+    action: {
+      type: DataTypes.ENUM('exclude', 'replace'),
+      comment: 'What forecasting does with the actual once applied',
+    },
+    replacement_volume: {
+      type: DataTypes.INTEGER,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+    },
+    status: {
+      type: DataTypes.ENUM('suggested', 'applied', 'dismissed', 'revoked'),
+      defaultValue: 'suggested',
+    },
+    detected_at: {
+      type: DataTypes.DATE,
+    },
+    decided_by: {
+      type: DataTypes.UUID,
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+    },
+    revoked_by: {
+      type: DataTypes.UUID,
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['channel_id', 'flag_date'],
+      },
+      {
+        fields: ['status'],
+      },
+    ],
+  });
+
+  return DataQualityFlag;
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DemandDriver = sequelize.define('DemandDriver', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Business driver, e.g. invoices_sent, orders_shipped, active_subscribers',
+    },
+    // Scope; a null channel applies the value to every channel
+    driver_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    driver_hour: {
+      type: DataTypes.INTEGER,
+      comment: 'Hour the value applies to; null for a daily value',
+      validate: {
+        min: 0,
+        max: 23,
+      },
+    },
+    value: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+    },
+    source: {
+      type: DataTypes.STRING,
+      defaultValue: 'api',
+    },
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['name', 'channel_id', 'driver_date', 'driver_hour'],
+        name: 'unique_demand_driver_value',
+      },
+      {
+        fields: ['driver_date'],
+      },
+    ],
+  });
+
+  return DemandDriver;
+};
@@ -21,24 +21,43 @@ module.exports = (sequelize) => {
         max: 23,
       },
     },
+    forecast_minute: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Minute within the hour the interval starts (0 for hourly intervals)',
+      validate: {
+        min: 0,
+        max: 59,
+      },
+    },
+    interval_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60,
+      comment: 'Length of the interval in minutes (15, 30 or 60)',
+      validate: {
+        isIn: [[15, 30, 60]],
+      },
+    },
     timezone: {
       type: DataTypes.STRING,
       defaultValue: 'America/New_York',
     },
     // Forecast type and methodology
     forecast_type: {
-      type: DataTypes.ENUM('hourly', 'daily', 'weekly', 'monthly'),
+      type: DataTypes.ENUM('interval', 'hourly', 'daily', 'weekly', 'monthly'),
       defaultValue: 'hourly',
     },
     forecast_method: {
-      type: DataTypes.ENUM('historical_average', 'trend_analysis', 'seasonal_decomposition', 'machine_learning', 'manual'),
+      type: DataTypes.ENUM('historical_average', 'trend_analysis', 'seasonal_decomposition', 'holt_winters', 'driver_regression', 'machine_learning', 'manual'),
       defaultValue: 'historical_average',
     },
     // Volume predictions
     predicted_volume: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      comment: 'Predicted number of interactions',
+      allowNull: true,
+      comment: 'Predicted number of interactions (null for actual-only rows)',
     },
     confidence_level: {
       type: DataTypes.DECIMAL(5, 4),
@@ -58,6 +77,19 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       comment: 'Maximum expected volume (upper bound)',
     },
+    // Empirical prediction interval from backtested forecast errors
+    p10_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Volume actuals fall below 10% of the time',
+    },
+    p50_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Median volume',
+    },
+    p90_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Volume actuals fall below 90% of the time',
+    },
     // Staffing requirements
     required_agents: {
       type: DataTypes.INTEGER,
@@ -71,6 +103,18 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       comment: 'Minimum number of agents required',
     },
+    required_agents_p10: {
+      type: DataTypes.INTEGER,
+      comment: 'Required agents if volume comes in at P10',
+    },
+    required_agents_p50: {
+      type: DataTypes.INTEGER,
+      comment: 'Required agents if volume comes in at P50',
+    },
+    required_agents_p90: {
+      type: DataTypes.INTEGER,
+      comment: 'Required agents if volume comes in at P90',
+    },
     // Service level predictions
     predicted_service_level: {
       type: DataTypes.DECIMAL(5, 4),
@@ -80,6 +124,14 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 2),
       comment: 'Predicted average wait time in seconds',
     },
+    predicted_occupancy: {
+      type: DataTypes.DECIMAL(5, 4),
+      comment: 'Predicted agent occupancy at the required staffing level',
+    },
+    predicted_wait_probability: {
+      type: DataTypes.DECIMAL(5, 4),
+      comment: 'Predicted probability that a contact waits in queue (Erlang C)',
+    },
     predicted_abandonment_rate: {
       type: DataTypes.DECIMAL(5, 4),
       comment: 'Predicted abandonment rate',
@@ -116,6 +168,18 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       comment: 'Actual volume observed',
     },
+    actual_handled_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Actual interactions handled',
+    },
+    actual_abandoned_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Actual interactions abandoned',
+    },
+    actual_average_handle_time: {
+      type: DataTypes.DECIMAL(10, 2),
+      comment: 'Actual average handle time in minutes',
+    },
     actual_service_level: {
       type: DataTypes.DECIMAL(5, 4),
       comment: 'Actual service level achieved',
@@ -128,6 +192,14 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       comment: 'Actual number of agents available',
     },
+    actuals_source: {
+      type: DataTypes.STRING,
+      comment: 'Where the actuals came from (api, cli, seed)',
+    },
+    actuals_updated_at: {
+      type: DataTypes.DATE,
+      comment: 'When actuals were last ingested',
+    },
     // Accuracy metrics
     forecast_accuracy: {
       type: DataTypes.DECIMAL(5, 4),
@@ -146,6 +218,35 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('draft', 'generated', 'reviewed', 'approved', 'published', 'archived'),
       defaultValue: 'generated',
     },
+    reviewed_by: {
+      type: DataTypes.UUID,
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+    },
+    approved_by: {
+      type: DataTypes.UUID,
+    },
+    approved_at: {
+      type: DataTypes.DATE,
+    },
+    published_by: {
+      type: DataTypes.UUID,
+    },
+    published_at: {
+      type: DataTypes.DATE,
+    },
+    status_changed_by: {
+      type: DataTypes.UUID,
+      comment: 'User who made the last workflow transition',
+    },
+    status_changed_at: {
+      type: DataTypes.DATE,
+    },
+    status_comment: {
+      type: DataTypes.TEXT,
+      comment: 'Comment given with the last workflow transition',
+    },
     is_manual_override: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
@@ -153,7 +254,19 @@ module.exports = (sequelize) => {
     override_reason: {
       type: DataTypes.TEXT,
     },
+    override_id: {
+      type: DataTypes.UUID,
+      comment: 'Bulk override that last changed this interval',
+    },
+    baseline_volume: {
+      type: DataTypes.INTEGER,
+      comment: 'Generated volume before manual overrides',
+    },
     // Metadata
+    version: {
+      type: DataTypes.INTEGER,
+      comment: 'Forecast version this interval was last written from',
+    },
     model_version: {
       type: DataTypes.STRING,
       comment: 'Version of the forecasting model used',
@@ -193,26 +306,20 @@ module.exports = (sequelize) => {
       },
       {
         unique: true,
-        fields: ['channel_id', 'skill_id', 'forecast_date', 'forecast_hour'],
+        fields: ['channel_id', 'skill_id', 'forecast_date', 'forecast_hour', 'forecast_minute'],
         name: 'unique_forecast_period',
       },
     ],
     hooks: {
       beforeValidate: (forecast) => {
-        // Calculate bounds if not provided
-        if (forecast.predicted_volume && !forecast.min_volume) {
-          forecast.min_volume = Math.max(0, Math.floor(forecast.predicted_volume * 0.7));
-        }
-        if (forecast.predicted_volume && !forecast.max_volume) {
-          forecast.max_volume = Math.ceil(forecast.predicted_volume * 1.3);
-        }
-        
         // Set default confidence level based on method
         if (!forecast.confidence_level) {
           switch (forecast.forecast_method) {
             case 'machine_learning':
               forecast.confidence_level = 0.85;
               break;
+            case 'holt_winters':
+            case 'driver_regression':
             case 'seasonal_decomposition':
               forecast.confidence_level = 0.80;
               break;
@@ -267,7 +374,7 @@ module.exports = (sequelize) => {
         forecast_date: date,
         status: ['published', 'approved'],
       },
-      order: [['forecast_hour', 'ASC']],
+      order: [['forecast_hour', 'ASC'], ['forecast_minute', 'ASC']],
     });
   };
 
@@ -293,6 +400,11 @@ module.exports = (sequelize) => {
   };
 
   // Instance methods
+  Forecast.prototype.getIntervalStart = function() {
+    const minute = this.forecast_minute || 0;
+    return `${String(this.forecast_hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  };
+
   Forecast.prototype.isAccurate = function(threshold = 0.80) {
     return this.forecast_accuracy >= threshold;
   };
@@ -305,11 +417,20 @@ module.exports = (sequelize) => {
   };
 
   Forecast.prototype.isWithinRange = function() {
-    if (!this.actual_volume) return null;
+    if (!this.actual_volume || this.min_volume === null || this.max_volume === null) return null;
     
     return this.actual_volume >= this.min_volume && this.actual_volume <= this.max_volume;
   };
 
+  /**
+   * Required agents when staffing to a percentile of the volume forecast
+   * ('p10', 'p50', 'p90'), or to the point forecast
+   */
+  Forecast.prototype.getRequiredAgents = function(percentile = 'point') {
+    const atPercentile = percentile === 'point' ? null : this[`required_agents_${percentile}`];
+    return atPercentile ?? this.required_agents ?? 0;
+  };
+
   Forecast.prototype.adjustForSpecialEvent = function(factor, reason) {
     this.special_event_factor = factor;
     this.predicted_volume = Math.round(this.predicted_volume * factor);
@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ForecastBacktest = sequelize.define('ForecastBacktest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    run_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Groups the results of one backtest run',
+    },
+    // What was evaluated
+    forecast_method: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    horizon_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Days between the forecast origin and the forecast date',
+    },
+    evaluation_start: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    evaluation_end: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    sample_size: {
+      type: DataTypes.INTEGER,
+      comment: 'Number of intervals with actuals that were scored',
+      defaultValue: 0,
+    },
+    // Accuracy metrics
+    mape: {
+      type: DataTypes.DECIMAL(10, 4),
+      comment: 'Mean absolute percentage error (intervals with actual volume > 0)',
+    },
+    wape: {
+      type: DataTypes.DECIMAL(10, 4),
+      comment: 'Weighted absolute percentage error (sum of errors / sum of actuals)',
+    },
+    bias: {
+      type: DataTypes.DECIMAL(10, 4),
+      comment: 'Signed error as share of actuals (positive = over-forecast)',
+    },
+    interval_coverage: {
+      type: DataTypes.DECIMAL(5, 4),
+      comment: 'Share of actuals that fell within the forecast min/max range',
+    },
+    error_quantiles: {
+      type: DataTypes.JSON,
+      comment: 'P10/P50/P90 of relative error (actual - predicted) / predicted, overall and by hour',
+    },
+    // Champion selection
+    is_champion: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    selection_reason: {
+      type: DataTypes.TEXT,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      comment: 'User ID who ran the backtest (null for scheduled runs)',
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['run_id'],
+      },
+      {
+        fields: ['channel_id', 'skill_id', 'is_champion'],
+      },
+      {
+        fields: ['forecast_method', 'horizon_days'],
+      },
+    ],
+  });
+
+  // Class methods
+  ForecastBacktest.getChampion = function(channelId, skillId = null) {
+    return this.findOne({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        is_champion: true,
+      },
+      order: [['created_at', 'DESC']],
+    });
+  };
+
+  /**
+   * Error quantiles of a method from the latest backtest run that scored it,
+   * at the horizon closest to the one asked for
+   */
+  ForecastBacktest.getErrorProfile = async function(channelId, skillId, method, horizon) {
+    const latest = await this.findOne({
+      where: { channel_id: channelId, skill_id: skillId, forecast_method: method },
+      order: [['created_at', 'DESC']],
+    });
+    if (!latest) return null;
+
+    const results = await this.findAll({
+      where: { run_id: latest.run_id, forecast_method: method },
+    });
+    const closest = results
+      .filter(r => r.error_quantiles)
+      .sort((a, b) => Math.abs(a.horizon_days - horizon) - Math.abs(b.horizon_days - horizon))[0];
+
+    return closest ? closest.error_quantiles : null;
+  };
+
+  ForecastBacktest.getRun = function(runId) {
+    return this.findAll({
+      where: { run_id: runId },
+      order: [['horizon_days', 'ASC'], ['wape', 'ASC']],
+    });
+  };
+
+  // Instance methods
+  ForecastBacktest.prototype.getAccuracy = function() {
+    if (this.wape === null || this.wape === undefined) return null;
+    return Math.max(0, 1 - this.wape);
+  };
+
+  return ForecastBacktest;
+};
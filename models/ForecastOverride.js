@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ForecastOverride = sequelize.define('ForecastOverride', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Scope
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    start_hour: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'First hour overridden (inclusive)',
+    },
+    end_hour: {
+      type: DataTypes.INTEGER,
+      defaultValue: 24,
+      comment: 'Hour the override stops at (exclusive)',
+    },
+    // Adjustment
+    adjustment_type: {
+      type: DataTypes.ENUM('percentage', 'absolute', 'shape'),
+      allowNull: false,
+    },
+    change: {
+      type: DataTypes.DECIMAL(10, 2),
+      comment: 'Percent change (10 = +10%) or contacts added per interval',
+    },
+    shape: {
+      type: DataTypes.JSON,
+      comment: 'Target share of the range volume per interval start ({ "09:00": 0.3, ... })',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    // Row values before and after, used to revert and to score the override
+    changes: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+    },
+    affected_intervals: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    status: {
+      type: DataTypes.ENUM('applied', 'reverted'),
+      defaultValue: 'applied',
+    },
+    applied_by: {
+      type: DataTypes.UUID,
+    },
+    reverted_by: {
+      type: DataTypes.UUID,
+    },
+    reverted_at: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['channel_id', 'start_date'],
+      },
+      {
+        fields: ['status'],
+      },
+    ],
+  });
+
+  return ForecastOverride;
+};
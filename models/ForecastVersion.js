@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ForecastVersion = sequelize.define('ForecastVersion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    forecast_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Version number per channel, skill and date, starting at 1',
+    },
+    forecast_method: {
+      type: DataTypes.STRING,
+    },
+    interval_minutes: {
+      type: DataTypes.INTEGER,
+      defaultValue: 60,
+    },
+    // Snapshot of every interval's forecast as generated
+    intervals: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
+    status: {
+      type: DataTypes.ENUM('applied', 'pending'),
+      defaultValue: 'applied',
+      comment: 'Pending versions were held back because the forecast is approved or published',
+    },
+    reason: {
+      type: DataTypes.STRING,
+      comment: 'Why the version was created (generation, intraday_update, manual_apply, ...)',
+    },
+    applied_at: {
+      type: DataTypes.DATE,
+    },
+    applied_by: {
+      type: DataTypes.UUID,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['channel_id', 'skill_id', 'forecast_date', 'version'],
+        name: 'unique_forecast_version',
+      },
+      {
+        fields: ['channel_id', 'forecast_date', 'created_at'],
+      },
+    ],
+  });
+
+  // Class methods
+  ForecastVersion.getLatest = function(channelId, skillId, date, options = {}) {
+    return this.findOne({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: date,
+      },
+      order: [['version', 'DESC']],
+      ...options,
+    });
+  };
+
+  // Instance methods
+  ForecastVersion.prototype.getInterval = function(start) {
+    return (this.intervals || []).find(interval => interval.start === start) || null;
+  };
+
+  return ForecastVersion;
+};
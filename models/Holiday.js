@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Holiday = sequelize.define('Holiday', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    holiday_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    // Volume impact
+    volume_factor: {
+      type: DataTypes.DECIMAL(8, 4),
+      comment: 'Volume multiplier on this date (0.3 = 70% reduction); null uses the calendar default',
+    },
+    factor_source: {
+      type: DataTypes.ENUM('default', 'manual', 'learned'),
+      defaultValue: 'default',
+    },
+    channel_factors: {
+      type: DataTypes.JSON,
+      comment: 'Learned volume factors per channel ID',
+      defaultValue: {},
+    },
+    // Import metadata
+    source: {
+      type: DataTypes.ENUM('manual', 'ics_import'),
+      defaultValue: 'manual',
+    },
+    external_uid: {
+      type: DataTypes.STRING,
+      comment: 'UID of the imported calendar event',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['holiday_calendar_id', 'holiday_date'],
+      },
+      {
+        unique: true,
+        fields: ['holiday_calendar_id', 'holiday_date', 'name'],
+        name: 'unique_calendar_holiday',
+      },
+    ],
+  });
+
+  // Instance methods
+  Holiday.prototype.getVolumeFactor = function(channelId = null, defaultFactor = 0.3) {
+    const channelFactors = this.channel_factors || {};
+    if (channelId && channelFactors[channelId] != null) {
+      return parseFloat(channelFactors[channelId]);
+    }
+    if (this.volume_factor != null) {
+      return parseFloat(this.volume_factor);
+    }
+    return parseFloat(defaultFactor);
+  };
+
+  return Holiday;
+};
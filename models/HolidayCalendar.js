@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HolidayCalendar = sequelize.define('HolidayCalendar', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    region: {
+      type: DataTypes.STRING,
+      comment: 'Country or region code the calendar covers (e.g. SG)',
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      defaultValue: 'Asia/Singapore',
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Site-wide calendar used by channels without their own calendar',
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    default_volume_factor: {
+      type: DataTypes.DECIMAL(8, 4),
+      comment: 'Volume factor for holidays without their own or a learned factor',
+      defaultValue: 0.3,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['name'],
+      },
+      {
+        fields: ['is_default'],
+      },
+    ],
+  });
+
+  // Class methods
+  HolidayCalendar.getDefault = function() {
+    return this.findOne({
+      where: { is_default: true, is_active: true },
+      order: [['created_at', 'ASC']],
+    });
+  };
+
+  return HolidayCalendar;
+};
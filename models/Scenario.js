@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Scenario = sequelize.define('Scenario', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    channel_ids: {
+      type: DataTypes.JSON,
+      comment: 'Channels cloned into the scenario; empty means every active channel',
+      defaultValue: [],
+    },
+    // Inputs
+    adjustments: {
+      type: DataTypes.JSON,
+      comment: 'Volume, AHT, shrinkage, service level and headcount changes, with per-channel overrides',
+      defaultValue: {},
+    },
+    generate_schedule: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Whether shifts are generated and simulated for the scenario',
+    },
+    // Outputs, kept on the scenario only
+    channels: {
+      type: DataTypes.JSON,
+      comment: 'Per channel: parameters used and interval volumes and staffing, baseline and scenario',
+      defaultValue: [],
+    },
+    summary: {
+      type: DataTypes.JSON,
+      comment: 'Baseline and scenario totals, and schedule results when generated',
+      defaultValue: {},
+    },
+    calculated_at: {
+      type: DataTypes.DATE,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['start_date'],
+      },
+      {
+        fields: ['created_by'],
+      },
+    ],
+  });
+
+  return Scenario;
+};
@@ -56,6 +56,15 @@ module.exports = (sequelize) => {
         min_break_duration: 30, // minutes
         lunch_break_duration: 60, // minutes
         min_time_between_shifts: 8, // hours
+        relaxable_limits: ['max_hours_per_week'],
+        agent_rules: {
+          max_hours_per_day: 'hard',
+          max_hours_per_week: 'hard',
+          employment_type: 'hard',
+          can_work_weekends: 'hard',
+          overtime_eligible: 'hard',
+          preferred_hours: 60, // penalty per hour outside preferred times
+        },
       },
     },
     // Optimization settings
@@ -75,6 +84,26 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(5, 4),
       comment: 'Actual service level achieved with this schedule',
     },
+    average_speed_of_answer: {
+      type: DataTypes.DECIMAL(8, 2),
+      comment: 'Simulated average speed of answer in seconds',
+    },
+    abandonment_rate: {
+      type: DataTypes.DECIMAL(5, 4),
+      comment: 'Simulated share of contacts abandoned',
+    },
+    occupancy: {
+      type: DataTypes.DECIMAL(5, 4),
+      comment: 'Simulated share of available agent time spent handling contacts',
+    },
+    interval_metrics: {
+      type: DataTypes.JSON,
+      comment: 'Coverage and simulated queue results per interval',
+    },
+    solver_report: {
+      type: DataTypes.JSON,
+      comment: 'Objective, unmet coverage and runtime of the shift solver',
+    },
     coverage_percentage: {
       type: DataTypes.DECIMAL(5, 4),
       comment: 'Percentage of required coverage achieved',
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SpecialEvent = sequelize.define('SpecialEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    event_type: {
+      type: DataTypes.ENUM('product_launch', 'billing_run', 'marketing_campaign', 'outage', 'other'),
+      allowNull: false,
+      defaultValue: 'other',
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    channel_ids: {
+      type: DataTypes.JSON,
+      comment: 'Affected channel IDs; empty means every channel',
+      defaultValue: [],
+    },
+    // Expected impact
+    expected_uplift: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: false,
+      comment: 'Expected volume increase at full shape weight (0.25 = +25%)',
+      validate: {
+        min: -1,
+      },
+    },
+    uplift_source: {
+      type: DataTypes.ENUM('manual', 'learned'),
+      defaultValue: 'manual',
+    },
+    hourly_shape: {
+      type: DataTypes.JSON,
+      comment: 'Share of the uplift applied per hour ({ "9": 1, "10": 0.5 }); empty applies it to every hour',
+      defaultValue: {},
+    },
+    // Evaluation after the event
+    actual_uplift: {
+      type: DataTypes.DECIMAL(8, 4),
+    },
+    channel_uplifts: {
+      type: DataTypes.JSON,
+      comment: 'Measured uplift per channel ID',
+      defaultValue: {},
+    },
+    evaluated_at: {
+      type: DataTypes.DATE,
+    },
+    status: {
+      type: DataTypes.ENUM('planned', 'completed', 'cancelled'),
+      defaultValue: 'planned',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    indexes: [
+      {
+        fields: ['start_date', 'end_date'],
+      },
+      {
+        fields: ['event_type'],
+      },
+      {
+        fields: ['status'],
+      },
+    ],
+    validate: {
+      endAfterStart() {
+        if (this.start_date && this.end_date && this.end_date < this.start_date) {
+          throw new Error('End date must not be before start date');
+        }
+      },
+    },
+  });
+
+  // Instance methods
+  SpecialEvent.prototype.appliesToChannel = function(channelId) {
+    const channelIds = this.channel_ids || [];
+    return channelIds.length === 0 || channelIds.includes(channelId);
+  };
+
+  SpecialEvent.prototype.getShapeWeight = function(hour) {
+    const shape = this.hourly_shape || {};
+    if (!Object.keys(shape).length) return 1;
+    return shape[hour] != null ? parseFloat(shape[hour]) : 0;
+  };
+
+  // Volume multiplier for one hour of the event
+  SpecialEvent.prototype.getVolumeFactor = function(hour) {
+    return 1 + parseFloat(this.expected_uplift) * this.getShapeWeight(hour);
+  };
+
+  return SpecialEvent;
+};
@@ -46,43 +46,88 @@ const Schedule = require('./Schedule')(sequelize);
 const Shift = require('./Shift')(sequelize);
 const TimeOff = require('./TimeOff')(sequelize);
 const Forecast = require('./Forecast')(sequelize);
+const ForecastBacktest = require('./ForecastBacktest')(sequelize);
+const ForecastVersion = require('./ForecastVersion')(sequelize);
+const ForecastOverride = require('./ForecastOverride')(sequelize);
+const DataQualityFlag = require('./DataQualityFlag')(sequelize);
+const DemandDriver = require('./DemandDriver')(sequelize);
+const HolidayCalendar = require('./HolidayCalendar')(sequelize);
+const Holiday = require('./Holiday')(sequelize);
+const SpecialEvent = require('./SpecialEvent')(sequelize);
+const CapacityPlan = require('./CapacityPlan')(sequelize);
+const Scenario = require('./Scenario')(sequelize);
 const Adherence = require('./Adherence')(sequelize);
 const User = require('./User')(sequelize);
 
-// Define associations
+// Define associations. Foreign keys are named explicitly: by default they
+// would be AgentId, ChannelId, ... and the agent_id/channel_id values the
+// services create and read rows with would be silently dropped.
 Agent.belongsToMany(Skill, { through: 'AgentSkills' });
 Skill.belongsToMany(Agent, { through: 'AgentSkills' });
 
 Agent.belongsToMany(Channel, { through: 'AgentChannels' });
 Channel.belongsToMany(Agent, { through: 'AgentChannels' });
 
-Agent.hasMany(Schedule);
-Schedule.belongsTo(Agent);
+Agent.hasMany(Schedule, { foreignKey: 'agent_id' });
+Schedule.belongsTo(Agent, { foreignKey: 'agent_id' });
 
-Agent.hasMany(Shift);
-Shift.belongsTo(Agent);
+Agent.hasMany(Shift, { foreignKey: 'agent_id' });
+Shift.belongsTo(Agent, { foreignKey: 'agent_id' });
 
-Agent.hasMany(TimeOff);
-TimeOff.belongsTo(Agent);
+Agent.hasMany(TimeOff, { foreignKey: 'agent_id' });
+TimeOff.belongsTo(Agent, { foreignKey: 'agent_id' });
 
-Agent.hasMany(Adherence);
-Adherence.belongsTo(Agent);
+Agent.hasMany(Adherence, { foreignKey: 'agent_id' });
+Adherence.belongsTo(Agent, { foreignKey: 'agent_id' });
 
-Schedule.hasMany(Shift);
-Shift.belongsTo(Schedule);
+Schedule.hasMany(Shift, { foreignKey: 'schedule_id' });
+Shift.belongsTo(Schedule, { foreignKey: 'schedule_id' });
 
-Channel.hasMany(Forecast);
-Forecast.belongsTo(Channel);
+Channel.hasMany(Forecast, { foreignKey: 'channel_id' });
+Forecast.belongsTo(Channel, { foreignKey: 'channel_id' });
 
-Channel.hasMany(Shift);
-Shift.belongsTo(Channel);
+Channel.hasMany(Shift, { foreignKey: 'channel_id' });
+Shift.belongsTo(Channel, { foreignKey: 'channel_id' });
 
-Skill.hasMany(Forecast);
-Forecast.belongsTo(Skill);
+Skill.hasMany(Forecast, { foreignKey: 'skill_id' });
+Forecast.belongsTo(Skill, { foreignKey: 'skill_id' });
+
+Channel.hasMany(ForecastBacktest, { foreignKey: 'channel_id' });
+ForecastBacktest.belongsTo(Channel, { foreignKey: 'channel_id' });
+
+Skill.hasMany(ForecastBacktest, { foreignKey: 'skill_id' });
+ForecastBacktest.belongsTo(Skill, { foreignKey: 'skill_id' });
+
+Channel.hasMany(ForecastVersion, { foreignKey: 'channel_id' });
+ForecastVersion.belongsTo(Channel, { foreignKey: 'channel_id' });
+
+Skill.hasMany(ForecastVersion, { foreignKey: 'skill_id' });
+ForecastVersion.belongsTo(Skill, { foreignKey: 'skill_id' });
+
+Channel.hasMany(ForecastOverride, { foreignKey: 'channel_id' });
+ForecastOverride.belongsTo(Channel, { foreignKey: 'channel_id' });
+
+Skill.hasMany(ForecastOverride, { foreignKey: 'skill_id' });
+ForecastOverride.belongsTo(Skill, { foreignKey: 'skill_id' });
+
+Channel.hasMany(DataQualityFlag, { foreignKey: 'channel_id' });
+DataQualityFlag.belongsTo(Channel, { foreignKey: 'channel_id' });
+
+Skill.hasMany(DataQualityFlag, { foreignKey: 'skill_id' });
+DataQualityFlag.belongsTo(Skill, { foreignKey: 'skill_id' });
+
+Channel.hasMany(DemandDriver, { foreignKey: 'channel_id' });
+DemandDriver.belongsTo(Channel, { foreignKey: 'channel_id' });
+
+HolidayCalendar.hasMany(Holiday, { foreignKey: 'holiday_calendar_id', onDelete: 'CASCADE' });
+Holiday.belongsTo(HolidayCalendar, { foreignKey: 'holiday_calendar_id' });
+
+HolidayCalendar.hasMany(Channel, { foreignKey: 'holiday_calendar_id' });
+Channel.belongsTo(HolidayCalendar, { foreignKey: 'holiday_calendar_id' });
 
 // User authentication
-User.hasOne(Agent);
-Agent.belongsTo(User);
+User.hasOne(Agent, { foreignKey: 'user_id' });
+Agent.belongsTo(User, { foreignKey: 'user_id' });
 
 module.exports = {
   sequelize,
@@ -93,6 +138,16 @@ module.exports = {
   Shift,
   TimeOff,
   Forecast,
+  ForecastBacktest,
+  ForecastVersion,
+  ForecastOverride,
+  DataQualityFlag,
+  DemandDriver,
+  HolidayCalendar,
+  Holiday,
+  SpecialEvent,
+  CapacityPlan,
+  Scenario,
   Adherence,
   User,
 }; 
\ No newline at end of file
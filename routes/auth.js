@@ -396,7 +396,45 @@ function authenticateToken(req, res, next) {
   });
 }
 
+/**
+ * Require the authenticated user to hold at least a role (see User.hasRole).
+ * The role may depend on the request. Loads the user into req.currentUser.
+ * Use after authenticateToken.
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const requiredRole = typeof role === 'function' ? role(req) : role;
+      const user = await User.findByPk(req.user.id);
+
+      if (!user || !user.is_active) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found or inactive',
+        });
+      }
+
+      if (requiredRole && !user.hasRole(requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `Requires ${requiredRole} role or higher`,
+        });
+      }
+
+      req.currentUser = user;
+      next();
+    } catch (error) {
+      console.error('Role check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  };
+}
+
 // Export middleware for use in other routes
 router.authenticateToken = authenticateToken;
+router.requireRole = requireRole;
 
 module.exports = router; 
\ No newline at end of file
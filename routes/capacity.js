@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { CapacityPlan } = require('../models');
+const { authenticateToken } = require('./auth');
+const CapacityPlanningService = require('../services/CapacityPlanningService');
+
+/**
+ * Respond with 400 when express-validator found problems
+ */
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  next();
+}
+
+/**
+ * @route POST /api/capacity/plans
+ * @desc Build a weekly/monthly FTE, hiring and overtime plan (preview with save: false)
+ * @access Private
+ */
+router.post('/plans', [
+  authenticateToken,
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('weeks').optional().isInt({ min: 1, max: 104 }).withMessage('Weeks must be between 1 and 104'),
+  body('channelIds').optional().isArray(),
+  body('channelIds.*').optional().isUUID().withMessage('Channel IDs must be UUIDs'),
+  body('assumptions').optional().isObject(),
+  body('assumptions.annualAttrition').optional().isFloat({ min: 0, max: 1 }),
+  body('assumptions.planningShrinkage').optional().isFloat({ min: 0, max: 0.9 }),
+  body('assumptions.hiringLeadTimeWeeks').optional().isInt({ min: 0, max: 52 }),
+  body('assumptions.trainingWeeks').optional().isInt({ min: 0, max: 52 }),
+  body('assumptions.rampWeeks').optional().isInt({ min: 0, max: 52 }),
+  body('save').optional().isBoolean(),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { name, startDate, weeks, channelIds, assumptions, save } = req.body;
+
+    const plan = await CapacityPlanningService.createPlan({
+      name,
+      startDate,
+      weeks: weeks ? parseInt(weeks) : undefined,
+      channelIds: channelIds || [],
+      assumptions: assumptions || {},
+      save: save !== false,
+      userId: req.user.id,
+    });
+
+    res.status(save === false ? 200 : 201).json({
+      success: true,
+      data: { plan },
+    });
+  } catch (error) {
+    console.error('Error creating capacity plan:', error);
+    const noData = error.message === 'No forecast requirements found to plan from';
+    res.status(noData ? 422 : 500).json({
+      success: false,
+      message: noData ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/capacity/plans
+ * @desc List saved capacity plans (summaries only)
+ * @access Private
+ */
+router.get('/plans', authenticateToken, async (req, res) => {
+  try {
+    const plans = await CapacityPlan.findAll({
+      attributes: { exclude: ['weekly', 'monthly'] },
+      order: [['created_at', 'DESC']],
+    });
+
+    res.json({
+      success: true,
+      data: { plans },
+    });
+  } catch (error) {
+    console.error('Error fetching capacity plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/capacity/plans/:id
+ * @desc Get a capacity plan with its weekly and monthly rows
+ * @access Private
+ */
+router.get('/plans/:id', authenticateToken, async (req, res) => {
+  try {
+    const plan = await CapacityPlan.findByPk(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capacity plan not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { plan },
+    });
+  } catch (error) {
+    console.error('Error fetching capacity plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route PUT /api/capacity/plans/:id
+ * @desc Rename, annotate or finalize a capacity plan
+ * @access Private
+ */
+router.put('/plans/:id', [
+  authenticateToken,
+  body('name').optional().trim().notEmpty(),
+  body('status').optional().isIn(['draft', 'final']),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const plan = await CapacityPlan.findByPk(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capacity plan not found',
+      });
+    }
+
+    const { name, status, notes } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (status !== undefined) updates.status = status;
+    if (notes !== undefined) updates.notes = notes;
+    await plan.update(updates);
+
+    res.json({
+      success: true,
+      data: { plan },
+    });
+  } catch (error) {
+    console.error('Error updating capacity plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/capacity/plans/:id
+ * @desc Delete a capacity plan
+ * @access Private
+ */
+router.delete('/plans/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await CapacityPlan.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capacity plan not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Capacity plan deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting capacity plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+module.exports = router;
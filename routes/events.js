@@ -0,0 +1,316 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { SpecialEvent } = require('../models');
+const { authenticateToken } = require('./auth');
+const SpecialEventService = require('../services/SpecialEventService');
+
+const EVENT_TYPES = ['product_launch', 'billing_run', 'marketing_campaign', 'outage', 'other'];
+
+/**
+ * Respond with 400 when express-validator found problems
+ */
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  next();
+}
+
+/**
+ * Hourly shape is { hour: weight } with hours 0-23 and non-negative weights
+ */
+function isHourlyShape(shape) {
+  if (typeof shape !== 'object' || shape === null || Array.isArray(shape)) {
+    throw new Error('Hourly shape must be an object of hour to weight');
+  }
+  for (const [hour, weight] of Object.entries(shape)) {
+    if (!/^\d+$/.test(hour) || Number(hour) > 23 || typeof weight !== 'number' || weight < 0) {
+      throw new Error('Hourly shape needs hours 0-23 with non-negative numeric weights');
+    }
+  }
+  return true;
+}
+
+const eventValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('startDate').isISO8601().withMessage('Valid start date is required'),
+    field('endDate').isISO8601().withMessage('Valid end date is required'),
+    body('eventType').optional().isIn(EVENT_TYPES),
+    body('channelIds').optional().isArray(),
+    body('channelIds.*').optional().isUUID().withMessage('Channel IDs must be UUIDs'),
+    body('expectedUplift').optional({ nullable: true }).isFloat({ min: -1, max: 20 }),
+    body('hourlyShape').optional().custom(isHourlyShape),
+  ];
+};
+
+/**
+ * @route GET /api/events
+ * @desc List special events overlapping a date range, optionally for one channel
+ * @access Private
+ */
+router.get('/', [
+  authenticateToken,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('channelId').optional().isUUID(),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { from, to, channelId, status, eventType } = req.query;
+    const where = {};
+
+    if (from) where.end_date = { [Op.gte]: from };
+    if (to) where.start_date = { [Op.lte]: to };
+    if (status) where.status = status;
+    if (eventType) where.event_type = eventType;
+
+    let events = await SpecialEvent.findAll({
+      where,
+      order: [['start_date', 'ASC']],
+    });
+    if (channelId) {
+      events = events.filter(event => event.appliesToChannel(channelId));
+    }
+
+    res.json({
+      success: true,
+      data: { events },
+    });
+  } catch (error) {
+    console.error('Error fetching special events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/events/uplift-estimate
+ * @desc Suggested uplift for an event type from similar completed events
+ * @access Private
+ */
+router.get('/uplift-estimate', [
+  authenticateToken,
+  query('eventType').isIn(EVENT_TYPES).withMessage('Valid event type is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const channelIds = req.query.channelIds ? String(req.query.channelIds).split(',') : [];
+    const estimate = await SpecialEventService.estimateUplift(req.query.eventType, channelIds);
+
+    res.json({
+      success: true,
+      data: { estimate },
+    });
+  } catch (error) {
+    console.error('Error estimating event uplift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/events
+ * @desc Create a special event; without an expected uplift the estimate from
+ * similar past events is used
+ * @access Private
+ */
+router.post('/', [
+  authenticateToken,
+  ...eventValidators(false),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const {
+      name, eventType = 'other', startDate, endDate, channelIds = [], expectedUplift, hourlyShape = {}, notes,
+    } = req.body;
+
+    let uplift = expectedUplift;
+    let upliftSource = 'manual';
+    if (uplift == null) {
+      const estimate = await SpecialEventService.estimateUplift(eventType, channelIds);
+      if (!estimate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expected uplift is required when no similar events have been evaluated',
+        });
+      }
+      uplift = estimate.uplift;
+      upliftSource = 'learned';
+    }
+
+    const event = await SpecialEvent.create({
+      name,
+      event_type: eventType,
+      start_date: startDate,
+      end_date: endDate,
+      channel_ids: channelIds,
+      expected_uplift: uplift,
+      uplift_source: upliftSource,
+      hourly_shape: hourlyShape,
+      notes,
+      created_by: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { event },
+    });
+  } catch (error) {
+    console.error('Error creating special event:', error);
+    const invalid = error.name === 'SequelizeValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: invalid ? error.errors.map(e => e.message).join(', ') : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/events/:id
+ * @desc Get a special event with its expected and measured uplift
+ * @access Private
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const event = await SpecialEvent.findByPk(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Special event not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { event },
+    });
+  } catch (error) {
+    console.error('Error fetching special event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route PUT /api/events/:id
+ * @desc Update a special event
+ * @access Private
+ */
+router.put('/:id', [
+  authenticateToken,
+  ...eventValidators(true),
+  body('status').optional().isIn(['planned', 'cancelled']),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const event = await SpecialEvent.findByPk(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Special event not found',
+      });
+    }
+
+    const fields = {
+      name: 'name',
+      eventType: 'event_type',
+      startDate: 'start_date',
+      endDate: 'end_date',
+      channelIds: 'channel_ids',
+      hourlyShape: 'hourly_shape',
+      status: 'status',
+      notes: 'notes',
+    };
+    const updates = {};
+    Object.entries(fields).forEach(([param, column]) => {
+      if (req.body[param] !== undefined) updates[column] = req.body[param];
+    });
+    if (req.body.expectedUplift != null) {
+      updates.expected_uplift = req.body.expectedUplift;
+      updates.uplift_source = 'manual';
+    }
+
+    await event.update(updates);
+
+    res.json({
+      success: true,
+      data: { event },
+    });
+  } catch (error) {
+    console.error('Error updating special event:', error);
+    const invalid = error.name === 'SequelizeValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: invalid ? error.errors.map(e => e.message).join(', ') : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/events/:id
+ * @desc Delete a special event
+ * @access Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await SpecialEvent.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Special event not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Special event deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting special event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/events/:id/evaluate
+ * @desc Measure the actual uplift of a finished event against the expected uplift
+ * @access Private
+ */
+router.post('/:id/evaluate', authenticateToken, async (req, res) => {
+  try {
+    const result = await SpecialEventService.evaluateEvent(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error evaluating special event:', error);
+    const notFound = error.message === 'Special event not found';
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      message: notFound ? error.message : 'Internal server error',
+    });
+  }
+});
+
+module.exports = router;
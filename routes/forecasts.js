@@ -0,0 +1,1116 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { Forecast, ForecastBacktest, ForecastOverride, DataQualityFlag, Channel } = require('../models');
+const { authenticateToken, requireRole } = require('./auth');
+const ForecastService = require('../services/ForecastService');
+const BacktestService = require('../services/BacktestService');
+const ActualsIngestionService = require('../services/ActualsIngestionService');
+const ForecastVersionService = require('../services/ForecastVersionService');
+const ForecastWorkflowService = require('../services/ForecastWorkflowService');
+const ForecastOverrideService = require('../services/ForecastOverrideService');
+const IntradayReforecastService = require('../services/IntradayReforecastService');
+const DataCleansingService = require('../services/DataCleansingService');
+const DemandDriverService = require('../services/DemandDriverService');
+
+/**
+ * Respond with 400 when express-validator found problems
+ */
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  next();
+}
+
+/**
+ * @route POST /api/forecasts/backtests
+ * @desc Run a rolling-origin backtest for a channel and select a champion method
+ * @access Private (supervisor)
+ */
+router.post('/backtests', [
+  authenticateToken,
+  body('channelId').isUUID().withMessage('Valid channel ID is required'),
+  body('skillId').optional({ nullable: true }).isUUID().withMessage('Skill ID must be a UUID'),
+  body('startDate').isISO8601().withMessage('Start date is required'),
+  body('endDate').isISO8601().withMessage('End date is required'),
+  body('horizons').optional().isArray({ min: 1 }).withMessage('Horizons must be a non-empty array'),
+  body('horizons.*').optional().isInt({ min: 1, max: 90 }).withMessage('Horizons are days between 1 and 90'),
+  body('selectChampion').optional().isBoolean(),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const { channelId, skillId, startDate, endDate, horizons, selectChampion } = req.body;
+
+    const result = await BacktestService.runBacktest({
+      channelId,
+      skillId: skillId || null,
+      startDate,
+      endDate,
+      horizons: horizons ? horizons.map(Number) : undefined,
+      selectChampion: selectChampion !== false,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(error.message === 'Channel not found' ? 404 : 500).json({
+      success: false,
+      message: error.message === 'Channel not found' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/backtests
+ * @desc List backtest results, filtered by channel, run, method or horizon
+ * @access Private
+ */
+router.get('/backtests', [
+  authenticateToken,
+  query('channelId').optional().isUUID(),
+  query('runId').optional().isUUID(),
+  query('horizon').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, runId, method, horizon, limit = 100 } = req.query;
+    const where = {};
+
+    if (channelId) where.channel_id = channelId;
+    if (runId) where.run_id = runId;
+    if (method) where.forecast_method = method;
+    if (horizon) where.horizon_days = parseInt(horizon);
+
+    const backtests = await ForecastBacktest.findAll({
+      where,
+      order: [['created_at', 'DESC'], ['horizon_days', 'ASC'], ['wape', 'ASC']],
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: { backtests },
+    });
+  } catch (error) {
+    console.error('Error fetching backtests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/champions/:channelId
+ * @desc Current champion method for a channel, with the run it was chosen from
+ * @access Private
+ */
+router.get('/champions/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const champion = await ForecastBacktest.getChampion(req.params.channelId, req.query.skillId || null);
+
+    if (!champion) {
+      return res.status(404).json({
+        success: false,
+        message: 'No champion selected for this channel',
+      });
+    }
+
+    const competitors = await ForecastBacktest.getRun(champion.run_id);
+
+    res.json({
+      success: true,
+      data: {
+        champion,
+        competitors,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching champion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/actuals
+ * @desc Ingest interval actuals as JSON ({ records: [...] } or an array) or CSV (text/csv)
+ * @access Private (supervisor)
+ */
+router.post('/actuals', [
+  authenticateToken,
+  requireRole('supervisor'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+], async (req, res) => {
+  try {
+    let records;
+    if (typeof req.body === 'string') {
+      records = ActualsIngestionService.parseCsv(req.body);
+    } else {
+      records = Array.isArray(req.body) ? req.body : req.body.records;
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No actuals records provided',
+      });
+    }
+
+    const { summary, report } = await ActualsIngestionService.ingest(records, { source: 'api' });
+
+    res.status(summary.error === records.length ? 422 : 200).json({
+      success: summary.error === 0,
+      data: { summary, report },
+    });
+  } catch (error) {
+    console.error('Error ingesting actuals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/drivers
+ * @desc Import demand driver values per date and hour as JSON ({ records: [...] } or an array) or CSV (text/csv)
+ * @access Private (supervisor)
+ */
+router.post('/drivers', [
+  authenticateToken,
+  requireRole('supervisor'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+], async (req, res) => {
+  try {
+    let records;
+    if (typeof req.body === 'string') {
+      records = ActualsIngestionService.parseCsv(req.body);
+    } else {
+      records = Array.isArray(req.body) ? req.body : req.body.records;
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No demand driver records provided',
+      });
+    }
+
+    const { summary, report } = await DemandDriverService.ingest(records, { source: 'api' });
+
+    res.status(summary.error === records.length ? 422 : 200).json({
+      success: summary.error === 0,
+      data: { summary, report },
+    });
+  } catch (error) {
+    console.error('Error ingesting demand drivers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/drivers
+ * @desc List demand driver values; with a channel, its own and the global ones
+ * @access Private
+ */
+router.get('/drivers', [
+  authenticateToken,
+  query('channelId').optional().isUUID().withMessage('Channel ID must be a UUID'),
+  query('name').optional().isString(),
+  query('startDate').isISO8601().withMessage('Start date is required'),
+  query('endDate').isISO8601().withMessage('End date is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, name, startDate, endDate } = req.query;
+    const drivers = await DemandDriverService.getDriverValues({
+      channelId: channelId || null,
+      name: name || null,
+      startDate,
+      endDate,
+    });
+
+    res.json({
+      success: true,
+      data: { drivers },
+    });
+  } catch (error) {
+    console.error('Error fetching demand drivers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/versions
+ * @desc List the versions of a channel's forecast for a date
+ * @access Private
+ */
+router.get('/versions', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('skillId').optional().isUUID(),
+  query('date').isISO8601().withMessage('Valid date is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, skillId, date } = req.query;
+    const versions = await ForecastVersionService.listVersions(channelId, skillId || null, date);
+
+    res.json({
+      success: true,
+      data: { versions },
+    });
+  } catch (error) {
+    console.error('Error fetching forecast versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/versions/as-of
+ * @desc The forecast for a date as it was live at a point in time
+ * @access Private
+ */
+router.get('/versions/as-of', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('skillId').optional().isUUID(),
+  query('date').isISO8601().withMessage('Valid date is required'),
+  query('asOf').isISO8601().withMessage('Valid point in time is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, skillId, date, asOf } = req.query;
+    const version = await ForecastVersionService.getForecastAsOf(channelId, skillId || null, date, asOf);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'No forecast was live at that time',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { version },
+    });
+  } catch (error) {
+    console.error('Error fetching forecast as of time:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/versions/diff
+ * @desc Interval-by-interval differences between two forecast versions
+ * @access Private
+ */
+router.get('/versions/diff', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('skillId').optional().isUUID(),
+  query('date').isISO8601().withMessage('Valid date is required'),
+  query('from').isInt({ min: 1 }).withMessage('From version is required'),
+  query('to').isInt({ min: 1 }).withMessage('To version is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, skillId, date, from, to } = req.query;
+    const diff = await ForecastVersionService.diffVersions(
+      channelId,
+      skillId || null,
+      date,
+      parseInt(from),
+      parseInt(to)
+    );
+
+    res.json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    console.error('Error diffing forecast versions:', error);
+    const notFound = error.message === 'Forecast version not found';
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      message: notFound ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/versions/:id/apply
+ * @desc Apply a pending version or restore an older one, replacing the live
+ * forecast even if it is approved; published forecasts must be reopened first
+ * @access Private (manager)
+ */
+router.post('/versions/:id/apply', [
+  authenticateToken,
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  handleValidation,
+  requireRole('manager'),
+], async (req, res) => {
+  try {
+    const result = await ForecastVersionService.applyVersion(req.params.id, {
+      userId: req.user.id,
+      reason: req.body.reason,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error applying forecast version:', error);
+    const notFound = error.message === 'Forecast version not found';
+    const conflict = error.message.startsWith('Published forecasts must be reopened');
+    res.status(notFound ? 404 : conflict ? 409 : 500).json({
+      success: false,
+      message: notFound || conflict ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/workflow/:action
+ * @desc Move a channel's forecasts in a date range through one workflow step
+ * (submit, review, approve, publish, reopen, archive)
+ * @access Private (supervisor or manager depending on the step)
+ */
+router.post('/workflow/:action', [
+  authenticateToken,
+  param('action').isIn(ForecastWorkflowService.getActions()).withMessage('Unknown workflow action'),
+  body('channelId').isUUID().withMessage('Valid channel ID is required'),
+  body('skillId').optional({ nullable: true }).isUUID().withMessage('Skill ID must be a UUID'),
+  body('startDate').isISO8601().withMessage('Start date is required'),
+  body('endDate').isISO8601().withMessage('End date is required'),
+  handleValidation,
+  requireRole(req => ForecastWorkflowService.getTransition(req.params.action).role),
+], async (req, res) => {
+  try {
+    const { channelId, skillId, startDate, endDate, comment } = req.body;
+
+    const result = await ForecastWorkflowService.transition(req.params.action, {
+      channelId,
+      skillId,
+      startDate,
+      endDate,
+      user: req.currentUser,
+      comment,
+    });
+
+    if (req.params.action === 'publish' && result.updated > 0) {
+      req.app.get('io').emit('forecast-published', {
+        channelId,
+        skillId: skillId || null,
+        startDate,
+        endDate,
+        intervals: result.updated,
+        publishedBy: req.currentUser.id,
+        timestamp: result.actedAt,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in forecast workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/workflow/status
+ * @desc Count of forecast intervals per date and workflow status for a channel
+ * @access Private
+ */
+router.get('/workflow/status', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('startDate').isISO8601().withMessage('Start date is required'),
+  query('endDate').isISO8601().withMessage('End date is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, startDate, endDate } = req.query;
+    const forecasts = await Forecast.findAll({
+      where: {
+        channel_id: channelId,
+        forecast_date: { [Op.between]: [startDate, endDate] },
+        predicted_volume: { [Op.not]: null },
+      },
+      attributes: ['forecast_date', 'status'],
+    });
+
+    const dates = {};
+    for (const forecast of forecasts) {
+      const date = dates[forecast.forecast_date] || (dates[forecast.forecast_date] = {});
+      date[forecast.status] = (date[forecast.status] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      data: { dates },
+    });
+  } catch (error) {
+    console.error('Error fetching forecast workflow status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/intraday/outlook
+ * @desc Preview the rest of today reprojected from the actuals so far, with
+ * the staffing gaps it leaves
+ * @access Private
+ */
+router.get('/intraday/outlook', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('skillId').optional().isUUID(),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const outlook = await IntradayReforecastService.reforecastChannel(req.query.channelId, {
+      skillId: req.query.skillId || null,
+      save: false,
+    });
+    if (!outlook) {
+      return res.status(404).json({
+        success: false,
+        message: 'No forecast for today to reforecast',
+      });
+    }
+
+    const channel = await Channel.findByPk(outlook.channelId);
+    const coverage = await IntradayReforecastService.getRemainingCoverage(ForecastService.getTimezone(channel), {
+      outlooks: [outlook],
+    });
+
+    res.json({
+      success: true,
+      data: { outlook, ...coverage },
+    });
+  } catch (error) {
+    console.error('Error building intraday outlook:', error);
+    const notFound = error.message === 'Channel not found';
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      message: notFound ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/intraday/reforecast
+ * @desc Reproject and save the rest of today for a channel and broadcast the
+ * revised outlook
+ * @access Private (supervisor)
+ */
+router.post('/intraday/reforecast', [
+  authenticateToken,
+  body('channelId').isUUID().withMessage('Valid channel ID is required'),
+  body('skillId').optional({ nullable: true }).isUUID().withMessage('Skill ID must be a UUID'),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const outlook = await IntradayReforecastService.reforecastChannel(req.body.channelId, {
+      skillId: req.body.skillId || null,
+      userId: req.currentUser.id,
+    });
+    if (!outlook) {
+      return res.status(404).json({
+        success: false,
+        message: 'No forecast for today to reforecast',
+      });
+    }
+
+    const channel = await Channel.findByPk(outlook.channelId);
+    const coverage = await IntradayReforecastService.getRemainingCoverage(ForecastService.getTimezone(channel), {
+      outlooks: [outlook],
+    });
+    req.app.get('io').emit('intraday-reforecast', {
+      asOf: outlook.asOf,
+      channels: [outlook],
+      ...coverage,
+    });
+
+    res.json({
+      success: true,
+      data: { outlook, ...coverage },
+    });
+  } catch (error) {
+    console.error('Error reforecasting intraday:', error);
+    const notFound = error.message === 'Channel not found';
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      message: notFound ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/calculator
+ * @desc Agents needed for a volume and service level, without a channel or forecast rows
+ * @access Private
+ */
+router.post('/calculator', [
+  authenticateToken,
+  body('volume').isFloat({ min: 0, max: 1000000 }).withMessage('Volume per interval is required'),
+  body('averageHandleTime').isFloat({ gt: 0, max: 600 }).withMessage('Average handle time in minutes is required'),
+  body('wrapUpTime').optional().isFloat({ min: 0, max: 600 }),
+  body('concurrency').optional().isInt({ min: 1, max: 10 }),
+  body('concurrencyPenalty').optional().isFloat({ min: 0, max: 1 }),
+  body('shrinkage').optional().isFloat({ min: 0, max: 0.95 }),
+  body('serviceLevelTarget').optional().isFloat({ gt: 0, max: 100 }).withMessage('Service level target is 0-1 or a percentage'),
+  body('serviceLevelThreshold').optional().isInt({ min: 1, max: 86400 }).withMessage('Threshold is in seconds'),
+  body('patience').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Patience is in seconds'),
+  body('intervalMinutes').optional().isIn([15, 30, 60]),
+  body('range').optional().isInt({ min: 1, max: 20 }),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const number = value => (value === undefined || value === null ? undefined : Number(value));
+    const result = ForecastService.calculateStaffing({
+      volume: number(req.body.volume),
+      averageHandleTime: number(req.body.averageHandleTime),
+      wrapUpTime: number(req.body.wrapUpTime),
+      concurrency: number(req.body.concurrency),
+      concurrencyPenalty: number(req.body.concurrencyPenalty),
+      shrinkage: number(req.body.shrinkage),
+      serviceLevelTarget: number(req.body.serviceLevelTarget),
+      serviceLevelThreshold: number(req.body.serviceLevelThreshold),
+      patience: number(req.body.patience),
+      intervalMinutes: number(req.body.intervalMinutes),
+    }, {
+      range: number(req.body.range),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error calculating staffing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/skill-mix
+ * @desc Share of a channel's volume per skill used to split its forecast,
+ * for the whole day and for hours with their own learned mix
+ * @access Private
+ */
+router.get('/skill-mix', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('date').optional().isISO8601().withMessage('Date must be valid'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const channel = await Channel.findByPk(req.query.channelId);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found',
+      });
+    }
+
+    const mix = await ForecastService.getSkillMix(channel, req.query.date || new Date());
+    const toShares = shares => Object.fromEntries(mix.skills.map((skill, i) => [skill.name, shares[i]]));
+
+    res.json({
+      success: true,
+      data: {
+        source: mix.source,
+        daily: toShares(mix.daily),
+        hourly: Object.fromEntries(Object.entries(mix.hourly).map(([hour, shares]) => [hour, toShares(shares)])),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching skill mix:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/overrides
+ * @desc Adjust a channel's forecasts over a date and hour range by a percentage,
+ * an absolute change per interval or a target intraday shape, and restaff them
+ * @access Private (supervisor)
+ */
+router.post('/overrides', [
+  authenticateToken,
+  body('channelId').isUUID().withMessage('Valid channel ID is required'),
+  body('skillId').optional({ nullable: true }).isUUID().withMessage('Skill ID must be a UUID'),
+  body('startDate').isISO8601().withMessage('Start date is required'),
+  body('endDate').isISO8601().withMessage('End date is required'),
+  body('startHour').optional().isInt({ min: 0, max: 23 }).withMessage('Start hour must be between 0 and 23'),
+  body('endHour').optional().isInt({ min: 1, max: 24 }).withMessage('End hour must be between 1 and 24'),
+  body('adjustmentType').isIn(['percentage', 'absolute', 'shape']).withMessage('Invalid adjustment type'),
+  body('change')
+    .if(body('adjustmentType').isIn(['percentage', 'absolute']))
+    .isFloat().withMessage('A numeric change is required'),
+  body('shape')
+    .if(body('adjustmentType').equals('shape'))
+    .isObject().withMessage('A shape of interval start to weight is required'),
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const { channelId, skillId, startDate, endDate, startHour, endHour, adjustmentType, change, shape, reason } = req.body;
+
+    if (startHour !== undefined && endHour !== undefined && parseInt(startHour) >= parseInt(endHour)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End hour must be after start hour',
+      });
+    }
+
+    const override = await ForecastOverrideService.applyOverride({
+      channelId,
+      skillId: skillId || null,
+      startDate,
+      endDate,
+      startHour: startHour !== undefined ? parseInt(startHour) : 0,
+      endHour: endHour !== undefined ? parseInt(endHour) : 24,
+      adjustmentType,
+      change: adjustmentType === 'shape' ? null : parseFloat(change),
+      shape: adjustmentType === 'shape' ? shape : null,
+      reason,
+      userId: req.currentUser.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { override },
+    });
+  } catch (error) {
+    console.error('Error applying forecast override:', error);
+    const notFound = error.message === 'Channel not found';
+    const invalid = error.message.startsWith('Shape has no weight');
+    res.status(notFound ? 404 : invalid ? 400 : 500).json({
+      success: false,
+      message: notFound || invalid ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/overrides
+ * @desc List forecast overrides, newest first, without their row changes
+ * @access Private
+ */
+router.get('/overrides', [
+  authenticateToken,
+  query('channelId').optional().isUUID().withMessage('Channel ID must be a UUID'),
+  query('status').optional().isIn(['applied', 'reverted']),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.channelId) where.channel_id = req.query.channelId;
+    if (req.query.status) where.status = req.query.status;
+
+    const overrides = await ForecastOverride.findAll({
+      where,
+      attributes: { exclude: ['changes'] },
+      order: [['created_at', 'DESC']],
+    });
+
+    res.json({
+      success: true,
+      data: { overrides },
+    });
+  } catch (error) {
+    console.error('Error fetching forecast overrides:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/overrides/accuracy
+ * @desc Forecast accuracy before and after each override in a date range
+ * @access Private
+ */
+router.get('/overrides/accuracy', [
+  authenticateToken,
+  query('channelId').optional().isUUID().withMessage('Channel ID must be a UUID'),
+  query('startDate').isISO8601().withMessage('Start date is required'),
+  query('endDate').isISO8601().withMessage('End date is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, startDate, endDate } = req.query;
+    const report = await ForecastOverrideService.getAccuracyReport({ channelId, startDate, endDate });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error fetching override accuracy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/forecasts/overrides/:id
+ * @desc Get a forecast override with its row changes and accuracy before and after
+ * @access Private
+ */
+router.get('/overrides/:id', authenticateToken, async (req, res) => {
+  try {
+    const override = await ForecastOverride.findByPk(req.params.id);
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Forecast override not found',
+      });
+    }
+
+    const accuracy = await ForecastOverrideService.getOverrideAccuracy(override);
+
+    res.json({
+      success: true,
+      data: { override, accuracy },
+    });
+  } catch (error) {
+    console.error('Error fetching forecast override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/overrides/:id/revert
+ * @desc Restore the forecast and staffing values an override replaced
+ * @access Private (supervisor)
+ */
+router.post('/overrides/:id/revert', [
+  authenticateToken,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const override = await ForecastOverrideService.revertOverride(req.params.id, {
+      userId: req.currentUser.id,
+    });
+
+    res.json({
+      success: true,
+      data: { override },
+    });
+  } catch (error) {
+    console.error('Error reverting forecast override:', error);
+    const notFound = error.message === 'Forecast override not found';
+    const conflict = !notFound && /reverted|revert later/.test(error.message);
+    res.status(notFound ? 404 : conflict ? 409 : 500).json({
+      success: false,
+      message: notFound || conflict ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * Respond to a data quality flag error: 404 for unknown flags or channels,
+ * 409 for flags not in a state the action applies to, 400 for bad input
+ */
+function sendFlagError(res, error) {
+  const notFound = ['Data quality flag not found', 'Channel not found'].includes(error.message);
+  const conflict = error.message.startsWith('Only ') || error.message.startsWith('These actuals are already');
+  const invalid = error.message.startsWith('Replacing actuals needs');
+  res.status(notFound ? 404 : conflict ? 409 : invalid ? 400 : 500).json({
+    success: false,
+    message: notFound || conflict || invalid ? error.message : 'Internal server error',
+  });
+}
+
+/**
+ * @route POST /api/forecasts/data-quality/detect
+ * @desc Suggest outliers in a channel's actuals (preview with save: false)
+ * @access Private (supervisor)
+ */
+router.post('/data-quality/detect', [
+  authenticateToken,
+  body('channelId').isUUID().withMessage('Valid channel ID is required'),
+  body('skillId').optional({ nullable: true }).isUUID().withMessage('Skill ID must be a UUID'),
+  body('startDate').isISO8601().withMessage('Start date is required'),
+  body('endDate').isISO8601().withMessage('End date is required'),
+  body('threshold').optional().isFloat({ min: 1, max: 20 }).withMessage('Threshold must be between 1 and 20'),
+  body('save').optional().isBoolean(),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const { channelId, skillId, startDate, endDate, threshold, save } = req.body;
+
+    const result = await DataCleansingService.detectOutliers(channelId, {
+      skillId: skillId || null,
+      startDate,
+      endDate,
+      threshold: threshold !== undefined ? parseFloat(threshold) : undefined,
+      save: save !== false,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error detecting outliers:', error);
+    sendFlagError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/forecasts/data-quality/report
+ * @desc Per day: hours reported, missing, filled, excluded and replaced
+ * @access Private
+ */
+router.get('/data-quality/report', [
+  authenticateToken,
+  query('channelId').isUUID().withMessage('Valid channel ID is required'),
+  query('skillId').optional().isUUID().withMessage('Skill ID must be a UUID'),
+  query('startDate').isISO8601().withMessage('Start date is required'),
+  query('endDate').isISO8601().withMessage('End date is required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, skillId, startDate, endDate } = req.query;
+    const report = await DataCleansingService.getCleansingReport(channelId, {
+      skillId: skillId || null,
+      startDate,
+      endDate,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error fetching data quality report:', error);
+    sendFlagError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/forecasts/data-quality/flags
+ * @desc List data quality flags with their decisions
+ * @access Private
+ */
+router.get('/data-quality/flags', [
+  authenticateToken,
+  query('channelId').optional().isUUID().withMessage('Channel ID must be a UUID'),
+  query('status').optional().isIn(['suggested', 'applied', 'dismissed', 'revoked']),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { channelId, status, startDate, endDate } = req.query;
+    const where = {};
+    if (channelId) where.channel_id = channelId;
+    if (status) where.status = status;
+    if (startDate || endDate) {
+      where.flag_date = {};
+      if (startDate) where.flag_date[Op.gte] = startDate;
+      if (endDate) where.flag_date[Op.lte] = endDate;
+    }
+
+    const flags = await DataQualityFlag.findAll({
+      where,
+      order: [['flag_date', 'DESC'], ['flag_hour', 'ASC']],
+    });
+
+    res.json({
+      success: true,
+      data: { flags },
+    });
+  } catch (error) {
+    console.error('Error fetching data quality flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/forecasts/data-quality/flags
+ * @desc Exclude or replace actuals directly (an hour, or a whole day to exclude)
+ * @access Private (supervisor)
+ */
+router.post('/data-quality/flags', [
+  authenticateToken,
+  body('channelId').isUUID().withMessage('Valid channel ID is required'),
+  body('skillId').optional({ nullable: true }).isUUID().withMessage('Skill ID must be a UUID'),
+  body('date').isISO8601().withMessage('Date is required'),
+  body('hour').optional({ nullable: true }).isInt({ min: 0, max: 23 }).withMessage('Hour must be between 0 and 23'),
+  body('action').isIn(['exclude', 'replace']).withMessage('Action must be exclude or replace'),
+  body('replacementVolume').optional({ nullable: true }).isInt({ min: 0 }),
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const { channelId, skillId, date, hour, action, replacementVolume, reason } = req.body;
+
+    const flag = await DataCleansingService.createFlag({
+      channelId,
+      skillId: skillId || null,
+      date,
+      hour: hour !== undefined && hour !== null ? parseInt(hour) : null,
+      action,
+      replacementVolume: replacementVolume !== undefined && replacementVolume !== null ? parseInt(replacementVolume) : null,
+      reason,
+      userId: req.currentUser.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { flag },
+    });
+  } catch (error) {
+    console.error('Error creating data quality flag:', error);
+    sendFlagError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/forecasts/data-quality/flags/:id/apply
+ * @desc Exclude a suggested outlier or replace it (by default with the expected volume)
+ * @access Private (supervisor)
+ */
+router.post('/data-quality/flags/:id/apply', [
+  authenticateToken,
+  body('action').isIn(['exclude', 'replace']).withMessage('Action must be exclude or replace'),
+  body('replacementVolume').optional({ nullable: true }).isInt({ min: 0 }),
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const { action, replacementVolume, reason } = req.body;
+
+    const flag = await DataCleansingService.applyFlag(req.params.id, {
+      action,
+      replacementVolume: replacementVolume !== undefined && replacementVolume !== null ? parseInt(replacementVolume) : null,
+      reason,
+      userId: req.currentUser.id,
+    });
+
+    res.json({
+      success: true,
+      data: { flag },
+    });
+  } catch (error) {
+    console.error('Error applying data quality flag:', error);
+    sendFlagError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/forecasts/data-quality/flags/:id/dismiss
+ * @desc Keep a suggested outlier in the history
+ * @access Private (supervisor)
+ */
+router.post('/data-quality/flags/:id/dismiss', [
+  authenticateToken,
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  handleValidation,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const flag = await DataCleansingService.dismissFlag(req.params.id, {
+      reason: req.body.reason,
+      userId: req.currentUser.id,
+    });
+
+    res.json({
+      success: true,
+      data: { flag },
+    });
+  } catch (error) {
+    console.error('Error dismissing data quality flag:', error);
+    sendFlagError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/forecasts/data-quality/flags/:id/revoke
+ * @desc Put excluded or replaced actuals back into the history
+ * @access Private (supervisor)
+ */
+router.post('/data-quality/flags/:id/revoke', [
+  authenticateToken,
+  requireRole('supervisor'),
+], async (req, res) => {
+  try {
+    const flag = await DataCleansingService.revokeFlag(req.params.id, {
+      userId: req.currentUser.id,
+    });
+
+    res.json({
+      success: true,
+      data: { flag },
+    });
+  } catch (error) {
+    console.error('Error revoking data quality flag:', error);
+    sendFlagError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { HolidayCalendar, Holiday, Channel } = require('../models');
+const { authenticateToken } = require('./auth');
+const HolidayService = require('../services/HolidayService');
+
+/**
+ * Respond with 400 when express-validator found problems
+ */
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  next();
+}
+
+/**
+ * Respond with 404 or 500 depending on the service error
+ */
+function handleError(res, error, action) {
+  console.error(`Error ${action}:`, error);
+  const notFound = /not found$/.test(error.message);
+  res.status(notFound ? 404 : 500).json({
+    success: false,
+    message: notFound ? error.message : 'Internal server error',
+  });
+}
+
+/**
+ * @route GET /api/holidays/calendars
+ * @desc List holiday calendars with the channels assigned to them
+ * @access Private
+ */
+router.get('/calendars', authenticateToken, async (req, res) => {
+  try {
+    const calendars = await HolidayCalendar.findAll({
+      include: [{ model: Channel, attributes: ['id', 'name', 'type'] }],
+      order: [['is_default', 'DESC'], ['name', 'ASC']],
+    });
+
+    res.json({
+      success: true,
+      data: { calendars },
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching holiday calendars');
+  }
+});
+
+/**
+ * @route POST /api/holidays/calendars
+ * @desc Create a holiday calendar; a new default replaces the previous one
+ * @access Private
+ */
+router.post('/calendars', [
+  authenticateToken,
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('region').optional().isString(),
+  body('timezone').optional().isString(),
+  body('isDefault').optional().isBoolean(),
+  body('defaultVolumeFactor').optional().isFloat({ min: 0, max: 5 }),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { name, description, region, timezone, isDefault, defaultVolumeFactor } = req.body;
+
+    if (isDefault) {
+      await HolidayCalendar.update({ is_default: false }, { where: { is_default: true } });
+    }
+
+    const calendar = await HolidayCalendar.create({
+      name,
+      description,
+      region,
+      timezone,
+      is_default: Boolean(isDefault),
+      default_volume_factor: defaultVolumeFactor,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { calendar },
+    });
+  } catch (error) {
+    handleError(res, error, 'creating holiday calendar');
+  }
+});
+
+/**
+ * @route GET /api/holidays/calendars/:id
+ * @desc Get a calendar with its holidays
+ * @access Private
+ */
+router.get('/calendars/:id', authenticateToken, async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByPk(req.params.id, {
+      include: [{ model: Holiday }],
+      order: [[Holiday, 'holiday_date', 'ASC']],
+    });
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { calendar },
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching holiday calendar');
+  }
+});
+
+/**
+ * @route PUT /api/holidays/calendars/:id/channels
+ * @desc Assign a calendar to channels (replaces their previous calendar)
+ * @access Private
+ */
+router.put('/calendars/:id/channels', [
+  authenticateToken,
+  body('channelIds').isArray({ min: 1 }).withMessage('Channel IDs are required'),
+  body('channelIds.*').isUUID().withMessage('Channel IDs must be UUIDs'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByPk(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found',
+      });
+    }
+
+    const [updated] = await Channel.update(
+      { holiday_calendar_id: calendar.id },
+      { where: { id: req.body.channelIds } }
+    );
+
+    res.json({
+      success: true,
+      data: { updated },
+    });
+  } catch (error) {
+    handleError(res, error, 'assigning holiday calendar');
+  }
+});
+
+/**
+ * @route POST /api/holidays/calendars/:id/holidays
+ * @desc Add a holiday; a volume factor given here is kept as manual
+ * @access Private
+ */
+router.post('/calendars/:id/holidays', [
+  authenticateToken,
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('volumeFactor').optional({ nullable: true }).isFloat({ min: 0, max: 5 }),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByPk(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found',
+      });
+    }
+
+    const { name, date, volumeFactor, notes } = req.body;
+    const holiday = await Holiday.create({
+      holiday_calendar_id: calendar.id,
+      name,
+      holiday_date: date,
+      volume_factor: volumeFactor,
+      factor_source: volumeFactor != null ? 'manual' : 'default',
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { holiday },
+    });
+  } catch (error) {
+    handleError(res, error, 'creating holiday');
+  }
+});
+
+/**
+ * @route POST /api/holidays/calendars/:id/import
+ * @desc Import holidays from an iCalendar (ICS) file sent as text/calendar
+ * @access Private
+ */
+router.post('/calendars/:id/import', [
+  authenticateToken,
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+], async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VEVENT')) {
+      return res.status(400).json({
+        success: false,
+        message: 'An ICS file with at least one VEVENT is required',
+      });
+    }
+
+    const result = await HolidayService.importIcs(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'importing holidays');
+  }
+});
+
+/**
+ * @route POST /api/holidays/calendars/:id/learn
+ * @desc Learn per-channel volume factors from actuals on past holidays
+ * @access Private
+ */
+router.post('/calendars/:id/learn', [
+  authenticateToken,
+  body('channelIds').optional().isArray(),
+  body('channelIds.*').optional().isUUID(),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const result = await HolidayService.learnFactors(req.params.id, req.body.channelIds);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'learning holiday factors');
+  }
+});
+
+/**
+ * @route PUT /api/holidays/:id
+ * @desc Update a holiday; setting a volume factor makes it manual
+ * @access Private
+ */
+router.put('/:id', [
+  authenticateToken,
+  body('name').optional().trim().notEmpty(),
+  body('date').optional().isISO8601(),
+  body('volumeFactor').optional({ nullable: true }).isFloat({ min: 0, max: 5 }),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const holiday = await Holiday.findByPk(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found',
+      });
+    }
+
+    const { name, date, volumeFactor, notes } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (date !== undefined) updates.holiday_date = date;
+    if (notes !== undefined) updates.notes = notes;
+    if (volumeFactor !== undefined) {
+      updates.volume_factor = volumeFactor;
+      updates.factor_source = volumeFactor === null ? 'default' : 'manual';
+    }
+
+    await holiday.update(updates);
+
+    res.json({
+      success: true,
+      data: { holiday },
+    });
+  } catch (error) {
+    handleError(res, error, 'updating holiday');
+  }
+});
+
+/**
+ * @route DELETE /api/holidays/:id
+ * @desc Delete a holiday
+ * @access Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await Holiday.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted',
+    });
+  } catch (error) {
+    handleError(res, error, 'deleting holiday');
+  }
+});
+
+module.exports = router;
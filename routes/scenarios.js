@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { Scenario } = require('../models');
+const { authenticateToken } = require('./auth');
+const ScenarioService = require('../services/ScenarioService');
+
+/**
+ * Respond with 400 when express-validator found problems
+ */
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  next();
+}
+
+/**
+ * Map scenario errors to a status code: 404 for unknown scenarios, 422 for
+ * inputs the scenario cannot be run with
+ */
+function errorStatus(error) {
+  if (error.message === 'Scenario not found') return 404;
+  if (error.message === 'No forecasts found for the scenario' ||
+    error.message === 'End date must not be before start date' ||
+    error.message.startsWith('Scenarios cover at most') ||
+    error.message.startsWith('At most')) {
+    return 422;
+  }
+  return 500;
+}
+
+const adjustmentRules = prefix => [
+  body(`${prefix}.volumePercent`).optional().isFloat({ min: -100, max: 1000 }),
+  body(`${prefix}.ahtSeconds`).optional().isFloat({ min: -3600, max: 3600 }),
+  body(`${prefix}.shrinkage`).optional({ nullable: true }).isFloat({ min: 0, max: 0.95 }),
+  body(`${prefix}.serviceLevelTarget`).optional({ nullable: true }).isFloat({ min: 0.01, max: 1 }),
+  body(`${prefix}.serviceLevelThreshold`).optional({ nullable: true }).isInt({ min: 1 }),
+];
+
+/**
+ * @route POST /api/scenarios
+ * @desc Run a what-if scenario on cloned forecasts (preview with save: false)
+ * @access Private
+ */
+router.post('/', [
+  authenticateToken,
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('channelIds').optional().isArray(),
+  body('channelIds.*').optional().isUUID().withMessage('Channel IDs must be UUIDs'),
+  body('adjustments').optional().isObject(),
+  ...adjustmentRules('adjustments'),
+  body('adjustments.headcountChange').optional().isInt({ min: -10000, max: 10000 }),
+  body('adjustments.channels').optional().isObject(),
+  ...adjustmentRules('adjustments.channels.*'),
+  body('generateSchedule').optional().isBoolean(),
+  body('save').optional().isBoolean(),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const { name, description, startDate, endDate, channelIds, adjustments, generateSchedule, save } = req.body;
+
+    const scenario = await ScenarioService.createScenario({
+      name,
+      description,
+      startDate,
+      endDate,
+      channelIds: channelIds || [],
+      adjustments: adjustments || {},
+      generateSchedule: generateSchedule === true,
+      save: save !== false,
+      userId: req.user.id,
+    });
+
+    res.status(save === false ? 200 : 201).json({
+      success: true,
+      data: { scenario },
+    });
+  } catch (error) {
+    console.error('Error running scenario:', error);
+    const status = errorStatus(error);
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/scenarios
+ * @desc List saved scenarios (summaries only)
+ * @access Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const scenarios = await Scenario.findAll({
+      attributes: { exclude: ['channels'] },
+      order: [['created_at', 'DESC']],
+    });
+
+    res.json({
+      success: true,
+      data: { scenarios },
+    });
+  } catch (error) {
+    console.error('Error fetching scenarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route GET /api/scenarios/compare
+ * @desc Compare saved scenarios side by side (ids comma separated)
+ * @access Private
+ */
+router.get('/compare', [
+  authenticateToken,
+  query('ids').notEmpty().withMessage('Scenario IDs are required'),
+  handleValidation,
+], async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean))];
+    const comparison = await ScenarioService.compareScenarios(ids);
+
+    res.json({
+      success: true,
+      data: comparison,
+    });
+  } catch (error) {
+    console.error('Error comparing scenarios:', error);
+    const status = errorStatus(error);
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/scenarios/:id
+ * @desc Get a scenario with its per-channel interval results
+ * @access Private
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const scenario = await Scenario.findByPk(req.params.id);
+
+    if (!scenario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scenario not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { scenario },
+    });
+  } catch (error) {
+    console.error('Error fetching scenario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @route POST /api/scenarios/:id/rerun
+ * @desc Recalculate a scenario against the current live forecasts
+ * @access Private
+ */
+router.post('/:id/rerun', authenticateToken, async (req, res) => {
+  try {
+    const scenario = await ScenarioService.rerunScenario(req.params.id);
+
+    res.json({
+      success: true,
+      data: { scenario },
+    });
+  } catch (error) {
+    console.error('Error rerunning scenario:', error);
+    const status = errorStatus(error);
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/scenarios/:id
+ * @desc Delete a scenario
+ * @access Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await Scenario.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scenario not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scenario deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting scenario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+module.exports = router;
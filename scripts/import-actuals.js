@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../models');
+const ActualsIngestionService = require('../services/ActualsIngestionService');
+const logger = require('../utils/logger');
+
+/**
+ * Import interval actuals from a CSV or JSON file.
+ *
+ * Usage: node scripts/import-actuals.js <file> [--format csv|json] [--report <file>]
+ *
+ * Columns / keys: channel, skill, date, hour, minute, interval_minutes,
+ * offered, handled, abandoned, aht (minutes), service_level, agents_available
+ */
+function parseArgs(argv) {
+  const args = { file: null, format: null, report: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else if (argv[i] === '--report') {
+      args.report = argv[++i];
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  if (!args.format && args.file) {
+    args.format = path.extname(args.file).toLowerCase() === '.json' ? 'json' : 'csv';
+  }
+
+  return args;
+}
+
+async function importActuals(argv) {
+  const args = parseArgs(argv);
+  if (!args.file) {
+    throw new Error('Usage: node scripts/import-actuals.js <file> [--format csv|json] [--report <file>]');
+  }
+
+  const content = fs.readFileSync(args.file, 'utf8');
+  let records;
+  if (args.format === 'json') {
+    const parsed = JSON.parse(content);
+    records = Array.isArray(parsed) ? parsed : parsed.records;
+  } else {
+    records = ActualsIngestionService.parseCsv(content);
+  }
+
+  await sequelize.authenticate();
+  const { summary, report } = await ActualsIngestionService.ingest(records || [], { source: 'cli' });
+
+  for (const row of report.filter(r => r.status === 'error')) {
+    logger.warn(`Row ${row.row}: ${row.errors.join('; ')}`);
+  }
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify({ summary, report }, null, 2));
+  }
+
+  return summary;
+}
+
+// Run import if called directly
+if (require.main === module) {
+  importActuals(process.argv.slice(2))
+    .then((summary) => {
+      logger.info(`Actuals import finished: ${JSON.stringify(summary)}`);
+      process.exit(summary.error > 0 ? 2 : 0);
+    })
+    .catch((error) => {
+      logger.error('Actuals import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = importActuals;
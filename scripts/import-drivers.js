@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../models');
+const ActualsIngestionService = require('../services/ActualsIngestionService');
+const DemandDriverService = require('../services/DemandDriverService');
+const logger = require('../utils/logger');
+
+/**
+ * Import demand driver values from a CSV or JSON file.
+ *
+ * Usage: node scripts/import-drivers.js <file> [--format csv|json] [--report <file>]
+ *
+ * Columns / keys: driver, channel (empty for all channels), date,
+ * hour (empty for a daily value), value
+ */
+function parseArgs(argv) {
+  const args = { file: null, format: null, report: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else if (argv[i] === '--report') {
+      args.report = argv[++i];
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  if (!args.format && args.file) {
+    args.format = path.extname(args.file).toLowerCase() === '.json' ? 'json' : 'csv';
+  }
+
+  return args;
+}
+
+async function importDrivers(argv) {
+  const args = parseArgs(argv);
+  if (!args.file) {
+    throw new Error('Usage: node scripts/import-drivers.js <file> [--format csv|json] [--report <file>]');
+  }
+
+  const content = fs.readFileSync(args.file, 'utf8');
+  let records;
+  if (args.format === 'json') {
+    const parsed = JSON.parse(content);
+    records = Array.isArray(parsed) ? parsed : parsed.records;
+  } else {
+    records = ActualsIngestionService.parseCsv(content);
+  }
+
+  await sequelize.authenticate();
+  const { summary, report } = await DemandDriverService.ingest(records || [], { source: 'cli' });
+
+  for (const row of report.filter(r => r.status === 'error')) {
+    logger.warn(`Row ${row.row}: ${row.errors.join('; ')}`);
+  }
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify({ summary, report }, null, 2));
+  }
+
+  return summary;
+}
+
+// Run import if called directly
+if (require.main === module) {
+  importDrivers(process.argv.slice(2))
+    .then((summary) => {
+      logger.info(`Demand driver import finished: ${JSON.stringify(summary)}`);
+      process.exit(summary.error > 0 ? 2 : 0);
+    })
+    .catch((error) => {
+      logger.error('Demand driver import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = importDrivers;
@@ -1,4 +1,4 @@
-const { sequelize, User, Agent, Channel, Skill, Schedule, Shift, TimeOff, Forecast } = require('../models');
+const { sequelize, User, Agent, Channel, Skill, Schedule, Shift, TimeOff, Forecast, HolidayCalendar, Holiday } = require('../models');
 const bcrypt = require('bcryptjs');
 const moment = require('moment-timezone');
 const logger = require('../utils/logger');
@@ -22,6 +22,7 @@ class DatabaseSeeder {
       // Seed in order due to dependencies
       await this.seedUsers();
       await this.seedAgents();
+      await this.seedHolidayCalendars();
       await this.seedChannels();
       await this.seedSkills();
       await this.linkAgentSkills();
@@ -208,6 +209,34 @@ class DatabaseSeeder {
     logger.info(`Seeded ${this.channels.length} channels`);
   }
 
+  async seedHolidayCalendars() {
+    this.holidayCalendar = await HolidayCalendar.create({
+      name: 'Singapore',
+      description: 'Singapore public holidays with fixed dates',
+      region: 'SG',
+      timezone: 'Asia/Singapore',
+      is_default: true,
+    });
+
+    // Lunar and religious holidays move every year; import them from an ICS file
+    const fixedHolidays = [
+      ['01-01', "New Year's Day"],
+      ['05-01', 'Labour Day'],
+      ['08-09', 'National Day'],
+      ['12-25', 'Christmas Day'],
+    ];
+    const years = [moment().year() - 1, moment().year(), moment().year() + 1];
+
+    const holidays = await Holiday.bulkCreate(
+      years.flatMap(year => fixedHolidays.map(([monthDay, name]) => ({
+        holiday_calendar_id: this.holidayCalendar.id,
+        holiday_date: `${year}-${monthDay}`,
+        name,
+      })))
+    );
+    logger.info(`Seeded ${holidays.length} holidays`);
+  }
+
   async seedSkills() {
     const skillData = [
       {
@@ -13,11 +13,19 @@ const scheduleRoutes = require('./routes/schedules');
 const forecastRoutes = require('./routes/forecasts');
 const shiftRoutes = require('./routes/shifts');
 const analyticsRoutes = require('./routes/analytics');
+const holidayRoutes = require('./routes/holidays');
+const eventRoutes = require('./routes/events');
+const capacityRoutes = require('./routes/capacity');
+const scenarioRoutes = require('./routes/scenarios');
 
 // Import services
 const { sequelize } = require('./models');
 const ForecastService = require('./services/ForecastService');
 const ScheduleOptimizer = require('./services/ScheduleOptimizer');
+const BacktestService = require('./services/BacktestService');
+const SpecialEventService = require('./services/SpecialEventService');
+const IntradayReforecastService = require('./services/IntradayReforecastService');
+const DataCleansingService = require('./services/DataCleansingService');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -50,6 +58,10 @@ app.use('/api/schedules', scheduleRoutes);
 app.use('/api/forecasts', forecastRoutes);
 app.use('/api/shifts', shiftRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/capacity', capacityRoutes);
+app.use('/api/scenarios', scenarioRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -89,6 +101,16 @@ cron.schedule('0 * * * *', async () => {
   }
 });
 
+// Reproject the rest of today from its actuals every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const outlook = await IntradayReforecastService.reforecastAll();
+    io.emit('intraday-reforecast', outlook);
+  } catch (error) {
+    logger.error('Error in intraday reforecast:', error);
+  }
+});
+
 // Run schedule optimization daily at 2 AM
 cron.schedule('0 2 * * *', async () => {
   try {
@@ -100,6 +122,38 @@ cron.schedule('0 2 * * *', async () => {
   }
 });
 
+// Check yesterday's actuals for outliers daily at 12:30 AM
+cron.schedule('30 0 * * *', async () => {
+  try {
+    logger.info('Detecting outliers in actuals');
+    const result = await DataCleansingService.detectAll();
+    if (result.suggested) io.emit('data-quality-flags', { ...result, timestamp: new Date() });
+  } catch (error) {
+    logger.error('Error detecting outliers in actuals:', error);
+  }
+});
+
+// Measure the uplift of finished special events daily at 1 AM
+cron.schedule('0 1 * * *', async () => {
+  try {
+    logger.info('Evaluating finished special events');
+    await SpecialEventService.evaluateFinishedEvents();
+  } catch (error) {
+    logger.error('Error evaluating special events:', error);
+  }
+});
+
+// Re-run forecast backtests and champion selection weekly on Sunday at 3 AM
+cron.schedule('0 3 * * 0', async () => {
+  try {
+    logger.info('Running weekly forecast backtests');
+    await BacktestService.runScheduledBacktests();
+    io.emit('forecast-champions-updated', { timestamp: new Date() });
+  } catch (error) {
+    logger.error('Error in weekly forecast backtests:', error);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -0,0 +1,235 @@
+const Joi = require('joi');
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Forecast, Channel, Skill } = require('../models');
+const logger = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One interval of actuals; AHT is in minutes like Channel.average_handle_time
+const actualSchema = Joi.object({
+  channel: Joi.string().required(),
+  skill: Joi.string().allow(null, ''),
+  date: Joi.date().iso().required(),
+  hour: Joi.number().integer().min(0).max(23).required(),
+  minute: Joi.number().integer().min(0).max(59).default(0),
+  interval_minutes: Joi.number().valid(15, 30, 60).default(60),
+  offered: Joi.number().integer().min(0).required(),
+  handled: Joi.number().integer().min(0).allow(null),
+  abandoned: Joi.number().integer().min(0).allow(null),
+  aht: Joi.number().min(0).allow(null),
+  service_level: Joi.number().min(0).max(100).allow(null),
+  agents_available: Joi.number().integer().min(0).allow(null),
+}).rename('channel_id', 'channel', { ignoreUndefined: true })
+  .rename('skill_id', 'skill', { ignoreUndefined: true })
+  .options({ convert: true, stripUnknown: true });
+
+class ActualsIngestionService {
+  /**
+   * Upsert interval actuals onto forecast rows, creating actual-only rows
+   * where nothing was forecast. Re-sending the same data leaves rows unchanged.
+   * Returns a summary and a per-row report.
+   */
+  async ingest(records, { source = 'api' } = {}) {
+    const report = [];
+    const lookups = { channels: new Map(), skills: new Map() };
+
+    for (let i = 0; i < records.length; i++) {
+      try {
+        const result = await this.ingestRecord(records[i], lookups, source);
+        report.push({ row: i + 1, ...result });
+      } catch (error) {
+        report.push({
+          row: i + 1,
+          status: 'error',
+          errors: error.details ? error.details.map(d => d.message) : [error.message],
+        });
+      }
+    }
+
+    const summary = report.reduce((counts, r) => {
+      counts[r.status] = (counts[r.status] || 0) + 1;
+      return counts;
+    }, { created: 0, updated: 0, unchanged: 0, error: 0 });
+
+    logger.info(`Ingested ${records.length} actuals rows from ${source}: ` +
+      `${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.error} errors`);
+
+    return { summary, report };
+  }
+
+  async ingestRecord(record, lookups, source) {
+    const value = await actualSchema.validateAsync(record, { abortEarly: false });
+
+    const channel = await this.resolve(Channel, value.channel, lookups.channels);
+    if (!channel) {
+      throw new Error(`Unknown channel "${value.channel}"`);
+    }
+
+    let skillId = null;
+    if (value.skill) {
+      const skill = await this.resolve(Skill, value.skill, lookups.skills);
+      if (!skill) {
+        throw new Error(`Unknown skill "${value.skill}"`);
+      }
+      skillId = skill.id;
+    }
+
+    if (value.minute % value.interval_minutes !== 0) {
+      throw new Error(`Minute ${value.minute} does not start a ${value.interval_minutes}-minute interval`);
+    }
+
+    if (value.handled != null && value.abandoned != null && value.handled + value.abandoned > value.offered) {
+      throw new Error('Handled plus abandoned cannot exceed offered');
+    }
+
+    const forecastDate = moment(value.date).format('YYYY-MM-DD');
+    const actuals = {
+      actual_volume: value.offered,
+      actual_handled_volume: value.handled,
+      actual_abandoned_volume: value.abandoned,
+      actual_average_handle_time: value.aht,
+      // Accept 0-1 or percentages
+      actual_service_level: value.service_level == null
+        ? null
+        : (value.service_level > 1 ? value.service_level / 100 : value.service_level),
+      actual_agents_available: value.agents_available,
+    };
+    // Only overwrite fields the source actually sent
+    Object.keys(actuals).forEach(key => actuals[key] === undefined && delete actuals[key]);
+
+    const key = {
+      channel_id: channel.id,
+      skill_id: skillId,
+      forecast_date: forecastDate,
+      forecast_hour: value.hour,
+      forecast_minute: value.minute,
+      interval_minutes: value.interval_minutes,
+    };
+
+    // Volumes are per interval, so actuals only land on rows of the same length
+    const start = value.hour * 60 + value.minute;
+    const others = await Forecast.findAll({
+      where: {
+        channel_id: channel.id,
+        skill_id: skillId,
+        forecast_date: forecastDate,
+        interval_minutes: { [Op.ne]: value.interval_minutes },
+      },
+      attributes: ['forecast_hour', 'forecast_minute', 'interval_minutes'],
+    });
+    const clash = others.find(row => {
+      const rowStart = row.forecast_hour * 60 + row.forecast_minute;
+      return rowStart < start + value.interval_minutes && start < rowStart + row.interval_minutes;
+    });
+    if (clash) {
+      throw new Error(`${value.interval_minutes}-minute actuals overlap the ${clash.interval_minutes}-minute ` +
+        `interval at ${moment({ hour: clash.forecast_hour, minute: clash.forecast_minute }).format('HH:mm')}; ` +
+        `send actuals at the forecast's interval length`);
+    }
+
+    const existing = await Forecast.findOne({ where: key });
+
+    if (!existing) {
+      const created = await Forecast.create({
+        ...key,
+        ...actuals,
+        predicted_volume: null,
+        forecast_method: 'manual',
+        status: 'archived',
+        actuals_source: source,
+        actuals_updated_at: new Date(),
+        notes: 'Actual-only row created by actuals ingestion',
+      });
+      return { status: 'created', forecastId: created.id };
+    }
+
+    const changed = Object.keys(actuals).filter(field => !this.sameValue(existing[field], actuals[field]));
+    if (!changed.length) {
+      return { status: 'unchanged', forecastId: existing.id };
+    }
+
+    await existing.update({
+      ...actuals,
+      actuals_source: source,
+      actuals_updated_at: new Date(),
+    });
+    return { status: 'updated', forecastId: existing.id, fields: changed };
+  }
+
+  /**
+   * Find a channel or skill by ID or name, caching within one ingestion
+   */
+  async resolve(Model, identifier, cache) {
+    if (cache.has(identifier)) return cache.get(identifier);
+
+    const instance = UUID_PATTERN.test(identifier)
+      ? await Model.findByPk(identifier)
+      : await Model.findOne({ where: { name: identifier } });
+
+    cache.set(identifier, instance);
+    return instance;
+  }
+
+  /**
+   * Parse CSV text with a header row into records. Handles quoted fields.
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!nonEmpty.length) return [];
+
+    const headers = nonEmpty[0].map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    return nonEmpty.slice(1).map(values => {
+      const record = {};
+      headers.forEach((header, index) => {
+        const value = (values[index] || '').trim();
+        record[header] = value === '' ? null : value;
+      });
+      return record;
+    });
+  }
+
+  sameValue(current, next) {
+    if (current == null || next == null) return current == null && next == null;
+    return Number(current) === Number(next);
+  }
+}
+
+module.exports = new ActualsIngestionService();
@@ -0,0 +1,288 @@
+const moment = require('moment-timezone');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, ForecastBacktest, Channel } = require('../models');
+const ForecastService = require('./ForecastService');
+const DemandDriverService = require('./DemandDriverService');
+const logger = require('../utils/logger');
+
+// Minimum scored intervals before a method can become champion
+const MIN_SAMPLE_SIZE = 24;
+
+// Errors an hour needs for its own prediction interval; fewer use all hours
+const MIN_HOURLY_ERRORS = 8;
+
+class BacktestService {
+  /**
+   * Replay rolling-origin forecasts over past actuals for one channel and
+   * score every method at every horizon. Optionally records a champion.
+   */
+  async runBacktest({
+    channelId,
+    skillId = null,
+    startDate,
+    endDate,
+    horizons = [1, 7],
+    methods = ForecastService.forecastMethods,
+    selectionHorizon = null,
+    selectChampion = true,
+    userId = null,
+  }) {
+    try {
+      const channel = await Channel.findByPk(channelId);
+      if (!channel) {
+        throw new Error('Channel not found');
+      }
+
+      const start = moment(startDate).startOf('day');
+      const end = moment(endDate).startOf('day');
+      if (end.isBefore(start)) {
+        throw new Error('End date must not be before start date');
+      }
+
+      const maxHorizon = Math.max(...horizons);
+      const actuals = await ForecastService.loadActuals(
+        channelId,
+        skillId,
+        moment(start).subtract(maxHorizon + ForecastService.historyLookbackDays, 'days'),
+        end
+      );
+
+      // Filled-in hours are history to learn from, not actuals to score against
+      const actualsByDay = new Map();
+      for (const actual of actuals) {
+        if (actual.imputed) continue;
+        if (!actualsByDay.has(actual.date)) actualsByDay.set(actual.date, new Map());
+        actualsByDay.get(actual.date).set(actual.hour, actual.volume);
+      }
+
+      // Driver values are known in advance, so the target day's are used as-is
+      const drivers = methods.includes('driver_regression')
+        ? await DemandDriverService.loadDrivers(
+          channel,
+          moment(start).subtract(maxHorizon + ForecastService.historyLookbackDays, 'days'),
+          end
+        )
+        : null;
+
+      const hours = ForecastService.getOperatingHours(channel);
+      const scores = new Map();
+
+      for (const day = moment(start); day.isSameOrBefore(end); day.add(1, 'day')) {
+        const targetDate = day.format('YYYY-MM-DD');
+        const dayActuals = actualsByDay.get(targetDate);
+        if (!dayActuals) continue;
+
+        const externalFactorsByHour = new Map();
+        for (const hour of hours) {
+          externalFactorsByHour.set(hour, await ForecastService.getExternalFactors(targetDate, hour, channel));
+        }
+
+        for (const horizon of horizons) {
+          // The origin is the last day of history the forecast could have seen
+          const asOf = moment(day).subtract(horizon, 'days');
+
+          for (const method of methods) {
+            const predicted = await ForecastService.predictDay(method, {
+              channel,
+              actuals,
+              targetDate,
+              asOf,
+              externalFactorsByHour,
+              drivers,
+            });
+            if (!predicted) continue;
+
+            const key = `${method}|${horizon}`;
+            if (!scores.has(key)) scores.set(key, this.createAccumulator(method, horizon));
+            const accumulator = scores.get(key);
+
+            for (const [hour, prediction] of predicted) {
+              if (!dayActuals.has(hour)) continue;
+              this.accumulate(accumulator, prediction.predictedVolume, dayActuals.get(hour), hour);
+            }
+          }
+        }
+      }
+
+      const runId = uuidv4();
+      const results = [...scores.values()].map(accumulator => ({
+        run_id: runId,
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_method: accumulator.method,
+        horizon_days: accumulator.horizon,
+        evaluation_start: start.format('YYYY-MM-DD'),
+        evaluation_end: end.format('YYYY-MM-DD'),
+        created_by: userId,
+        is_champion: false,
+        ...this.summarize(accumulator),
+        error_quantiles: this.summarizeErrors(accumulator),
+      }));
+
+      if (selectChampion) {
+        const champion = this.selectChampion(results, selectionHorizon || Math.min(...horizons));
+        if (!champion) {
+          logger.warn(`Backtest ${runId} found no method eligible as champion for channel ${channelId}; ` +
+            'the previous champion is retired');
+        }
+      }
+
+      const saved = await sequelize.transaction(async transaction => {
+        // A new selection replaces the old champion, even when nothing qualifies
+        if (selectChampion) {
+          await ForecastBacktest.update(
+            { is_champion: false },
+            { where: { channel_id: channelId, skill_id: skillId, is_champion: true }, transaction }
+          );
+        }
+        return ForecastBacktest.bulkCreate(results, { transaction });
+      });
+      logger.info(`Backtest ${runId} scored ${saved.length} method/horizon combinations for channel ${channelId}`);
+
+      return {
+        runId,
+        results: saved,
+        champion: saved.find(r => r.is_champion) || null,
+      };
+
+    } catch (error) {
+      logger.error('Error running forecast backtest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Backtest every active channel over the recent past (called by cron job)
+   */
+  async runScheduledBacktests(evaluationDays = 28) {
+    try {
+      const channels = await Channel.findAll({ where: { is_active: true } });
+      const endDate = moment().subtract(1, 'day').format('YYYY-MM-DD');
+      const startDate = moment().subtract(evaluationDays, 'days').format('YYYY-MM-DD');
+
+      for (const channel of channels) {
+        await this.runBacktest({ channelId: channel.id, startDate, endDate });
+      }
+
+      logger.info('Scheduled forecast backtests completed');
+    } catch (error) {
+      logger.error('Error running scheduled backtests:', error);
+    }
+  }
+
+  /**
+   * Mark the method with the lowest WAPE at the selection horizon as champion
+   * and explain the choice. Ties go to the smaller absolute bias.
+   */
+  selectChampion(results, horizon) {
+    const candidates = results
+      .filter(r => r.horizon_days === horizon && r.sample_size >= MIN_SAMPLE_SIZE && r.wape !== null)
+      .sort((a, b) => (a.wape - b.wape) || (Math.abs(a.bias) - Math.abs(b.bias)));
+
+    if (!candidates.length) {
+      return null;
+    }
+
+    const [champion, runnerUp] = candidates;
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+
+    champion.is_champion = true;
+    champion.selection_reason = `Lowest WAPE (${percent(champion.wape)}) over ${champion.sample_size} intervals ` +
+      `at a ${horizon}-day horizon, bias ${percent(champion.bias)}, ` +
+      `interval coverage ${percent(champion.interval_coverage)}` +
+      (runnerUp ? `; runner-up ${runnerUp.forecast_method} at ${percent(runnerUp.wape)} WAPE` : '');
+
+    return champion;
+  }
+
+  /**
+   * Utility methods
+   */
+  createAccumulator(method, horizon) {
+    return {
+      method,
+      horizon,
+      count: 0,
+      percentageErrorCount: 0,
+      totalPercentageError: 0,
+      totalAbsoluteError: 0,
+      totalError: 0,
+      totalActual: 0,
+      covered: 0,
+      relativeErrors: {},
+    };
+  }
+
+  accumulate(accumulator, predictedVolume, actual, hour = null) {
+    const error = predictedVolume.volume - actual;
+
+    if (hour !== null) {
+      const errors = accumulator.relativeErrors[hour] || (accumulator.relativeErrors[hour] = []);
+      errors.push((actual - predictedVolume.volume) / Math.max(predictedVolume.volume, 1));
+    }
+
+    accumulator.count += 1;
+    accumulator.totalAbsoluteError += Math.abs(error);
+    accumulator.totalError += error;
+    accumulator.totalActual += actual;
+
+    if (actual > 0) {
+      accumulator.percentageErrorCount += 1;
+      accumulator.totalPercentageError += Math.abs(error) / actual;
+    }
+
+    if (actual >= predictedVolume.minVolume && actual <= predictedVolume.maxVolume) {
+      accumulator.covered += 1;
+    }
+  }
+
+  summarize(accumulator) {
+    return {
+      sample_size: accumulator.count,
+      mape: accumulator.percentageErrorCount > 0
+        ? accumulator.totalPercentageError / accumulator.percentageErrorCount
+        : null,
+      wape: accumulator.totalActual > 0 ? accumulator.totalAbsoluteError / accumulator.totalActual : null,
+      bias: accumulator.totalActual > 0 ? accumulator.totalError / accumulator.totalActual : null,
+      interval_coverage: accumulator.count > 0 ? accumulator.covered / accumulator.count : null,
+    };
+  }
+
+  /**
+   * P10/P50/P90 of the relative errors, over all hours and for each hour with
+   * enough of them. Applied to a forecast these give its prediction interval.
+   */
+  summarizeErrors(accumulator) {
+    const describe = errors => {
+      const sorted = [...errors].sort((a, b) => a - b);
+      return {
+        p10: this.quantile(sorted, 0.1),
+        p50: this.quantile(sorted, 0.5),
+        p90: this.quantile(sorted, 0.9),
+        n: sorted.length,
+      };
+    };
+
+    const all = Object.values(accumulator.relativeErrors).flat();
+    if (!all.length) return null;
+
+    const byHour = {};
+    for (const [hour, errors] of Object.entries(accumulator.relativeErrors)) {
+      if (errors.length >= MIN_HOURLY_ERRORS) byHour[hour] = describe(errors);
+    }
+
+    return { all: describe(all), byHour };
+  }
+
+  /**
+   * Quantile of sorted values with linear interpolation
+   */
+  quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+}
+
+module.exports = new BacktestService();
@@ -0,0 +1,330 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { CapacityPlan, Forecast, Agent, Channel } = require('../models');
+const logger = require('../utils/logger');
+
+const DEFAULT_ASSUMPTIONS = {
+  hoursPerFte: 40,
+  // Leave, training and other time off not already in channel shrinkage
+  planningShrinkage: 0.10,
+  annualAttrition: 0.30,
+  // Weeks from opening a requisition to the hire's first day
+  hiringLeadTimeWeeks: 6,
+  // Classroom weeks before a new hire takes contacts
+  trainingWeeks: 4,
+  // Weeks on the floor to reach full productivity, starting from rampStartProductivity
+  rampWeeks: 8,
+  rampStartProductivity: 0.5,
+  productivityByLevel: {
+    trainee: 0.5,
+    junior: 0.9,
+    senior: 1.0,
+    expert: 1.0,
+    supervisor: 0.5,
+  },
+  maxOvertimeHoursPerAgent: 5,
+  // A shortfall must last this many weeks before it is hired for, otherwise overtime covers it
+  sustainedGapWeeks: 4,
+  minimumHiringGapFte: 0.5,
+  weeklyGrowthRate: 0,
+};
+
+// Weeks of requirement history used to project weeks without forecasts
+const BASELINE_WEEKS = 4;
+
+class CapacityPlanningService {
+  /**
+   * Build a weekly and monthly hiring and overtime plan from forecast
+   * requirements, current headcount and planning assumptions. Saved unless
+   * `save` is false.
+   */
+  async createPlan({
+    name,
+    startDate,
+    weeks = 26,
+    channelIds = [],
+    assumptions = {},
+    save = true,
+    userId = null,
+  }) {
+    const settings = this.getAssumptions(assumptions);
+    const start = moment(startDate).startOf('isoWeek');
+    const weekStarts = Array.from({ length: weeks }, (_, i) => moment(start).add(i, 'weeks'));
+    const end = moment(weekStarts[weekStarts.length - 1]).add(6, 'days');
+
+    const requirements = await this.loadWeeklyRequirements(
+      channelIds,
+      moment(start).subtract(BASELINE_WEEKS, 'weeks'),
+      end
+    );
+    const demand = this.projectDemand(weekStarts, requirements, settings);
+    const agents = await this.loadAgents(channelIds);
+
+    const weekly = this.calculatePlan(weekStarts, demand, agents, settings);
+    const monthly = this.rollUpMonthly(weekly);
+    const summary = {
+      agents: agents.length,
+      totalHires: weekly.reduce((sum, w) => sum + w.hiresStarting, 0),
+      totalOvertimeHours: Math.round(weekly.reduce((sum, w) => sum + w.overtimeHours, 0)),
+      totalUncoveredHours: Math.round(weekly.reduce((sum, w) => sum + w.uncoveredHours, 0)),
+      projectedWeeks: weekly.filter(w => w.demandSource === 'projected').length,
+    };
+
+    const plan = {
+      name: name || `Capacity plan from ${start.format('YYYY-MM-DD')}`,
+      start_date: start.format('YYYY-MM-DD'),
+      end_date: end.format('YYYY-MM-DD'),
+      channel_ids: channelIds,
+      assumptions: settings,
+      weekly,
+      monthly,
+      summary,
+      created_by: userId,
+    };
+
+    if (!save) return plan;
+
+    const saved = await CapacityPlan.create(plan);
+    logger.info(`Created capacity plan ${saved.id} over ${weeks} weeks: ${summary.totalHires} hires`);
+    return saved;
+  }
+
+  getAssumptions(overrides = {}) {
+    return {
+      ...DEFAULT_ASSUMPTIONS,
+      ...overrides,
+      productivityByLevel: {
+        ...DEFAULT_ASSUMPTIONS.productivityByLevel,
+        ...(overrides.productivityByLevel || {}),
+      },
+    };
+  }
+
+  /**
+   * Scheduled hours required per ISO week from live forecast intervals, with
+   * the number of days each week has forecasts for. Where a channel interval
+   * is split into skill forecasts the skills are counted instead of the
+   * channel row, as in ScheduleOptimizer.calculateIntervalRequirements.
+   */
+  async loadWeeklyRequirements(channelIds, startDate, endDate) {
+    const where = {
+      forecast_date: {
+        [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+      },
+      predicted_volume: { [Op.not]: null },
+      required_agents: { [Op.not]: null },
+    };
+    if (channelIds && channelIds.length) where.channel_id = channelIds;
+
+    const forecasts = await Forecast.findAll({
+      where,
+      attributes: [
+        'channel_id',
+        'skill_id',
+        'forecast_date',
+        'forecast_hour',
+        'forecast_minute',
+        'required_agents',
+        'interval_minutes',
+      ],
+    });
+
+    const periodKey = f => `${moment(f.forecast_date).format('YYYY-MM-DD')}|${f.forecast_hour}|${f.forecast_minute}|${f.channel_id}`;
+    const skillSplit = new Set(forecasts.filter(f => f.skill_id).map(periodKey));
+
+    const weeks = new Map();
+    for (const forecast of forecasts) {
+      if (!forecast.skill_id && skillSplit.has(periodKey(forecast))) continue;
+
+      const week = moment(forecast.forecast_date).startOf('isoWeek').format('YYYY-MM-DD');
+      if (!weeks.has(week)) weeks.set(week, { hours: 0, days: new Set() });
+
+      const entry = weeks.get(week);
+      entry.hours += forecast.required_agents * (forecast.interval_minutes || 60) / 60;
+      entry.days.add(moment(forecast.forecast_date).format('YYYY-MM-DD'));
+    }
+
+    return weeks;
+  }
+
+  /**
+   * Required hours for each planned week. Partly forecast weeks are scaled to
+   * seven days; weeks without forecasts continue the recent average with growth.
+   */
+  projectDemand(weekStarts, requirements, settings) {
+    const known = [...requirements.entries()]
+      .map(([week, entry]) => ({ week, hours: entry.hours * 7 / entry.days.size }))
+      .sort((a, b) => a.week.localeCompare(b.week));
+
+    if (!known.length) {
+      throw new Error('No forecast requirements found to plan from');
+    }
+
+    return weekStarts.map(weekStart => {
+      const week = weekStart.format('YYYY-MM-DD');
+      const entry = requirements.get(week);
+      if (entry) {
+        return {
+          source: entry.days.size >= 7 ? 'forecast' : 'partial_forecast',
+          hours: entry.hours * 7 / entry.days.size,
+        };
+      }
+
+      const before = known.filter(k => k.week < week).slice(-BASELINE_WEEKS);
+      const baseline = before.length ? before : known.slice(0, BASELINE_WEEKS);
+      const average = baseline.reduce((sum, k) => sum + k.hours, 0) / baseline.length;
+      const weeksAhead = weekStart.diff(moment(baseline[baseline.length - 1].week), 'weeks');
+
+      return {
+        source: 'projected',
+        hours: average * Math.pow(1 + settings.weeklyGrowthRate, Math.max(0, weeksAhead)),
+      };
+    });
+  }
+
+  async loadAgents(channelIds) {
+    const options = { where: { status: 'active' } };
+    if (channelIds && channelIds.length) {
+      options.include = [{ model: Channel, where: { id: channelIds }, attributes: ['id'] }];
+    }
+    return Agent.findAll(options);
+  }
+
+  /**
+   * Week-by-week plan. Existing agents shrink by attrition and ramp by
+   * certification; sustained shortfalls are hired for as early as lead time
+   * and training allow, and the remaining gaps go to overtime.
+   */
+  calculatePlan(weekStarts, demand, agents, settings) {
+    const weeklyRetention = Math.pow(1 - settings.annualAttrition, 1 / 52);
+    const productiveHours = settings.hoursPerFte * (1 - settings.planningShrinkage);
+
+    const requiredFte = demand.map(d => d.hours / productiveHours);
+    const existingFte = weekStarts.map((weekStart, w) =>
+      agents.reduce((sum, agent) =>
+        sum + this.getAgentFte(agent, settings) * this.getAgentProductivity(agent, weekStart, settings), 0) *
+      Math.pow(weeklyRetention, w)
+    );
+    const overtimeCapacity = weekStarts.map((_, w) =>
+      agents.filter(agent => agent.overtime_eligible).length *
+      settings.maxOvertimeHoursPerAgent * Math.pow(weeklyRetention, w)
+    );
+
+    // hires[s] = new hires starting in week s
+    const hires = new Array(weekStarts.length).fill(0);
+    const hireFte = w => hires.reduce((sum, count, s) => {
+      if (!count || s > w) return sum;
+      return sum + count * this.getNewHireProductivity(w - s, settings) * Math.pow(weeklyRetention, w - s);
+    }, 0);
+    const gap = w => requiredFte[w] - existingFte[w] - hireFte(w);
+
+    // Hiring decisions count planned hires as full FTE once out of training;
+    // their ramp-up shortfall is left to overtime instead of hiring again
+    const committedGap = w => requiredFte[w] - existingFte[w] - hires.reduce((sum, count, s) =>
+      (count && s + settings.trainingWeeks <= w ? sum + count * Math.pow(weeklyRetention, w - s) : sum), 0);
+
+    const earliestStart = settings.hiringLeadTimeWeeks;
+    for (let w = 0; w < weekStarts.length; w++) {
+      if (w < earliestStart + settings.trainingWeeks) continue;
+
+      const window = [];
+      for (let i = w; i < Math.min(w + settings.sustainedGapWeeks, weekStarts.length); i++) window.push(committedGap(i));
+      const sustained = Math.min(...window);
+      if (sustained < settings.minimumHiringGapFte) continue;
+
+      // Start early enough to be fully ramped by week w when lead time allows
+      const startWeek = Math.max(earliestStart, w - settings.trainingWeeks - settings.rampWeeks);
+      hires[startWeek] += Math.ceil(sustained);
+    }
+
+    return weekStarts.map((weekStart, w) => {
+      const newHireFte = hireFte(w);
+      const shortfall = Math.max(0, gap(w)) * productiveHours;
+      const overtimeHours = Math.min(shortfall, overtimeCapacity[w]);
+
+      return {
+        weekStart: weekStart.format('YYYY-MM-DD'),
+        demandSource: demand[w].source,
+        requiredHours: this.round(demand[w].hours),
+        requiredFte: this.round(requiredFte[w]),
+        existingFte: this.round(existingFte[w]),
+        newHireFte: this.round(newHireFte),
+        gapFte: this.round(requiredFte[w] - existingFte[w] - newHireFte),
+        hiresStarting: hires[w],
+        requisitionsToOpen: hires[w + settings.hiringLeadTimeWeeks] || 0,
+        overtimeHours: this.round(overtimeHours),
+        uncoveredHours: this.round(shortfall - overtimeHours),
+      };
+    });
+  }
+
+  rollUpMonthly(weekly) {
+    const months = new Map();
+    for (const week of weekly) {
+      const month = week.weekStart.slice(0, 7);
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push(week);
+    }
+
+    const average = (weeks, field) => this.round(weeks.reduce((sum, w) => sum + w[field], 0) / weeks.length);
+    const total = (weeks, field) => this.round(weeks.reduce((sum, w) => sum + w[field], 0));
+
+    return [...months.entries()].map(([month, weeks]) => ({
+      month,
+      weeks: weeks.length,
+      requiredHours: total(weeks, 'requiredHours'),
+      averageRequiredFte: average(weeks, 'requiredFte'),
+      averageAvailableFte: this.round(average(weeks, 'existingFte') + average(weeks, 'newHireFte')),
+      hiresStarting: total(weeks, 'hiresStarting'),
+      requisitionsToOpen: total(weeks, 'requisitionsToOpen'),
+      overtimeHours: total(weeks, 'overtimeHours'),
+      uncoveredHours: total(weeks, 'uncoveredHours'),
+    }));
+  }
+
+  /**
+   * Share of a full-time week the agent is contracted for
+   */
+  getAgentFte(agent, settings) {
+    const hours = agent.max_hours_per_week || settings.hoursPerFte;
+    return Math.min(hours, settings.hoursPerFte) / settings.hoursPerFte;
+  }
+
+  /**
+   * Productivity of an existing agent in a week: nothing while still in
+   * training, ramping after training for trainees, otherwise by level
+   */
+  getAgentProductivity(agent, weekStart, settings) {
+    const trainingEnd = agent.training_completion_date ? moment(agent.training_completion_date) : null;
+    if (trainingEnd && weekStart.isBefore(trainingEnd, 'day')) return 0;
+
+    if (agent.certification_level === 'trainee') {
+      const rampStart = trainingEnd || moment(agent.hire_date);
+      return this.getRampProductivity(weekStart.diff(rampStart, 'weeks', true), settings);
+    }
+
+    const level = settings.productivityByLevel[agent.certification_level];
+    return level != null ? level : 1;
+  }
+
+  /**
+   * Productivity of a new hire a number of weeks after their first day
+   */
+  getNewHireProductivity(weeksSinceStart, settings) {
+    if (weeksSinceStart < settings.trainingWeeks) return 0;
+    return this.getRampProductivity(weeksSinceStart - settings.trainingWeeks, settings);
+  }
+
+  getRampProductivity(weeksOnFloor, settings) {
+    if (weeksOnFloor < 0) return 0;
+    if (!settings.rampWeeks) return 1;
+    return Math.min(1, settings.rampStartProductivity +
+      (1 - settings.rampStartProductivity) * weeksOnFloor / settings.rampWeeks);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CapacityPlanningService();
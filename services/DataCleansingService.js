@@ -0,0 +1,439 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { DataQualityFlag, Channel } = require('../models');
+const ForecastService = require('./ForecastService');
+const HolidayService = require('./HolidayService');
+const logger = require('../utils/logger');
+
+// Robust z-score from which an hour of actuals is suggested as an outlier
+const OUTLIER_THRESHOLD = 3.5;
+
+// Days of actuals before the checked range the expected volumes come from
+const DETECTION_LOOKBACK_DAYS = 56;
+
+// Same-weekday values needed before an hour is compared with its weekday only
+const MIN_WEEKDAY_SAMPLES = 3;
+
+// Share of operating hours a day must report before its missing hours are filled
+const MIN_DAY_COVERAGE = 0.5;
+
+// Scales the median absolute deviation to a standard deviation
+const MAD_SCALE = 1.4826;
+
+// Flags that keep an interval from being flagged again
+const ACTIVE_STATUSES = ['suggested', 'applied', 'dismissed'];
+
+class DataCleansingService {
+  /**
+   * Compare each hour of actuals in a date range with the median of the same
+   * weekday and hour over the preceding weeks and suggest the ones beyond the
+   * threshold (robust z-score, noise floor of the square root of the expected
+   * volume) as outliers. Intervals flagged before are skipped. Suggestions
+   * change nothing until a planner applies them.
+   */
+  async detectOutliers(channelId, {
+    skillId = null,
+    startDate,
+    endDate,
+    threshold = OUTLIER_THRESHOLD,
+    save = true,
+  }) {
+    const channel = await Channel.findByPk(channelId);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+
+    const start = moment(startDate).format('YYYY-MM-DD');
+    const end = moment(endDate).format('YYYY-MM-DD');
+    const referenceStart = moment(start).subtract(DETECTION_LOOKBACK_DAYS, 'days');
+
+    const actuals = await ForecastService.loadActuals(channelId, skillId, referenceStart, end, { raw: true });
+    const flags = await this.getFlags(channelId, skillId, referenceStart, end, ACTIVE_STATUSES);
+
+    // Expected volumes come from the history as planners have cleaned it
+    const reference = this.cleanActuals(actuals, flags.filter(f => f.status === 'applied'));
+    const flagged = new Set(flags.map(f => this.flagKey(f)));
+    const scale = this.getHourlyScale(reference);
+
+    const suggestions = [];
+    for (const row of actuals) {
+      if (row.date < start || row.date > end) continue;
+      if (flagged.has(`${row.date}|${row.hour}`) || flagged.has(`${row.date}|*`)) continue;
+
+      const expected = this.getExpectedVolume(reference, row.date, row.hour);
+      if (expected === null) continue;
+
+      const spread = Math.max(scale.get(row.hour) || 0, Math.sqrt(Math.max(expected, 1)));
+      const score = (row.volume - expected) / spread;
+      if (Math.abs(score) < threshold) continue;
+
+      suggestions.push({
+        channel_id: channelId,
+        skill_id: skillId,
+        flag_date: row.date,
+        flag_hour: row.hour,
+        issue: score > 0 ? 'outlier_high' : 'outlier_low',
+        original_volume: Math.round(row.volume),
+        expected_volume: Math.round(expected),
+        score: Math.round(score * 100) / 100,
+        status: 'suggested',
+        detected_at: new Date(),
+      });
+    }
+
+    const missing = this.getCoverageReport(actuals, ForecastService.getOperatingHours(channel), start, end)
+      .filter(day => day.missingHours.length);
+
+    if (!save) return { flags: suggestions, missing };
+
+    const saved = suggestions.length ? await DataQualityFlag.bulkCreate(suggestions) : [];
+    if (saved.length) {
+      logger.info(`Suggested ${saved.length} outliers for channel ${channelId} from ${start} to ${end}`);
+    }
+    return { flags: saved, missing };
+  }
+
+  /**
+   * Check yesterday's actuals of every active channel (called by cron job)
+   */
+  async detectAll() {
+    const channels = await Channel.findAll({ where: { is_active: true } });
+    let suggested = 0;
+
+    for (const channel of channels) {
+      try {
+        const yesterday = ForecastService.getLocalNow(channel).subtract(1, 'day').format('YYYY-MM-DD');
+        const { flags } = await this.detectOutliers(channel.id, { startDate: yesterday, endDate: yesterday });
+        suggested += flags.length;
+      } catch (error) {
+        logger.error(`Error detecting outliers for channel ${channel.id}:`, error);
+      }
+    }
+
+    return { channels: channels.length, suggested };
+  }
+
+  /**
+   * Flag an hour (or, to exclude, a whole day) directly, e.g. a known outage
+   */
+  async createFlag({ channelId, skillId = null, date, hour = null, action, replacementVolume = null, reason, userId }) {
+    const channel = await Channel.findByPk(channelId);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    if (action === 'replace' && (hour === null || replacementVolume === null)) {
+      throw new Error('Replacing actuals needs an hour and a replacement volume');
+    }
+
+    // A whole day conflicts with any applied flag on it, an hour with its own or the day's
+    const flagDate = moment(date).format('YYYY-MM-DD');
+    const where = {
+      channel_id: channelId,
+      skill_id: skillId,
+      flag_date: flagDate,
+      status: 'applied',
+    };
+    if (hour !== null) where[Op.or] = [{ flag_hour: hour }, { flag_hour: null }];
+    if (await DataQualityFlag.findOne({ where })) {
+      throw new Error('These actuals are already excluded or replaced');
+    }
+
+    let actual = null;
+    if (hour !== null) {
+      const rows = await ForecastService.loadActuals(channelId, skillId, flagDate, flagDate, { raw: true });
+      actual = rows.find(r => r.hour === hour) || null;
+    }
+
+    const flag = await DataQualityFlag.create({
+      channel_id: channelId,
+      skill_id: skillId,
+      flag_date: flagDate,
+      flag_hour: hour,
+      issue: 'manual',
+      original_volume: actual ? Math.round(actual.volume) : null,
+      action,
+      replacement_volume: action === 'replace' ? replacementVolume : null,
+      reason,
+      status: 'applied',
+      decided_by: userId,
+      decided_at: new Date(),
+    });
+
+    logger.info(`Actuals of channel ${channelId} on ${flagDate}${hour === null ? '' : ` ${hour}:00`} ` +
+      `marked ${action} by ${userId}: ${reason}`);
+    return flag;
+  }
+
+  /**
+   * Accept a suggested outlier. Replacing defaults to the expected volume.
+   */
+  async applyFlag(id, { action, replacementVolume = null, reason, userId }) {
+    const flag = await this.findFlag(id);
+    if (flag.status !== 'suggested') {
+      throw new Error('Only suggested flags can be applied');
+    }
+
+    await flag.update({
+      action,
+      replacement_volume: action === 'replace'
+        ? (replacementVolume !== null ? replacementVolume : flag.expected_volume)
+        : null,
+      reason,
+      status: 'applied',
+      decided_by: userId,
+      decided_at: new Date(),
+    });
+    return flag;
+  }
+
+  /**
+   * Keep a suggested outlier in the history
+   */
+  async dismissFlag(id, { reason, userId }) {
+    const flag = await this.findFlag(id);
+    if (flag.status !== 'suggested') {
+      throw new Error('Only suggested flags can be dismissed');
+    }
+
+    await flag.update({
+      reason,
+      status: 'dismissed',
+      decided_by: userId,
+      decided_at: new Date(),
+    });
+    return flag;
+  }
+
+  /**
+   * Put applied actuals back into the history as recorded
+   */
+  async revokeFlag(id, { userId }) {
+    const flag = await this.findFlag(id);
+    if (flag.status !== 'applied') {
+      throw new Error('Only applied flags can be revoked');
+    }
+
+    await flag.update({
+      status: 'revoked',
+      revoked_by: userId,
+      revoked_at: new Date(),
+    });
+    return flag;
+  }
+
+  async findFlag(id) {
+    const flag = await DataQualityFlag.findByPk(id);
+    if (!flag) {
+      throw new Error('Data quality flag not found');
+    }
+    return flag;
+  }
+
+  async getFlags(channelId, skillId, startDate, endDate, statuses = ['applied']) {
+    return DataQualityFlag.findAll({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        flag_date: {
+          [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+        },
+        status: statuses,
+      },
+    });
+  }
+
+  /**
+   * Actuals as forecasting sees them: applied flags exclude or replace hours
+   * and the missing operating hours of partly reported and unreported days
+   * are filled (called by ForecastService.loadActuals)
+   */
+  async getCleanActuals(channelId, skillId, actuals, startDate, endDate) {
+    const [channel, flags, holidays] = await Promise.all([
+      Channel.findByPk(channelId),
+      this.getFlags(channelId, skillId, startDate, endDate),
+      HolidayService.getHolidayDates(startDate, endDate, [channelId]),
+    ]);
+    const hours = channel ? ForecastService.getOperatingHours(channel) : null;
+    return this.cleanActuals(actuals, flags, hours, holidays);
+  }
+
+  /**
+   * Apply flags to hourly actuals. With operating hours, days reporting at
+   * least MIN_DAY_COVERAGE of them get their other hours filled with the
+   * median of the same weekday and hour (`imputed`); excluded hours stay out.
+   * Days without any actuals between the first and last reported day are
+   * filled the same way, except holidays, which are left out rather than
+   * given an ordinary day's volume.
+   */
+  cleanActuals(actuals, flags, hours = null, holidays = new Set()) {
+    const byKey = new Map(flags.map(flag => [this.flagKey(flag), flag]));
+    const excluded = new Set();
+    const cleaned = [];
+
+    for (const row of actuals) {
+      const key = `${row.date}|${row.hour}`;
+      const flag = byKey.get(key) || byKey.get(`${row.date}|*`);
+
+      if (!flag) {
+        cleaned.push(row);
+      } else if (flag.action === 'exclude') {
+        excluded.add(key);
+      } else if (flag.action === 'replace') {
+        const volume = Number(flag.replacement_volume);
+        const scale = row.volume > 0 ? volume / row.volume : 0;
+        cleaned.push({
+          ...row,
+          volume,
+          intervals: scale > 0 ? (row.intervals || []).map(i => ({ ...i, volume: i.volume * scale })) : [],
+          replaced: true,
+        });
+      }
+    }
+
+    if (!hours || !hours.length) return cleaned;
+
+    const reported = new Map();
+    for (const row of cleaned) {
+      if (!reported.has(row.date)) reported.set(row.date, new Set());
+      reported.get(row.date).add(row.hour);
+    }
+
+    const reportedDates = [...reported.keys()].sort();
+    if (reportedDates.length) {
+      const last = reportedDates[reportedDates.length - 1];
+      for (const day = moment(reportedDates[0]); day.format('YYYY-MM-DD') < last; day.add(1, 'day')) {
+        const date = day.format('YYYY-MM-DD');
+        // Days excluded as a whole stay out like their hours
+        if (reported.has(date) || holidays.has(date) || byKey.has(`${date}|*`)) continue;
+        reported.set(date, new Set());
+      }
+    }
+
+    const imputed = [];
+    for (const [date, dayHours] of reported) {
+      if (dayHours.size && dayHours.size < hours.length * MIN_DAY_COVERAGE) continue;
+
+      for (const hour of hours) {
+        if (dayHours.has(hour) || excluded.has(`${date}|${hour}`)) continue;
+
+        const expected = this.getExpectedVolume(cleaned, date, hour);
+        if (expected === null) continue;
+        imputed.push({ date, hour, volume: Math.round(expected), intervals: [], imputed: true });
+      }
+    }
+
+    return [...cleaned, ...imputed];
+  }
+
+  /**
+   * Per day in a range: operating hours reported, missing and filled, and
+   * hours excluded or replaced by applied flags. Holidays are flagged since
+   * their missing hours are never filled.
+   */
+  async getCleansingReport(channelId, { skillId = null, startDate, endDate }) {
+    const channel = await Channel.findByPk(channelId);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+
+    const start = moment(startDate).format('YYYY-MM-DD');
+    const end = moment(endDate).format('YYYY-MM-DD');
+    const hours = ForecastService.getOperatingHours(channel);
+
+    // Fill-ins use the same weekday of the weeks before the range
+    const referenceStart = moment(start).subtract(DETECTION_LOOKBACK_DAYS, 'days');
+    const actuals = await ForecastService.loadActuals(channelId, skillId, referenceStart, end, { raw: true });
+    const flags = await this.getFlags(channelId, skillId, start, end, ['suggested', 'applied']);
+    const holidays = await HolidayService.getHolidayDates(referenceStart, end, [channelId]);
+    const cleaned = this.cleanActuals(actuals, flags.filter(f => f.status === 'applied'), hours, holidays);
+
+    const days = this.getCoverageReport(actuals, hours, start, end).map(day => {
+      const dayFlags = flags.filter(f => moment(f.flag_date).format('YYYY-MM-DD') === day.date);
+      const applied = dayFlags.filter(f => f.status === 'applied');
+      const hoursWith = action => applied
+        .filter(f => f.action === action)
+        .flatMap(f => (f.flag_hour === null ? hours : [f.flag_hour]));
+
+      return {
+        ...day,
+        holiday: holidays.has(day.date),
+        imputedHours: cleaned.filter(r => r.imputed && r.date === day.date).map(r => r.hour).sort((a, b) => a - b),
+        excludedHours: hoursWith('exclude'),
+        replacedHours: hoursWith('replace'),
+        suggestedOutliers: dayFlags.filter(f => f.status === 'suggested').length,
+      };
+    });
+
+    return { channelId, skillId, startDate: start, endDate: end, operatingHours: hours, days };
+  }
+
+  getCoverageReport(actuals, hours, startDate, endDate) {
+    const days = [];
+    for (const day = moment(startDate); day.isSameOrBefore(endDate); day.add(1, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      const reported = new Set(actuals.filter(a => a.date === date).map(a => a.hour));
+      days.push({
+        date,
+        reportedHours: hours.filter(h => reported.has(h)).length,
+        missingHours: hours.filter(h => !reported.has(h)),
+      });
+    }
+    return days;
+  }
+
+  /**
+   * Median volume of the hour on the same weekday on other days, or on all
+   * other days when there are fewer than MIN_WEEKDAY_SAMPLES of those
+   */
+  getExpectedVolume(actuals, date, hour) {
+    const weekday = moment(date).day();
+    const others = actuals.filter(a => a.hour === hour && a.date !== date && !a.imputed);
+    const sameWeekday = others.filter(a => moment(a.date).day() === weekday).map(a => a.volume);
+
+    if (sameWeekday.length >= MIN_WEEKDAY_SAMPLES) return this.median(sameWeekday);
+    if (others.length >= MIN_WEEKDAY_SAMPLES) return this.median(others.map(a => a.volume));
+    return null;
+  }
+
+  /**
+   * Robust spread per hour: scaled median absolute deviation of each actual
+   * from the median of its weekday and hour
+   */
+  getHourlyScale(actuals) {
+    const groups = new Map();
+    for (const row of actuals) {
+      const key = `${moment(row.date).day()}|${row.hour}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    const residuals = new Map();
+    for (const rows of groups.values()) {
+      if (rows.length < MIN_WEEKDAY_SAMPLES) continue;
+      const center = this.median(rows.map(r => r.volume));
+      for (const row of rows) {
+        if (!residuals.has(row.hour)) residuals.set(row.hour, []);
+        residuals.get(row.hour).push(Math.abs(row.volume - center));
+      }
+    }
+
+    const scale = new Map();
+    for (const [hour, values] of residuals) {
+      scale.set(hour, MAD_SCALE * this.median(values));
+    }
+    return scale;
+  }
+
+  flagKey(flag) {
+    const date = moment(flag.flag_date).format('YYYY-MM-DD');
+    return `${date}|${flag.flag_hour === null || flag.flag_hour === undefined ? '*' : flag.flag_hour}`;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+module.exports = new DataCleansingService();
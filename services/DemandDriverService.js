@@ -0,0 +1,156 @@
+const Joi = require('joi');
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { DemandDriver, Channel } = require('../models');
+const ActualsIngestionService = require('./ActualsIngestionService');
+const logger = require('../utils/logger');
+
+// One driver value; without a channel it applies to all, without an hour to the whole day
+const driverSchema = Joi.object({
+  driver: Joi.string().trim().max(100).required(),
+  channel: Joi.string().allow(null, ''),
+  date: Joi.date().iso().required(),
+  hour: Joi.number().integer().min(0).max(23).allow(null),
+  value: Joi.number().required(),
+}).rename('name', 'driver', { ignoreUndefined: true })
+  .rename('channel_id', 'channel', { ignoreUndefined: true })
+  .options({ convert: true, stripUnknown: true });
+
+class DemandDriverService {
+  /**
+   * Upsert driver values per date (and hour). Re-sending the same data leaves
+   * rows unchanged. Returns a summary and a per-row report.
+   */
+  async ingest(records, { source = 'api' } = {}) {
+    const report = [];
+    const channels = new Map();
+
+    for (let i = 0; i < records.length; i++) {
+      try {
+        const result = await this.ingestRecord(records[i], channels, source);
+        report.push({ row: i + 1, ...result });
+      } catch (error) {
+        report.push({
+          row: i + 1,
+          status: 'error',
+          errors: error.details ? error.details.map(d => d.message) : [error.message],
+        });
+      }
+    }
+
+    const summary = report.reduce((counts, r) => {
+      counts[r.status] = (counts[r.status] || 0) + 1;
+      return counts;
+    }, { created: 0, updated: 0, unchanged: 0, error: 0 });
+
+    logger.info(`Ingested ${records.length} demand driver rows from ${source}: ` +
+      `${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.error} errors`);
+
+    return { summary, report };
+  }
+
+  async ingestRecord(record, channels, source) {
+    const value = await driverSchema.validateAsync(record, { abortEarly: false });
+
+    let channelId = null;
+    if (value.channel) {
+      const channel = await ActualsIngestionService.resolve(Channel, value.channel, channels);
+      if (!channel) {
+        throw new Error(`Unknown channel "${value.channel}"`);
+      }
+      channelId = channel.id;
+    }
+
+    const key = {
+      name: value.driver,
+      channel_id: channelId,
+      driver_date: moment(value.date).format('YYYY-MM-DD'),
+      driver_hour: value.hour == null ? null : value.hour,
+    };
+
+    const existing = await DemandDriver.findOne({ where: key });
+    if (!existing) {
+      const created = await DemandDriver.create({ ...key, value: value.value, source });
+      return { status: 'created', driverId: created.id };
+    }
+
+    if (ActualsIngestionService.sameValue(existing.value, value.value)) {
+      return { status: 'unchanged', driverId: existing.id };
+    }
+
+    await existing.update({ value: value.value, source });
+    return { status: 'updated', driverId: existing.id };
+  }
+
+  /**
+   * Driver values between two dates, optionally for one driver and the values
+   * that apply to one channel (its own and the global ones)
+   */
+  async getDriverValues({ channelId = null, name = null, startDate, endDate }) {
+    const where = {
+      driver_date: {
+        [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+      },
+    };
+    if (name) where.name = name;
+    if (channelId) where.channel_id = { [Op.or]: [channelId, null] };
+
+    return DemandDriver.findAll({
+      where,
+      order: [['driver_date', 'ASC'], ['driver_hour', 'ASC'], ['name', 'ASC']],
+    });
+  }
+
+  /**
+   * Load the drivers a channel forecasts with between two dates. The drivers
+   * are those listed in `configuration.demand_drivers`, or every driver with
+   * values when the channel lists none. A channel's own values win over
+   * global ones; look values up with getValue.
+   */
+  async loadDrivers(channel, startDate, endDate) {
+    try {
+      const rows = await this.getDriverValues({ channelId: channel.id, startDate, endDate });
+      const configured = this.getConfiguredDrivers(channel);
+
+      const values = new Map();
+      // Global values first so the channel's own overwrite them
+      const ordered = [...rows].sort((a, b) => (a.channel_id ? 1 : 0) - (b.channel_id ? 1 : 0));
+      for (const row of ordered) {
+        if (configured && !configured.includes(row.name)) continue;
+        values.set(this.valueKey(row.name, row.driver_date, row.driver_hour), parseFloat(row.value));
+      }
+
+      const names = configured || [...new Set(rows.map(row => row.name))].sort();
+      return { names, values };
+    } catch (error) {
+      logger.error('Error loading demand drivers:', error);
+      return { names: [], values: new Map() };
+    }
+  }
+
+  /**
+   * Drivers named in the channel configuration, or null when none are
+   */
+  getConfiguredDrivers(channel) {
+    const configured = channel.configuration && channel.configuration.demand_drivers;
+    return Array.isArray(configured) && configured.length ? configured : null;
+  }
+
+  /**
+   * A driver's value for a date and hour: the hourly value, else the daily one
+   */
+  getValue(drivers, name, date, hour) {
+    const day = moment(date).format('YYYY-MM-DD');
+    const hourly = drivers.values.get(this.valueKey(name, day, hour));
+    if (hourly !== undefined) return hourly;
+
+    const daily = drivers.values.get(this.valueKey(name, day, null));
+    return daily === undefined ? null : daily;
+  }
+
+  valueKey(name, date, hour) {
+    return `${name}|${moment(date).format('YYYY-MM-DD')}|${hour == null ? 'day' : hour}`;
+  }
+}
+
+module.exports = new DemandDriverService();
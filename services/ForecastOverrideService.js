@@ -0,0 +1,420 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { sequelize, Forecast, ForecastOverride, Channel, Skill } = require('../models');
+const ForecastService = require('./ForecastService');
+const BacktestService = require('./BacktestService');
+const logger = require('../utils/logger');
+
+// Columns an override can change; all are restored on revert
+const OVERRIDE_FIELDS = [
+  'predicted_volume',
+  'min_volume',
+  'max_volume',
+  'p10_volume',
+  'p50_volume',
+  'p90_volume',
+  'required_agents',
+  'optimal_agents',
+  'minimum_agents',
+  'required_agents_p10',
+  'required_agents_p50',
+  'required_agents_p90',
+  'predicted_service_level',
+  'predicted_average_wait_time',
+  'predicted_occupancy',
+  'predicted_wait_probability',
+  'predicted_abandonment_rate',
+  'is_manual_override',
+  'override_reason',
+  'override_id',
+  'baseline_volume',
+];
+
+class ForecastOverrideService {
+  /**
+   * Adjust every forecast interval of a channel/skill in a date and hour range
+   * by a percentage, an absolute number of contacts, or redistribute the range
+   * volume of each day to a target shape. Staffing is recalculated for each
+   * affected day and the previous values are kept so the override can be reverted.
+   */
+  async applyOverride({
+    channelId,
+    skillId = null,
+    startDate,
+    endDate,
+    startHour = 0,
+    endHour = 24,
+    adjustmentType,
+    change = null,
+    shape = null,
+    reason,
+    userId = null,
+  }) {
+    const channel = await Channel.findByPk(channelId);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    const skill = skillId ? await Skill.findByPk(skillId) : null;
+
+    const forecasts = await Forecast.findAll({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: {
+          [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+        },
+        predicted_volume: { [Op.not]: null },
+        status: { [Op.ne]: 'archived' },
+      },
+      order: [['forecast_date', 'ASC'], ['forecast_hour', 'ASC'], ['forecast_minute', 'ASC']],
+    });
+
+    const days = new Map();
+    for (const forecast of forecasts) {
+      const date = moment(forecast.forecast_date).format('YYYY-MM-DD');
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(forecast);
+    }
+
+    return sequelize.transaction(async transaction => {
+      const override = await ForecastOverride.create({
+        channel_id: channelId,
+        skill_id: skillId,
+        start_date: moment(startDate).format('YYYY-MM-DD'),
+        end_date: moment(endDate).format('YYYY-MM-DD'),
+        start_hour: startHour,
+        end_hour: endHour,
+        adjustment_type: adjustmentType,
+        change,
+        shape,
+        reason,
+        applied_by: userId,
+      }, { transaction });
+
+      const changes = [];
+      for (const dayForecasts of days.values()) {
+        const inRange = dayForecasts.filter(f => f.forecast_hour >= startHour && f.forecast_hour < endHour);
+        if (!inRange.length) continue;
+
+        const volumes = this.adjustVolumes(inRange, { adjustmentType, change, shape });
+        const targeted = new Set(inRange.map(f => f.id));
+
+        // Staff the whole day again so backlog channels can re-level
+        const predicted = dayForecasts.map(f => volumes.get(f.id) || this.getPredictedVolume(f));
+        const intervalMinutes = dayForecasts[0].interval_minutes || 60;
+        const staffing = ForecastService.calculateDailyRequirements(predicted, channel, skill, intervalMinutes);
+        const percentileStaffing = ForecastService.calculatePercentileRequirements(
+          predicted,
+          channel,
+          skill,
+          intervalMinutes
+        );
+
+        for (let i = 0; i < dayForecasts.length; i++) {
+          const forecast = dayForecasts[i];
+          const updates = {
+            ...this.getStaffingFields(staffing[i], percentileStaffing[i]),
+            ...(targeted.has(forecast.id) ? {
+              predicted_volume: predicted[i].volume,
+              min_volume: predicted[i].minVolume,
+              max_volume: predicted[i].maxVolume,
+              p10_volume: predicted[i].p10,
+              p50_volume: predicted[i].p50,
+              p90_volume: predicted[i].p90,
+              is_manual_override: true,
+              override_reason: reason,
+              override_id: override.id,
+              baseline_volume: forecast.baseline_volume !== null ? forecast.baseline_volume : forecast.predicted_volume,
+            } : {}),
+          };
+
+          const changed = Object.keys(updates).some(field => !this.sameValue(forecast[field], updates[field]));
+          if (!changed) continue;
+
+          changes.push({
+            forecastId: forecast.id,
+            date: moment(forecast.forecast_date).format('YYYY-MM-DD'),
+            start: forecast.getIntervalStart(),
+            targeted: targeted.has(forecast.id),
+            before: this.pick(forecast, OVERRIDE_FIELDS),
+            after: { ...this.pick(forecast, OVERRIDE_FIELDS), ...updates },
+          });
+          await forecast.update(updates, { transaction });
+        }
+      }
+
+      await override.update({
+        changes,
+        affected_intervals: changes.filter(c => c.targeted).length,
+      }, { transaction });
+
+      logger.info(`Applied ${adjustmentType} override ${override.id} to ${override.affected_intervals} intervals ` +
+        `of channel ${channelId}: ${reason}`);
+      return override;
+    });
+  }
+
+  /**
+   * Restore the values an override replaced. Overrides applied later on the
+   * same intervals have to be reverted first. Other intervals of the affected
+   * days, which may carry later overrides, keep their volumes and are only
+   * staffed again.
+   */
+  async revertOverride(overrideId, { userId = null } = {}) {
+    const override = await ForecastOverride.findByPk(overrideId);
+    if (!override) {
+      throw new Error('Forecast override not found');
+    }
+    if (override.status === 'reverted') {
+      throw new Error('Forecast override is already reverted');
+    }
+
+    const restored = new Map(override.changes.filter(c => c.targeted).map(c => [c.forecastId, c.before]));
+    const forecasts = await Forecast.findAll({ where: { id: [...restored.keys()] } });
+    if (forecasts.some(f => f.override_id !== override.id)) {
+      throw new Error('These intervals were changed after the override; revert later overrides first');
+    }
+
+    const channel = await Channel.findByPk(override.channel_id);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    const skill = override.skill_id ? await Skill.findByPk(override.skill_id) : null;
+    const dates = [...new Set(override.changes.map(c => c.date))];
+
+    return sequelize.transaction(async transaction => {
+      for (const date of dates) {
+        const dayForecasts = await Forecast.findAll({
+          where: {
+            channel_id: override.channel_id,
+            skill_id: override.skill_id,
+            forecast_date: date,
+            predicted_volume: { [Op.not]: null },
+            status: { [Op.ne]: 'archived' },
+          },
+          order: [['forecast_hour', 'ASC'], ['forecast_minute', 'ASC']],
+          transaction,
+        });
+        if (!dayForecasts.length) continue;
+
+        // Staff the day from the restored volumes and everyone else's current ones
+        const predicted = dayForecasts.map(f => this.getPredictedVolume(restored.get(f.id) || f));
+        const intervalMinutes = dayForecasts[0].interval_minutes || 60;
+        const staffing = ForecastService.calculateDailyRequirements(predicted, channel, skill, intervalMinutes);
+        const percentileStaffing = ForecastService.calculatePercentileRequirements(
+          predicted,
+          channel,
+          skill,
+          intervalMinutes
+        );
+
+        for (let i = 0; i < dayForecasts.length; i++) {
+          const forecast = dayForecasts[i];
+          const updates = {
+            ...(restored.get(forecast.id) || {}),
+            ...this.getStaffingFields(staffing[i], percentileStaffing[i]),
+          };
+          if (Object.keys(updates).some(field => !this.sameValue(forecast[field], updates[field]))) {
+            await forecast.update(updates, { transaction });
+          }
+        }
+      }
+
+      await override.update({
+        status: 'reverted',
+        reverted_by: userId,
+        reverted_at: new Date(),
+      }, { transaction });
+
+      logger.info(`Reverted forecast override ${override.id}`);
+      return override;
+    });
+  }
+
+  /**
+   * Forecast accuracy of the intervals an override changed, scored against
+   * actuals with the volumes before and after the override
+   */
+  async getOverrideAccuracy(override) {
+    const targeted = override.changes.filter(c => c.targeted);
+    const forecasts = await Forecast.findAll({
+      where: {
+        id: targeted.map(c => c.forecastId),
+        actual_volume: { [Op.not]: null },
+      },
+      attributes: ['id', 'actual_volume'],
+    });
+    const actuals = new Map(forecasts.map(f => [f.id, Number(f.actual_volume)]));
+
+    const before = BacktestService.createAccumulator('before', 0);
+    const after = BacktestService.createAccumulator('after', 0);
+    for (const change of targeted) {
+      if (!actuals.has(change.forecastId)) continue;
+
+      const actual = actuals.get(change.forecastId);
+      BacktestService.accumulate(before, this.toPredictedVolume(change.before), actual);
+      BacktestService.accumulate(after, this.toPredictedVolume(change.after), actual);
+    }
+
+    const scoredBefore = BacktestService.summarize(before);
+    const scoredAfter = BacktestService.summarize(after);
+
+    return {
+      overrideId: override.id,
+      reason: override.reason,
+      adjustmentType: override.adjustment_type,
+      status: override.status,
+      intervalsWithActuals: before.count,
+      before: scoredBefore,
+      after: scoredAfter,
+      improved: scoredBefore.wape !== null && scoredAfter.wape !== null
+        ? scoredAfter.wape < scoredBefore.wape
+        : null,
+    };
+  }
+
+  /**
+   * Accuracy before and after for every override of a channel in a date range,
+   * plus totals over all of them
+   */
+  async getAccuracyReport({ channelId, startDate, endDate }) {
+    const where = {
+      start_date: { [Op.lte]: moment(endDate).format('YYYY-MM-DD') },
+      end_date: { [Op.gte]: moment(startDate).format('YYYY-MM-DD') },
+    };
+    if (channelId) where.channel_id = channelId;
+
+    const overrides = await ForecastOverride.findAll({ where, order: [['created_at', 'ASC']] });
+    const reports = [];
+    for (const override of overrides) {
+      reports.push(await this.getOverrideAccuracy(override));
+    }
+
+    const scored = reports.filter(r => r.improved !== null);
+    return {
+      overrides: reports,
+      summary: {
+        overrides: reports.length,
+        scored: scored.length,
+        improved: scored.filter(r => r.improved).length,
+        worsened: scored.filter(r => !r.improved).length,
+      },
+    };
+  }
+
+  /**
+   * New predicted volumes (id -> { volume, minVolume, maxVolume }) for the
+   * intervals in range
+   */
+  adjustVolumes(forecasts, { adjustmentType, change, shape }) {
+    const result = new Map();
+
+    if (adjustmentType === 'shape') {
+      const weights = forecasts.map(f => Math.max(0, parseFloat(shape[f.getIntervalStart()]) || 0));
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+      if (totalWeight <= 0) {
+        throw new Error('Shape has no weight for the intervals in range');
+      }
+
+      const total = forecasts.reduce((sum, f) => sum + f.predicted_volume, 0);
+      const volumes = ForecastService.allocate(total, weights.map(w => w / totalWeight));
+      forecasts.forEach((forecast, i) => {
+        result.set(forecast.id, this.scaleBounds(forecast, volumes[i]));
+      });
+      return result;
+    }
+
+    for (const forecast of forecasts) {
+      const value = parseFloat(change);
+      if (adjustmentType === 'percentage') {
+        result.set(forecast.id, this.scaleBounds(
+          forecast,
+          Math.max(0, Math.round(forecast.predicted_volume * (1 + value / 100)))
+        ));
+      } else {
+        const volume = Math.max(0, Math.round(forecast.predicted_volume + value));
+        const shift = current => (current == null ? null : Math.max(0, Math.round(current + value)));
+        result.set(forecast.id, {
+          volume,
+          minVolume: Math.max(0, Math.round((forecast.min_volume ?? forecast.predicted_volume) + value)),
+          maxVolume: Math.max(volume, Math.round((forecast.max_volume ?? forecast.predicted_volume) + value)),
+          p10: shift(forecast.p10_volume),
+          p50: shift(forecast.p50_volume),
+          p90: shift(forecast.p90_volume),
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Move the interval bounds and percentiles in proportion to the volume
+   */
+  scaleBounds(forecast, volume) {
+    const ratio = forecast.predicted_volume > 0 ? volume / forecast.predicted_volume : 1;
+    const scale = (current, round) => (current == null ? null : round(current * ratio));
+    return {
+      volume,
+      minVolume: Math.max(0, Math.floor((forecast.min_volume ?? volume) * ratio)),
+      maxVolume: Math.max(volume, Math.ceil((forecast.max_volume ?? volume) * ratio)),
+      p10: scale(forecast.p10_volume, Math.floor),
+      p50: scale(forecast.p50_volume, Math.round),
+      p90: scale(forecast.p90_volume, Math.ceil),
+    };
+  }
+
+  getPredictedVolume(forecast) {
+    return {
+      volume: forecast.predicted_volume,
+      minVolume: forecast.min_volume,
+      maxVolume: forecast.max_volume,
+      p10: forecast.p10_volume,
+      p50: forecast.p50_volume,
+      p90: forecast.p90_volume,
+    };
+  }
+
+  toPredictedVolume(values) {
+    return {
+      volume: values.predicted_volume,
+      minVolume: values.min_volume ?? values.predicted_volume,
+      maxVolume: values.max_volume ?? values.predicted_volume,
+    };
+  }
+
+  getStaffingFields(staffing, percentileStaffing) {
+    return {
+      required_agents: staffing.required,
+      optimal_agents: staffing.optimal,
+      minimum_agents: staffing.minimum,
+      required_agents_p10: percentileStaffing.p10,
+      required_agents_p50: percentileStaffing.p50,
+      required_agents_p90: percentileStaffing.p90,
+      predicted_service_level: staffing.predictedServiceLevel,
+      predicted_average_wait_time: staffing.predictedWaitTime,
+      predicted_occupancy: staffing.occupancy,
+      predicted_wait_probability: staffing.probabilityOfWaiting,
+      predicted_abandonment_rate: staffing.predictedAbandonmentRate,
+    };
+  }
+
+  /**
+   * DECIMAL columns are read back as strings
+   */
+  sameValue(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') return a === b;
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (!isNaN(numberA) && !isNaN(numberB)) return Math.abs(numberA - numberB) < 1e-4;
+    return a === b;
+  }
+
+  pick(forecast, fields) {
+    return Object.fromEntries(fields.map(field => [field, forecast[field] === undefined ? null : forecast[field]]));
+  }
+}
+
+module.exports = new ForecastOverrideService();
@@ -1,78 +1,225 @@
 const moment = require('moment-timezone');
-const { Forecast, Channel, Skill } = require('../models');
+const { Forecast, ForecastBacktest, Channel, Skill } = require('../models');
 const logger = require('../utils/logger');
+const erlang = require('../utils/erlang');
+const backlog = require('../utils/backlog');
+const holtWinters = require('../utils/holtWinters');
+const { ridge } = require('../utils/regression');
+const HolidayService = require('./HolidayService');
+const SpecialEventService = require('./SpecialEventService');
+const ForecastVersionService = require('./ForecastVersionService');
+const DemandDriverService = require('./DemandDriverService');
+const { Op } = require('sequelize');
+
+// History needed before learned seasonality replaces the fixed factors
+const HOLT_WINTERS_MIN_DAYS = 14;
+const HISTORY_LOOKBACK_DAYS = 56;
+
+// Days of actuals with driver values needed per hour before regressing on drivers
+const REGRESSION_MIN_DAYS = 21;
+const REGRESSION_PENALTY = 1;
+
+const FORECAST_METHODS = ['historical_average', 'seasonal_decomposition', 'holt_winters', 'driver_regression'];
+
+// Supported interval lengths in minutes
+const INTERVAL_LENGTHS = [15, 30, 60];
+
+// Prediction intervals run from P10 to P90
+const PREDICTION_INTERVAL_LEVEL = 0.80;
+const Z_P90 = 1.2816;
+
+// Resolution used to measure how much clock time each interval has on DST days
+const CLOCK_STEP_MINUTES = 15;
+
+// Backlog channels without a max_response_time answer within this many hours
+const DEFAULT_MAX_RESPONSE_HOURS = 4;
+
+// Skill-tagged actuals an hour needs before it gets its own skill mix
+const SKILL_MIX_MIN_HOURLY_VOLUME = 30;
 
 class ForecastService {
   constructor() {
-    this.defaultTimezone = 'America/New_York';
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+    this.forecastMethods = FORECAST_METHODS;
+    this.historyLookbackDays = HISTORY_LOOKBACK_DAYS;
   }
 
   /**
-   * Generate hourly forecasts for a specific channel and date
+   * Generate interval forecasts for a specific channel and date. Volumes are
+   * forecast per hour and split into the channel's interval length using the
+   * intraday shape of recent sub-hourly actuals. Dates, hours and operating
+   * hours are wall-clock time in the channel's timezone: an hour skipped when
+   * clocks go forward gets no forecast and an hour repeated when they go back
+   * gets the volume of both. The result is saved as a new forecast version
+   * (see ForecastVersionService.saveVersion for the options).
    */
-  async generateHourlyForecasts(channelId, date, skillId = null) {
+  async generateHourlyForecasts(channelId, date, skillId = null, options = {}) {
     try {
       const channel = await Channel.findByPk(channelId);
       if (!channel) {
         throw new Error('Channel not found');
       }
 
-      const forecasts = [];
+      const skill = skillId ? await Skill.findByPk(skillId) : null;
       const targetDate = moment(date).format('YYYY-MM-DD');
 
-      // Generate forecasts for each hour of the day
-      for (let hour = 0; hour < 24; hour++) {
-        // Skip hours outside operating hours
-        if (!this.isOperatingHour(hour, channel)) {
-          continue;
+      const hours = this.getOperatingHours(channel, targetDate);
+      const externalFactorsByHour = new Map();
+      for (const hour of hours) {
+        externalFactorsByHour.set(hour, await this.getExternalFactors(date, hour, channel));
+      }
+
+      // History ends the day before the target (or today, for future dates)
+      const asOf = moment.min(
+        moment(this.getLocalNow(channel).format('YYYY-MM-DD')),
+        moment(targetDate).subtract(1, 'day')
+      );
+      const actuals = await this.loadActuals(
+        channelId,
+        skillId,
+        moment(asOf).subtract(HISTORY_LOOKBACK_DAYS - 1, 'days'),
+        asOf
+      );
+
+      // Use the backtest champion, falling back when it cannot forecast this day
+      const champion = await this.getChampionMethod(channelId, skillId);
+      let method = null;
+      let predicted = null;
+      for (const candidate of this.getMethodPreference(champion, channel)) {
+        predicted = await this.predictDay(candidate, {
+          channel,
+          actuals,
+          targetDate,
+          asOf,
+          externalFactorsByHour,
+          hours,
+        });
+        if (predicted) {
+          method = candidate;
+          break;
         }
+      }
+
+      // Spread of past errors of this method at this horizon
+      const errorProfile = await this.getErrorProfile(channelId, skillId, method, moment(targetDate).diff(asOf, 'days'));
+
+      const intervalMinutes = this.getIntervalMinutes(channel);
+      const clockMinutes = this.getClockMinutes(channel, targetDate, intervalMinutes);
+      const predictions = [];
+      for (const hour of hours) {
+        const starts = this.getIntervalStarts(hour, intervalMinutes);
+        const minutes = starts.map(start => clockMinutes.get(start) || 0);
+
+        const shape = this.getIntradayShape(actuals, hour, intervalMinutes, asOf);
 
-        const historicalData = await this.getHistoricalData(channelId, hour, skillId);
-        const seasonalFactors = await this.getSeasonalFactors(date, hour);
-        const externalFactors = await this.getExternalFactors(date, hour);
+        // A repeated hour sees its volume twice, a skipped one not at all
+        const clockFactor = shape.reduce((sum, share, index) => sum + share * minutes[index] / intervalMinutes, 0);
 
-        const predictedVolume = this.calculatePredictedVolume(
-          historicalData,
-          seasonalFactors,
-          externalFactors
+        // Only intervals that exist on the clock and fall in operating hours get volume
+        const open = starts.map((start, index) =>
+          minutes[index] > 0 && this.isOpenDuring(channel, hour * 60 + index * intervalMinutes, intervalMinutes)
         );
+        const weights = shape.map((share, index) => (open[index] ? share * minutes[index] : 0));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        if (totalWeight <= 0) continue;
 
-        const requiredAgents = this.calculateRequiredAgents(
-          predictedVolume,
-          channel,
-          skillId
+        const { seasonalFactors, drivers } = predicted.get(hour);
+        const externalFactors = drivers
+          ? { ...externalFactorsByHour.get(hour), drivers }
+          : externalFactorsByHour.get(hour);
+        const hourVolume = this.scaleVolume(
+          this.applyPredictionInterval(predicted.get(hour).predictedVolume, errorProfile, hour),
+          clockFactor
         );
 
-        const forecast = await Forecast.create({
-          channel_id: channelId,
-          skill_id: skillId,
-          forecast_date: targetDate,
+        this.splitIntoIntervals(hourVolume, weights.map(w => w / totalWeight)).forEach((intervalVolume, index) => {
+          if (!open[index]) return;
+          predictions.push({
+            hour,
+            minute: index * intervalMinutes,
+            clockMinutes: minutes[index],
+            method,
+            externalFactors,
+            predictedVolume: intervalVolume,
+            seasonalFactors,
+          });
+        });
+      }
+
+      // Staff the whole day at once so deferred work can be spread across it.
+      // Volume is staffed per interval length of clock time.
+      const staffingVolumes = predictions.map(p =>
+        this.scaleVolume(p.predictedVolume, intervalMinutes / p.clockMinutes)
+      );
+      const staffing = this.calculateDailyRequirements(staffingVolumes, channel, skill, intervalMinutes);
+      const percentileStaffing = this.calculatePercentileRequirements(
+        staffingVolumes,
+        channel,
+        skill,
+        intervalMinutes
+      );
+
+      const intervals = predictions.map(({
+        hour,
+        minute,
+        clockMinutes: elapsed,
+        predictedVolume,
+        seasonalFactors,
+        externalFactors,
+      }, i) => {
+        const requiredAgents = staffing[i];
+
+        return {
+          start: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
           forecast_hour: hour,
-          forecast_type: 'hourly',
-          forecast_method: 'seasonal_decomposition',
+          forecast_minute: minute,
+          interval_minutes: intervalMinutes,
+          forecast_type: intervalMinutes === 60 ? 'hourly' : 'interval',
+          forecast_method: method,
           predicted_volume: predictedVolume.volume,
           confidence_level: predictedVolume.confidence,
           min_volume: predictedVolume.minVolume,
           max_volume: predictedVolume.maxVolume,
+          p10_volume: predictedVolume.p10,
+          p50_volume: predictedVolume.p50,
+          p90_volume: predictedVolume.p90,
           required_agents: requiredAgents.required,
           optimal_agents: requiredAgents.optimal,
           minimum_agents: requiredAgents.minimum,
+          required_agents_p10: percentileStaffing[i].p10,
+          required_agents_p50: percentileStaffing[i].p50,
+          required_agents_p90: percentileStaffing[i].p90,
           predicted_service_level: requiredAgents.predictedServiceLevel,
           predicted_average_wait_time: requiredAgents.predictedWaitTime,
+          predicted_occupancy: requiredAgents.occupancy,
+          predicted_wait_probability: requiredAgents.probabilityOfWaiting,
+          predicted_abandonment_rate: requiredAgents.predictedAbandonmentRate,
           seasonal_factor: seasonalFactors.seasonal,
           trend_factor: seasonalFactors.trend,
           special_event_factor: externalFactors.specialEvent,
           weather_factor: externalFactors.weather,
-          external_factors: externalFactors,
-          status: 'generated',
+          external_factors: elapsed === intervalMinutes
+            ? externalFactors
+            : { ...externalFactors, clockMinutes: elapsed },
           model_version: '1.0.0',
-          created_by: 'system',
-        });
+          created_by: options.userId || null,
+        };
+      });
 
-        forecasts.push(forecast);
-      }
+      const { version, changed, applied, forecasts } = await ForecastVersionService.saveVersion({
+        channelId,
+        skillId,
+        date: targetDate,
+        intervals,
+        method,
+        intervalMinutes,
+        ...options,
+      });
 
-      logger.info(`Generated ${forecasts.length} hourly forecasts for channel ${channelId} on ${date}`);
+      if (changed) {
+        logger.info(`Generated ${intervals.length} ${intervalMinutes}-minute forecasts for channel ${channelId} ` +
+          `on ${targetDate} as version ${version.version}${applied ? '' : ' (pending)'}`);
+      }
       return forecasts;
 
     } catch (error) {
@@ -81,6 +228,211 @@ class ForecastService {
     }
   }
 
+  /**
+   * Split a channel's live forecast for a date into skill-level forecasts.
+   * Each interval's volume is shared out by the channel's skill mix (see
+   * getSkillMix) and every skill is staffed on its own with its handle time
+   * modifier. Each skill's forecast is saved as its own version, with the
+   * same options as generateHourlyForecasts.
+   */
+  async generateSkillForecasts(channelId, date, options = {}) {
+    try {
+      const channel = await Channel.findByPk(channelId);
+      if (!channel) {
+        throw new Error('Channel not found');
+      }
+
+      const targetDate = moment(date).format('YYYY-MM-DD');
+      const channelForecasts = (await ForecastVersionService.getLiveForecasts(channelId, null, targetDate))
+        .filter(f => f.predicted_volume !== null && f.status !== 'archived');
+      if (!channelForecasts.length) return [];
+
+      const mix = await this.getSkillMix(channel, targetDate);
+      if (!mix.skills.length) return [];
+
+      const intervalMinutes = channelForecasts[0].interval_minutes || 60;
+      const results = [];
+      for (const { skill, intervals } of this.splitSkillIntervals(channel, channelForecasts, mix, options.userId)) {
+        const { forecasts } = await ForecastVersionService.saveVersion({
+          channelId,
+          skillId: skill.id,
+          date: targetDate,
+          intervals,
+          method: channelForecasts[0].forecast_method,
+          intervalMinutes,
+          reason: 'skill_split',
+          ...options,
+        });
+        results.push(...forecasts);
+      }
+
+      logger.info(`Split forecast for channel ${channelId} on ${targetDate} into ${mix.skills.length} skills ` +
+        `(${mix.source} mix)`);
+      return results;
+
+    } catch (error) {
+      logger.error('Error generating skill forecasts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Interval snapshots per skill (see ForecastVersion) for a day of channel
+   * forecasts shared out by a skill mix. Each interval is split into whole
+   * contacts and every skill is staffed on its own.
+   */
+  splitSkillIntervals(channel, channelForecasts, mix, userId = null) {
+    // Whole contacts per skill that add up to each channel interval
+    const split = channelForecasts.map(forecast => {
+      const shares = this.getSkillShares(mix, forecast.forecast_hour);
+      return { forecast, shares, volumes: this.allocate(forecast.predicted_volume, shares) };
+    });
+
+    const intervalMinutes = channelForecasts[0].interval_minutes || 60;
+    return mix.skills.map((skill, index) => {
+      const predicted = split.map(({ forecast, shares, volumes }) => {
+        const share = (value, round) => (value == null ? null : round(value * shares[index]));
+        return {
+          volume: volumes[index],
+          minVolume: share(forecast.min_volume ?? forecast.predicted_volume, Math.floor),
+          maxVolume: share(forecast.max_volume ?? forecast.predicted_volume, Math.ceil),
+          p10: share(forecast.p10_volume, Math.floor),
+          p50: share(forecast.p50_volume, Math.round),
+          p90: share(forecast.p90_volume, Math.ceil),
+        };
+      });
+      const staffing = this.calculateDailyRequirements(predicted, channel, skill, intervalMinutes);
+      const percentileStaffing = this.calculatePercentileRequirements(predicted, channel, skill, intervalMinutes);
+
+      const intervals = channelForecasts.map((forecast, i) => ({
+        start: forecast.getIntervalStart(),
+        forecast_hour: forecast.forecast_hour,
+        forecast_minute: forecast.forecast_minute,
+        interval_minutes: forecast.interval_minutes,
+        forecast_type: forecast.forecast_type,
+        forecast_method: forecast.forecast_method,
+        predicted_volume: predicted[i].volume,
+        confidence_level: forecast.confidence_level,
+        min_volume: predicted[i].minVolume,
+        max_volume: predicted[i].maxVolume,
+        p10_volume: predicted[i].p10,
+        p50_volume: predicted[i].p50,
+        p90_volume: predicted[i].p90,
+        required_agents: staffing[i].required,
+        optimal_agents: staffing[i].optimal,
+        minimum_agents: staffing[i].minimum,
+        required_agents_p10: percentileStaffing[i].p10,
+        required_agents_p50: percentileStaffing[i].p50,
+        required_agents_p90: percentileStaffing[i].p90,
+        predicted_service_level: staffing[i].predictedServiceLevel,
+        predicted_average_wait_time: staffing[i].predictedWaitTime,
+        predicted_occupancy: staffing[i].occupancy,
+        predicted_wait_probability: staffing[i].probabilityOfWaiting,
+        predicted_abandonment_rate: staffing[i].predictedAbandonmentRate,
+        seasonal_factor: forecast.seasonal_factor,
+        trend_factor: forecast.trend_factor,
+        special_event_factor: forecast.special_event_factor,
+        weather_factor: forecast.weather_factor,
+        external_factors: {
+          ...(forecast.external_factors || {}),
+          skillShare: split[i].shares[index],
+          skillMixSource: mix.source,
+        },
+        model_version: forecast.model_version,
+        created_by: userId,
+      }));
+
+      return { skill, intervals };
+    });
+  }
+
+  /**
+   * Share of a channel's volume per skill. Percentages configured on the
+   * channel (configuration.skill_mix, keyed by skill name or ID) win;
+   * otherwise the mix is learned from skill-tagged actuals, per hour of day
+   * where there is enough volume and over the whole day elsewhere.
+   */
+  async getSkillMix(channel, date) {
+    const skills = await Skill.findAll({ where: { is_active: true } });
+    const configured = (channel.configuration || {}).skill_mix || {};
+
+    if (Object.keys(configured).length) {
+      const daily = {};
+      for (const [key, percentage] of Object.entries(configured)) {
+        const skill = skills.find(s => s.id === key || s.name === key);
+        if (!skill) {
+          logger.warn(`Skill mix of channel ${channel.id} refers to unknown skill "${key}"`);
+          continue;
+        }
+        daily[skill.id] = Math.max(0, parseFloat(percentage) || 0);
+      }
+      return this.buildSkillMix('configured', skills, daily, {});
+    }
+
+    const asOf = moment.min(
+      moment(this.getLocalNow(channel).format('YYYY-MM-DD')),
+      moment(date).subtract(1, 'day')
+    );
+    const rows = await Forecast.findAll({
+      where: {
+        channel_id: channel.id,
+        skill_id: { [Op.not]: null },
+        forecast_date: {
+          [Op.between]: [
+            moment(asOf).subtract(HISTORY_LOOKBACK_DAYS - 1, 'days').format('YYYY-MM-DD'),
+            moment(asOf).format('YYYY-MM-DD'),
+          ],
+        },
+        actual_volume: { [Op.not]: null },
+      },
+      attributes: ['skill_id', 'forecast_hour', 'actual_volume'],
+    });
+
+    const daily = {};
+    const hourly = {};
+    for (const row of rows) {
+      const volume = Number(row.actual_volume);
+      daily[row.skill_id] = (daily[row.skill_id] || 0) + volume;
+      const hour = hourly[row.forecast_hour] || (hourly[row.forecast_hour] = {});
+      hour[row.skill_id] = (hour[row.skill_id] || 0) + volume;
+    }
+
+    return this.buildSkillMix('historical', skills, daily, hourly);
+  }
+
+  /**
+   * Normalize skill volumes or percentages into shares that add up to 1
+   */
+  buildSkillMix(source, skills, daily, hourly) {
+    const mixSkills = skills.filter(skill => daily[skill.id] > 0);
+    const normalize = volumes => {
+      const total = mixSkills.reduce((sum, skill) => sum + (volumes[skill.id] || 0), 0);
+      return mixSkills.map(skill => (volumes[skill.id] || 0) / total);
+    };
+
+    const byHour = {};
+    for (const [hour, volumes] of Object.entries(hourly)) {
+      const total = Object.values(volumes).reduce((sum, v) => sum + v, 0);
+      if (total >= SKILL_MIX_MIN_HOURLY_VOLUME) {
+        byHour[hour] = normalize(volumes);
+      }
+    }
+
+    return {
+      source,
+      skills: mixSkills,
+      daily: mixSkills.length ? normalize(daily) : [],
+      hourly: byHour,
+    };
+  }
+
+  /**
+   * Skill shares for one hour, in the order of mix.skills
+   */
+  getSkillShares(mix, hour) {
+    return mix.hourly[hour] || mix.daily;
+  }
+
   /**
    * Calculate predicted volume using historical data and adjustment factors
    */
@@ -108,101 +460,709 @@ class ForecastService {
       externalFactors.holidayFactor
     );
 
-    // Calculate confidence based on data quality and variance
-    const variance = this.calculateVariance(historicalData.map(d => d.volume));
-    const confidence = Math.max(0.40, Math.min(0.95, 1 - (variance / baseVolume)));
-
-    // Calculate min/max bounds
-    const variabilityFactor = 1 - confidence;
-    const minVolume = Math.max(0, Math.floor(finalVolume * (1 - variabilityFactor)));
-    const maxVolume = Math.ceil(finalVolume * (1 + variabilityFactor));
+    // Spread of the history, scaled like the volume, gives a normal P10-P90 range
+    const scale = baseVolume > 0 ? finalVolume / baseVolume : 1;
+    const spread = Z_P90 * Math.sqrt(this.calculateVariance(historicalData.map(d => d.volume))) * scale;
 
     return {
       volume: finalVolume,
-      confidence,
-      minVolume,
-      maxVolume,
+      confidence: PREDICTION_INTERVAL_LEVEL,
+      minVolume: Math.max(0, Math.floor(finalVolume - spread)),
+      maxVolume: Math.ceil(finalVolume + spread),
+    };
+  }
+
+  /**
+   * Forecast one day with the given method using only actuals up to `asOf`.
+   * Returns a Map of hour -> { predictedVolume, seasonalFactors }, or null
+   * when the method cannot forecast from the available history. Driver
+   * regression also returns `drivers` per hour; pass preloaded `drivers`
+   * (see DemandDriverService.loadDrivers) when predicting many days. Only
+   * hours that exist on the target date's clock are predicted (see
+   * getOperatingHours), so `externalFactorsByHour` needs just those.
+   */
+  async predictDay(method, { channel, actuals, targetDate, asOf, externalFactorsByHour, drivers = null, hours = null }) {
+    hours = hours || this.getOperatingHours(channel, targetDate);
+    const history = actuals.filter(a => a.date <= moment(asOf).format('YYYY-MM-DD'));
+    const result = new Map();
+
+    switch (method) {
+      case 'holt_winters': {
+        const learned = this.getHoltWintersForecast(history, hours, targetDate, asOf);
+        if (!learned) return null;
+
+        for (const hour of hours) {
+          result.set(hour, this.applyExternalFactors(learned.get(hour), externalFactorsByHour.get(hour)));
+        }
+        return result;
+      }
+
+      case 'driver_regression': {
+        const driverData = drivers || await DemandDriverService.loadDrivers(
+          channel,
+          moment(asOf).subtract(HISTORY_LOOKBACK_DAYS - 1, 'days'),
+          targetDate
+        );
+        const learned = this.getDriverRegressionForecast(history, hours, targetDate, asOf, driverData);
+        if (!learned) return null;
+
+        for (const hour of hours) {
+          const { drivers: explained, ...learnedHour } = learned.get(hour);
+          result.set(hour, {
+            ...this.applyExternalFactors(learnedHour, externalFactorsByHour.get(hour)),
+            drivers: explained,
+          });
+        }
+        return result;
+      }
+
+      case 'historical_average': {
+        for (const hour of hours) {
+          const values = this.getHistoricalData(history, hour, asOf).map(d => d.volume);
+          if (!values.length) return null;
+
+          const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+          result.set(hour, this.applyExternalFactors({
+            volume: average,
+            stdDev: Math.sqrt(this.calculateVariance(values)),
+            seasonal: 1.0,
+            trend: 1.0,
+          }, externalFactorsByHour.get(hour)));
+        }
+        return result;
+      }
+
+      case 'seasonal_decomposition': {
+        for (const hour of hours) {
+          const seasonalFactors = await this.getSeasonalFactors(targetDate, hour);
+          const predictedVolume = this.calculatePredictedVolume(
+            this.getHistoricalData(history, hour, asOf),
+            seasonalFactors,
+            externalFactorsByHour.get(hour)
+          );
+          result.set(hour, { predictedVolume, seasonalFactors });
+        }
+        return result;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Add P10/P50/P90 volumes to an hourly prediction. With backtested error
+   * quantiles (for the hour, or over all hours) the interval is empirical;
+   * otherwise it is the method's own P10-P90 range. Min/max follow P10/P90.
+   */
+  applyPredictionInterval(predictedVolume, errorProfile, hour) {
+    const quantiles = errorProfile && (errorProfile.byHour[hour] || errorProfile.all);
+    if (!quantiles) {
+      return {
+        ...predictedVolume,
+        p10: predictedVolume.minVolume,
+        p50: predictedVolume.volume,
+        p90: predictedVolume.maxVolume,
+        intervalSource: 'model',
+      };
+    }
+
+    const at = error => Math.max(0, predictedVolume.volume * (1 + error));
+    const p10 = Math.floor(at(quantiles.p10));
+    const p90 = Math.ceil(at(quantiles.p90));
+
+    return {
+      ...predictedVolume,
+      minVolume: p10,
+      maxVolume: p90,
+      p10,
+      p50: Math.round(at(quantiles.p50)),
+      p90,
+      intervalSource: 'empirical',
     };
   }
 
   /**
-   * Calculate required agents using simplified Erlang C formula
+   * Backtested error quantiles for a channel, method and horizon (null without)
    */
-  calculateRequiredAgents(predictedVolume, channel, skillId = null) {
-    const volume = predictedVolume.volume;
-    const aht = channel.average_handle_time || 5; // minutes
-    const wrapUpTime = channel.wrap_up_time || 2; // minutes
-    const serviceLevel = channel.service_level_target || 0.80;
-    const targetAnswerTime = channel.service_level_threshold || 20; // seconds
-    const shrinkage = channel.shrinkage_factor || 0.25;
+  async getErrorProfile(channelId, skillId, method, horizon) {
+    try {
+      return await ForecastBacktest.getErrorProfile(channelId, skillId, method, horizon);
+    } catch (error) {
+      logger.error('Error fetching forecast error profile:', error);
+      return null;
+    }
+  }
 
-    // Calculate workload in Erlangs (hours)
-    const totalHandleTime = aht + wrapUpTime;
-    const workloadErlangs = (volume * totalHandleTime) / 60;
+  /**
+   * Methods to try in order: the champion first, then driver regression for
+   * channels that configure demand drivers, then learned seasonality, then
+   * the fixed seasonal factors which can always produce a forecast
+   */
+  getMethodPreference(champion = null, channel = null) {
+    const drivers = channel && DemandDriverService.getConfiguredDrivers(channel) ? 'driver_regression' : null;
+    return [...new Set([champion, drivers, 'holt_winters', 'seasonal_decomposition'].filter(Boolean))];
+  }
 
-    // Apply shrinkage
-    const adjustedWorkload = workloadErlangs / (1 - shrinkage);
+  /**
+   * Champion method selected by the latest backtest, if any
+   */
+  async getChampionMethod(channelId, skillId = null) {
+    try {
+      const champion = await ForecastBacktest.getChampion(channelId, skillId);
+      return champion ? champion.forecast_method : null;
+    } catch (error) {
+      logger.error('Error fetching champion forecast method:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forecast a day with Holt-Winters learned from the channel's actuals.
+   * Seasonality is one week of operating hours, so it captures both the
+   * weekly and the intraday pattern. Returns a Map of hour -> forecast, or
+   * null when history is too short.
+   */
+  getHoltWintersForecast(actuals, hours, targetDate, asOf) {
+    if (!hours.length) return null;
+
+    const target = moment(targetDate).startOf('day');
+    const lastDay = moment(asOf).startOf('day');
+    const firstDay = moment(lastDay).subtract(HISTORY_LOOKBACK_DAYS - 1, 'days');
+
+    const series = this.buildActualsSeries(actuals, firstDay, lastDay, hours);
+    if (!series) return null;
+
+    const model = holtWinters.fitBest(series, hours.length * 7);
+    const daysAhead = target.diff(lastDay, 'days');
+
+    const result = new Map();
+    hours.forEach((hour, slot) => {
+      const steps = (daysAhead - 1) * hours.length + slot + 1;
+      const point = holtWinters.forecast(model, steps);
+      const baseline = Math.max(point.level, 1);
+
+      result.set(hour, {
+        volume: point.value,
+        stdDev: point.stdDev,
+        seasonal: (point.level + point.seasonal) / baseline,
+        trend: (baseline + point.trend) / baseline,
+        model: { alpha: model.alpha, beta: model.beta, gamma: model.gamma, observations: model.observations },
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Forecast a day from demand drivers known in advance. Per hour the
+   * baseline is the mean volume of the target's weekday; what the weekday
+   * pattern leaves unexplained is regressed (ridge) on how far each driver
+   * was from its weekday mean. The forecast is the baseline plus each
+   * driver's contribution on the target day. Returns a Map of hour ->
+   * forecast with a `drivers` breakdown, or null without driver values for
+   * the target day or REGRESSION_MIN_DAYS days of history with them.
+   */
+  getDriverRegressionForecast(actuals, hours, targetDate, asOf, drivers) {
+    if (!hours.length || !drivers || !drivers.names.length) return null;
+
+    const { names } = drivers;
+    const target = moment(targetDate).format('YYYY-MM-DD');
+    const targetWeekday = moment(target).day();
+    const last = moment(asOf).format('YYYY-MM-DD');
+    const first = moment(asOf).subtract(HISTORY_LOOKBACK_DAYS - 1, 'days').format('YYYY-MM-DD');
+    const round = value => Math.round(value * 10000) / 10000;
+
+    const result = new Map();
+    for (const hour of hours) {
+      const targetValues = names.map(name => DemandDriverService.getValue(drivers, name, target, hour));
+      if (targetValues.some(value => value === null)) return null;
+
+      const observations = actuals
+        .filter(a => a.hour === hour && a.date >= first && a.date <= last)
+        .map(a => ({
+          weekday: moment(a.date).day(),
+          volume: a.volume,
+          values: names.map(name => DemandDriverService.getValue(drivers, name, a.date, hour)),
+        }))
+        .filter(o => o.values.every(value => value !== null));
+      if (observations.length < REGRESSION_MIN_DAYS) return null;
+
+      // Weekday means of the volume and of every driver
+      const weekdays = new Map();
+      for (const o of observations) {
+        if (!weekdays.has(o.weekday)) {
+          weekdays.set(o.weekday, { count: 0, volume: 0, values: new Array(names.length).fill(0) });
+        }
+        const totals = weekdays.get(o.weekday);
+        totals.count++;
+        totals.volume += o.volume;
+        o.values.forEach((value, j) => { totals.values[j] += value; });
+      }
+      for (const totals of weekdays.values()) {
+        totals.volume /= totals.count;
+        totals.values = totals.values.map(value => value / totals.count);
+      }
+      const baseline = weekdays.get(targetWeekday);
+      if (!baseline) return null;
+
+      const fit = ridge(
+        observations.map(o => o.values.map((value, j) => value - weekdays.get(o.weekday).values[j])),
+        observations.map(o => o.volume - weekdays.get(o.weekday).volume),
+        REGRESSION_PENALTY
+      );
+      if (!fit) return null;
+
+      const contributions = names.map((name, j) => fit.coefficients[j] * (targetValues[j] - baseline.values[j]));
+      const volume = Math.max(0, baseline.volume + contributions.reduce((sum, c) => sum + c, 0));
+      const hourMean = observations.reduce((sum, o) => sum + o.volume, 0) / observations.length;
+      const byName = values => Object.fromEntries(names.map((name, j) => [name, round(values[j])]));
+
+      result.set(hour, {
+        volume,
+        stdDev: fit.stdDev,
+        seasonal: hourMean > 0 ? baseline.volume / hourMean : 1.0,
+        trend: 1.0,
+        model: { penalty: REGRESSION_PENALTY, rSquared: round(fit.rSquared), observations: fit.observations },
+        drivers: {
+          baseline: round(baseline.volume),
+          coefficients: byName(fit.coefficients),
+          values: byName(targetValues),
+          typical: byName(baseline.values),
+          contributions: byName(contributions),
+          rSquared: round(fit.rSquared),
+          observations: fit.observations,
+        },
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Lay actuals out as one value per operating hour per day. Gaps are filled
+   * from the same slot a week earlier, or the slot average. Returns null when
+   * there are fewer than HOLT_WINTERS_MIN_DAYS days of actuals.
+   */
+  buildActualsSeries(actuals, firstDay, lastDay, hours) {
+    const byKey = new Map();
+    const days = new Set();
+    const first = firstDay.format('YYYY-MM-DD');
+    const last = lastDay.format('YYYY-MM-DD');
+    for (const row of actuals) {
+      if (row.date < first || row.date > last || !hours.includes(row.hour)) continue;
+      byKey.set(`${row.date}|${row.hour}`, row.volume);
+      days.add(row.date);
+    }
+    if (days.size < HOLT_WINTERS_MIN_DAYS) return null;
+
+    // Start at the first day with data so the first seasons are real
+    const start = moment.max(moment(firstDay), moment([...days].sort()[0]));
+    const dayCount = lastDay.diff(start, 'days') + 1;
+    if (dayCount < 14) return null; // two full weekly seasons
+
+    const slotAverages = hours.map(hour => {
+      const values = [...byKey.entries()]
+        .filter(([key]) => key.endsWith(`|${hour}`))
+        .map(([, value]) => value);
+      return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    });
+
+    const series = [];
+    for (let d = 0; d < dayCount; d++) {
+      const day = moment(start).add(d, 'days').format('YYYY-MM-DD');
+      hours.forEach((hour, slot) => {
+        const value = byKey.get(`${day}|${hour}`);
+        if (value !== undefined) {
+          series.push(value);
+        } else if (series.length >= hours.length * 7) {
+          series.push(series[series.length - hours.length * 7]);
+        } else {
+          series.push(slotAverages[slot]);
+        }
+      });
+    }
+
+    return series;
+  }
+
+  /**
+   * Apply external factors to a base forecast with a known error spread
+   */
+  applyExternalFactors(learnedHour, externalFactors) {
+    const factor = externalFactors.specialEvent * externalFactors.weather * externalFactors.holidayFactor;
+    const volume = Math.round(learnedHour.volume * factor);
+    const spread = Z_P90 * learnedHour.stdDev * factor;
+
+    return {
+      predictedVolume: {
+        volume,
+        confidence: PREDICTION_INTERVAL_LEVEL,
+        minVolume: Math.max(0, Math.floor(volume - spread)),
+        maxVolume: Math.ceil(volume + spread),
+      },
+      seasonalFactors: {
+        seasonal: learnedHour.seasonal,
+        trend: learnedHour.trend,
+        model: learnedHour.model,
+      },
+    };
+  }
+
+  /**
+   * Calculate staffing for a day of consecutive intervals. Backlog channels are
+   * levelled across the day; real-time channels are staffed interval by interval.
+   */
+  calculateDailyRequirements(predictedVolumes, channel, skill = null, intervalMinutes = 60) {
+    const params = this.getStaffingParameters(channel, skill);
+
+    if (params.staffingModel === 'backlog') {
+      return this.calculateBacklogRequirements(predictedVolumes, channel, intervalMinutes, skill);
+    }
+
+    return predictedVolumes.map(predictedVolume =>
+      this.calculateRequiredAgents(predictedVolume, channel, skill, intervalMinutes)
+    );
+  }
+
+  /**
+   * Required agents if the volume of each interval came in at its P10, P50 or
+   * P90. Null where the forecast has no prediction interval.
+   */
+  calculatePercentileRequirements(predictedVolumes, channel, skill = null, intervalMinutes = 60) {
+    const result = predictedVolumes.map(() => ({ p10: null, p50: null, p90: null }));
+
+    for (const percentile of ['p10', 'p50', 'p90']) {
+      if (predictedVolumes.some(p => p[percentile] === null || p[percentile] === undefined)) continue;
+
+      const staffing = this.calculateDailyRequirements(
+        predictedVolumes.map(p => ({ volume: p[percentile] })),
+        channel,
+        skill,
+        intervalMinutes
+      );
+      staffing.forEach((requirement, i) => {
+        result[i][percentile] = requirement.required;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Calculate required agents for one interval using the channel's staffing
+   * model (Erlang C, or Erlang A when the channel models abandonment).
+   * Concurrent channels are staffed in sessions and converted back to agents.
+   */
+  calculateRequiredAgents(predictedVolume, channel, skill = null, intervalMinutes = 60) {
+    const params = this.getStaffingParameters(channel, skill);
+    const intervalSeconds = intervalMinutes * 60;
+
+    // Without the rest of the day a backlog interval only needs its workload
+    if (params.staffingModel === 'backlog') {
+      const workload = erlang.trafficIntensity(predictedVolume.volume, params.handleTimeSeconds, intervalSeconds);
+      return this.buildStaffingResult(params, {
+        agents: Math.ceil(workload),
+        traffic: workload,
+        probabilityOfWaiting: null,
+        serviceLevel: null,
+        averageSpeedOfAnswer: null,
+        abandonmentRate: 0,
+        occupancy: workload > 0 ? workload / Math.ceil(workload) : 0,
+      });
+    }
+
+    const queueInputs = {
+      volume: predictedVolume.volume,
+      handleTimeSeconds: params.sessionHandleTimeSeconds,
+      thresholdSeconds: params.thresholdSeconds,
+      targetServiceLevel: params.serviceLevelTarget,
+      intervalSeconds,
+    };
+
+    // Smallest number of sessions meeting the service level target
+    let queue = params.staffingModel === 'erlang_a'
+      ? erlang.requiredAgentsWithAbandonment({ ...queueInputs, patienceSeconds: params.patienceSeconds })
+      : erlang.requiredAgents(queueInputs);
+
+    // Erlang C staffing still loses impatient customers; report what they would be
+    if (params.staffingModel !== 'erlang_a' && params.patienceSeconds && queue.traffic > 0) {
+      const withAbandonment = erlang.erlangA(
+        queue.agents,
+        queue.traffic,
+        params.sessionHandleTimeSeconds,
+        params.patienceSeconds,
+        params.thresholdSeconds
+      );
+      queue = { ...queue, abandonmentRate: withAbandonment.abandonmentRate };
+    }
+
+    // Each agent works `concurrency` sessions at once
+    const agents = Math.ceil(queue.agents / params.concurrency);
+
+    return this.buildStaffingResult(params, {
+      ...queue,
+      agents,
+      sessions: queue.agents,
+      occupancy: agents > 0 ? Math.min(1, queue.traffic / (agents * params.concurrency)) : 0,
+    });
+  }
+
+  /**
+   * Staff backlog work (email, social media) so that items are answered within
+   * the channel's max_response_time, spreading the work across the day
+   */
+  calculateBacklogRequirements(predictedVolumes, channel, intervalMinutes = 60, skill = null) {
+    const params = this.getStaffingParameters(channel, skill);
+    const plan = backlog.requiredBacklogAgents({
+      volumes: predictedVolumes.map(p => p.volume || 0),
+      handleTimeSeconds: params.handleTimeSeconds,
+      responseMinutes: params.maxResponseTimeHours * 60,
+      targetServiceLevel: params.serviceLevelTarget,
+      intervalMinutes,
+    });
+
+    return plan.intervals.map(interval => this.buildStaffingResult(params, {
+      agents: plan.agents,
+      traffic: erlang.trafficIntensity(interval.volume, params.handleTimeSeconds, intervalMinutes * 60),
+      probabilityOfWaiting: null,
+      serviceLevel: interval.serviceLevel,
+      averageSpeedOfAnswer: interval.averageWaitSeconds,
+      abandonmentRate: 0,
+      occupancy: plan.occupancy,
+    }));
+  }
+
+  /**
+   * Turn productive agents into scheduled staffing figures
+   */
+  buildStaffingResult(params, queue) {
+    // Gross up for shrinkage to get scheduled agents
+    const requiredAgents = Math.max(
+      params.minStaffing,
+      Math.ceil(queue.agents / (1 - params.shrinkage))
+    );
 
-    // Basic staffing calculation
-    const baseAgents = Math.ceil(adjustedWorkload);
-    
-    // Add buffer for service level
-    const bufferFactor = this.calculateServiceLevelBuffer(serviceLevel, targetAnswerTime);
-    const requiredAgents = Math.max(channel.min_staffing_level || 1, Math.ceil(baseAgents * bufferFactor));
-    
     // Calculate optimal (with efficiency buffer)
-    const optimalAgents = Math.ceil(requiredAgents * (1 + (channel.preferred_staffing_buffer || 0.10)));
-    
-    // Minimum is channel minimum or 1
-    const minimumAgents = channel.min_staffing_level || 1;
+    const optimalAgents = Math.ceil(requiredAgents * (1 + params.staffingBuffer));
 
-    // Predict service level and wait time
-    const predictedServiceLevel = this.predictServiceLevel(requiredAgents, workloadErlangs, targetAnswerTime);
-    const predictedWaitTime = this.predictAverageWaitTime(requiredAgents, workloadErlangs);
+    // Minimum is channel minimum or 1
+    const minimumAgents = params.minStaffing;
 
     return {
       required: requiredAgents,
       optimal: optimalAgents,
       minimum: minimumAgents,
-      predictedServiceLevel,
-      predictedWaitTime,
+      staffingModel: params.staffingModel,
+      productiveAgents: queue.agents,
+      concurrentSessions: queue.sessions || queue.agents,
+      trafficErlangs: queue.traffic,
+      probabilityOfWaiting: queue.probabilityOfWaiting,
+      occupancy: queue.occupancy,
+      predictedServiceLevel: queue.serviceLevel,
+      predictedWaitTime: queue.averageSpeedOfAnswer,
+      predictedAbandonmentRate: queue.abandonmentRate,
     };
   }
 
   /**
-   * Get historical data for forecasting
+   * Staff one real-time interval from explicit inputs, without a channel or
+   * forecast rows. Handle and wrap-up times are minutes, the threshold and
+   * patience seconds; a patience staffs with Erlang A. Returns the answer,
+   * the parameters it was calculated with and a sensitivity table of
+   * productive agent counts `range` either side of it.
    */
-  async getHistoricalData(channelId, hour, skillId = null, lookbackDays = 28) {
-    try {
-      const endDate = moment().format('YYYY-MM-DD');
-      const startDate = moment().subtract(lookbackDays, 'days').format('YYYY-MM-DD');
+  calculateStaffing({
+    volume,
+    averageHandleTime,
+    wrapUpTime = 0,
+    concurrency = 1,
+    concurrencyPenalty = 0,
+    shrinkage = 0,
+    serviceLevelTarget = 0.80,
+    serviceLevelThreshold = 20,
+    patience = null,
+    intervalMinutes = 60,
+  }, { range = 3 } = {}) {
+    // Accept 0-1 or percentages
+    const target = serviceLevelTarget > 1 ? serviceLevelTarget / 100 : serviceLevelTarget;
+    const channel = {
+      type: 'chat',
+      average_handle_time: averageHandleTime,
+      wrap_up_time: wrapUpTime,
+      shrinkage_factor: shrinkage,
+      service_level_target: target,
+      service_level_threshold: serviceLevelThreshold,
+      max_concurrent_interactions: concurrency,
+      preferred_staffing_buffer: 0,
+      configuration: {
+        staffing_model: patience ? 'erlang_a' : 'erlang_c',
+        average_patience: patience,
+        concurrency_handle_time_penalty: concurrencyPenalty,
+      },
+    };
+    const params = this.getStaffingParameters(channel);
+    const requirement = this.calculateRequiredAgents({ volume }, channel, null, intervalMinutes);
 
-      const where = {
-        channel_id: channelId,
-        forecast_hour: hour,
-        forecast_date: {
-          [require('sequelize').Op.between]: [startDate, endDate],
-        },
-        actual_volume: {
-          [require('sequelize').Op.not]: null,
-        },
-      };
+    const answer = requirement.productiveAgents;
+    const sensitivity = [];
+    for (let agents = Math.max(1, answer - range); agents <= answer + range; agents++) {
+      sensitivity.push(this.describeStaffing(agents, volume, params, intervalMinutes));
+    }
+    const result = sensitivity.find(row => row.agents === answer) ||
+      this.describeStaffing(answer, volume, params, intervalMinutes);
 
-      if (skillId) {
-        where.skill_id = skillId;
-      }
+    return {
+      requiredAgents: answer,
+      scheduledAgents: result.scheduledAgents,
+      predictedServiceLevel: result.serviceLevel,
+      averageSpeedOfAnswer: result.averageSpeedOfAnswer,
+      occupancy: result.occupancy,
+      abandonmentRate: result.abandonmentRate,
+      trafficErlangs: Math.round(requirement.trafficErlangs * 100) / 100,
+      parameters: {
+        staffingModel: params.staffingModel,
+        volume,
+        intervalMinutes,
+        handleTimeSeconds: params.handleTimeSeconds,
+        sessionHandleTimeSeconds: params.sessionHandleTimeSeconds,
+        concurrency: params.concurrency,
+        shrinkage: params.shrinkage,
+        serviceLevelTarget: params.serviceLevelTarget,
+        serviceLevelThreshold: params.thresholdSeconds,
+        patienceSeconds: params.patienceSeconds,
+      },
+      sensitivity,
+    };
+  }
+
+  /**
+   * Queue statistics when a given number of productive agents works an
+   * interval, with the scheduled agents that takes after shrinkage
+   */
+  describeStaffing(agents, volume, params, intervalMinutes = 60) {
+    const sessions = agents * params.concurrency;
+    const traffic = erlang.trafficIntensity(volume, params.sessionHandleTimeSeconds, intervalMinutes * 60);
+
+    let queue = erlang.describe(sessions, traffic, params.sessionHandleTimeSeconds, params.thresholdSeconds);
+    if (params.patienceSeconds && traffic > 0) {
+      const withAbandonment = erlang.erlangA(
+        sessions,
+        traffic,
+        params.sessionHandleTimeSeconds,
+        params.patienceSeconds,
+        params.thresholdSeconds
+      );
+      queue = params.staffingModel === 'erlang_a'
+        ? withAbandonment
+        : { ...queue, abandonmentRate: withAbandonment.abandonmentRate };
+    }
+
+    const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+    return {
+      agents,
+      scheduledAgents: Math.ceil(agents / (1 - params.shrinkage)),
+      serviceLevel: round(queue.serviceLevel, 4),
+      // An Erlang C queue with too few agents never clears
+      averageSpeedOfAnswer: Number.isFinite(queue.averageSpeedOfAnswer) ? round(queue.averageSpeedOfAnswer, 1) : null,
+      occupancy: round(sessions > 0 ? Math.min(1, traffic / sessions) : 0, 4),
+      abandonmentRate: round(queue.abandonmentRate || 0, 4),
+      meetsTarget: queue.serviceLevel >= params.serviceLevelTarget,
+    };
+  }
+
+  /**
+   * Read staffing inputs from a channel, applying defaults and numeric parsing
+   * (DECIMAL columns come back as strings on Postgres). A skill scales the
+   * handle time by its handle_time_modifier.
+   */
+  getStaffingParameters(channel, skill = null) {
+    const aht = parseFloat(channel.average_handle_time) || 5; // minutes
+    const wrapUpTime = channel.wrap_up_time != null ? parseFloat(channel.wrap_up_time) : 2; // minutes
+    const shrinkage = channel.shrinkage_factor != null ? parseFloat(channel.shrinkage_factor) : 0.25;
 
-      const historicalForecasts = await Forecast.findAll({
-        where,
-        attributes: ['forecast_date', 'actual_volume', 'forecast_hour'],
+    const configuration = channel.configuration || {};
+    const patienceSeconds = parseFloat(configuration.average_patience) || null;
+    const handleTimeModifier = skill && skill.handle_time_modifier != null
+      ? parseFloat(skill.handle_time_modifier) || 1
+      : 1;
+    const handleTimeSeconds = (aht + (wrapUpTime || 0)) * 60 * handleTimeModifier;
+
+    // Email and social media default to the backlog model
+    const defaultModel = ['email', 'social_media'].includes(channel.type) ? 'backlog' : 'erlang_c';
+    let staffingModel = configuration.staffing_model || defaultModel;
+    if (staffingModel === 'erlang_a' && !patienceSeconds) {
+      staffingModel = 'erlang_c';
+    }
+
+    // Each extra concurrent session slows every session down
+    const concurrency = Math.max(1, parseInt(channel.max_concurrent_interactions) || 1);
+    const concurrencyPenalty = configuration.concurrency_handle_time_penalty != null
+      ? parseFloat(configuration.concurrency_handle_time_penalty)
+      : 0.15;
+
+    return {
+      staffingModel,
+      patienceSeconds,
+      concurrency: staffingModel === 'backlog' ? 1 : concurrency,
+      handleTimeSeconds,
+      sessionHandleTimeSeconds: staffingModel === 'backlog'
+        ? handleTimeSeconds
+        : handleTimeSeconds * (1 + concurrencyPenalty * (concurrency - 1)),
+      // service_level_threshold is the answer-time target in seconds, not a backlog target
+      maxResponseTimeHours: parseFloat(configuration.max_response_time) || DEFAULT_MAX_RESPONSE_HOURS,
+      thresholdSeconds: parseInt(channel.service_level_threshold) || 20,
+      serviceLevelTarget: parseFloat(channel.service_level_target) || 0.80,
+      shrinkage: Math.min(Math.max(shrinkage || 0, 0), 0.95),
+      minStaffing: parseInt(channel.min_staffing_level) || 1,
+      staffingBuffer: channel.preferred_staffing_buffer != null ? parseFloat(channel.preferred_staffing_buffer) : 0.10,
+    };
+  }
+
+  /**
+   * Load actuals for a channel (and skill) between two dates as hourly totals.
+   * Sub-hourly rows are summed into their hour and kept in `intervals`.
+   * Unless `raw`, they are cleansed first: outliers planners excluded or
+   * replaced are applied and missing hours are filled (see DataCleansingService).
+   */
+  async loadActuals(channelId, skillId, startDate, endDate, { raw = false } = {}) {
+    try {
+      const rows = await Forecast.findAll({
+        where: {
+          channel_id: channelId,
+          skill_id: skillId,
+          forecast_date: {
+            [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+          },
+          actual_volume: {
+            [Op.not]: null,
+          },
+        },
+        attributes: ['forecast_date', 'actual_volume', 'forecast_hour', 'forecast_minute', 'interval_minutes'],
         order: [['forecast_date', 'DESC']],
       });
 
-      return historicalForecasts.map(f => ({
-        date: f.forecast_date,
-        volume: f.actual_volume,
-        hour: f.forecast_hour,
-      }));
+      const hourly = new Map();
+      for (const f of rows) {
+        const date = moment(f.forecast_date).format('YYYY-MM-DD');
+        const key = `${date}|${f.forecast_hour}`;
+        if (!hourly.has(key)) {
+          hourly.set(key, { date, volume: 0, hour: f.forecast_hour, intervals: [] });
+        }
+
+        const entry = hourly.get(key);
+        entry.volume += Number(f.actual_volume);
+        entry.intervals.push({
+          minute: f.forecast_minute || 0,
+          length: f.interval_minutes || 60,
+          volume: Number(f.actual_volume),
+        });
+      }
+
+      if (raw) return [...hourly.values()];
+
+      const DataCleansingService = require('./DataCleansingService');
+      return DataCleansingService.getCleanActuals(channelId, skillId, [...hourly.values()], startDate, endDate);
 
     } catch (error) {
       logger.error('Error fetching historical data:', error);
@@ -210,6 +1170,85 @@ class ForecastService {
     }
   }
 
+  /**
+   * Get historical data for one hour from loaded actuals, looking back from `asOf`
+   */
+  getHistoricalData(actuals, hour, asOf, lookbackDays = 28) {
+    const endDate = moment(asOf).format('YYYY-MM-DD');
+    const startDate = moment(asOf).subtract(lookbackDays - 1, 'days').format('YYYY-MM-DD');
+
+    return actuals.filter(a => a.hour === hour && a.date >= startDate && a.date <= endDate);
+  }
+
+  /**
+   * Interval length configured on the channel (60 when unset or unsupported)
+   */
+  getIntervalMinutes(channel) {
+    const minutes = parseInt(channel.interval_minutes);
+    return INTERVAL_LENGTHS.includes(minutes) ? minutes : 60;
+  }
+
+  /**
+   * Share of an hour's volume falling in each interval, learned from recent
+   * actuals recorded at that resolution or finer. Even split without them.
+   */
+  getIntradayShape(actuals, hour, intervalMinutes, asOf, lookbackDays = 28) {
+    const slots = 60 / intervalMinutes;
+    const even = new Array(slots).fill(1 / slots);
+    if (slots === 1) return even;
+
+    const totals = new Array(slots).fill(0);
+    for (const row of this.getHistoricalData(actuals, hour, asOf, lookbackDays)) {
+      const intervals = (row.intervals || []).filter(i => i.length < 60 && intervalMinutes % i.length === 0);
+      intervals.forEach(i => {
+        totals[Math.floor(i.minute / intervalMinutes)] += i.volume;
+      });
+    }
+
+    const total = totals.reduce((sum, v) => sum + v, 0);
+    return total > 0 ? totals.map(v => v / total) : even;
+  }
+
+  /**
+   * Split an hourly predicted volume into intervals by shape. Volumes are
+   * whole contacts that add up to the hour; bounds are scaled by share.
+   */
+  splitIntoIntervals(predictedVolume, shape) {
+    if (shape.length === 1) return [predictedVolume];
+
+    const volumes = this.allocate(predictedVolume.volume, shape);
+    return shape.map((share, index) => ({
+      ...predictedVolume,
+      volume: volumes[index],
+      minVolume: Math.floor(predictedVolume.minVolume * share),
+      maxVolume: Math.ceil(predictedVolume.maxVolume * share),
+      p10: Math.floor(predictedVolume.p10 * share),
+      p50: Math.round(predictedVolume.p50 * share),
+      p90: Math.ceil(predictedVolume.p90 * share),
+    }));
+  }
+
+  /**
+   * Largest-remainder allocation of a whole number across shares
+   */
+  allocate(total, shares) {
+    const exact = shares.map(share => total * share);
+    const result = exact.map(Math.floor);
+    let remainder = Math.round(total - result.reduce((sum, v) => sum + v, 0));
+
+    exact
+      .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+      .sort((a, b) => b.fraction - a.fraction)
+      .forEach(({ index }) => {
+        if (remainder > 0) {
+          result[index] += 1;
+          remainder -= 1;
+        }
+      });
+
+    return result;
+  }
+
   /**
    * Calculate seasonal and trend factors
    */
@@ -250,50 +1289,183 @@ class ForecastService {
   /**
    * Get external factors affecting volume
    */
-  async getExternalFactors(date, hour) {
-    const momentDate = moment(date);
-    
-    // Check for holidays
-    const holidayFactor = this.getHolidayFactor(momentDate);
+  async getExternalFactors(date, hour, channel = null) {
+    // Check the channel's holiday calendar
+    const { factor: holidayFactor, holiday } = await HolidayService.getHolidayFactor(date, channel);
     
     // Weather factor (simplified - would integrate with weather API in production)
     const weatherFactor = 1.0;
     
-    // Special events (simplified - would integrate with calendar/events)
-    const specialEvent = 1.0;
+    // Product launches, billing runs, campaigns shaped over the day
+    const { factor: specialEvent, events } = await SpecialEventService.getEventFactor(date, hour, channel);
 
     return {
       holidayFactor,
+      holiday,
       weather: weatherFactor,
       specialEvent,
+      events,
     };
   }
 
   /**
-   * Check if hour is within operating hours for channel
+   * Check if the channel is open for any part of an hour
    */
   isOperatingHour(hour, channel) {
-    const startHour = parseInt(channel.operating_hours_start.split(':')[0]);
-    const endHour = parseInt(channel.operating_hours_end.split(':')[0]);
-    
-    return hour >= startHour && hour < endHour;
+    return this.isOpenDuring(channel, hour * 60, 60);
+  }
+
+  /**
+   * Operating hours of the channel as a list of hours of the day. With a date,
+   * hours that do not exist on the channel's clock that day (DST) are left out.
+   */
+  getOperatingHours(channel, date = null) {
+    const clockMinutes = date ? this.getClockMinutes(channel, date, 60) : null;
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+      if (!this.isOperatingHour(hour, channel)) continue;
+      if (clockMinutes && !clockMinutes.get(this.formatClockTime(hour * 60))) continue;
+      hours.push(hour);
+    }
+    return hours;
+  }
+
+  /**
+   * Whether any of [startMinute, startMinute + lengthMinutes) of the day falls
+   * in operating hours. Hours may have minutes (08:30 to 17:30); an end at or
+   * before the start runs past midnight, and equal times mean open all day.
+   */
+  isOpenDuring(channel, startMinute, lengthMinutes) {
+    return this.getOperatingRanges(channel).some(([open, close]) =>
+      startMinute < close && startMinute + lengthMinutes > open
+    );
+  }
+
+  /**
+   * Open periods of the day as [from, to) minute ranges
+   */
+  getOperatingRanges(channel) {
+    const open = this.parseClockTime(channel.operating_hours_start, 8 * 60);
+    const close = this.parseClockTime(channel.operating_hours_end, 18 * 60);
+
+    if (open === close) return [[0, 24 * 60]];
+    if (close > open) return [[open, close]];
+    return [[0, close], [open, 24 * 60]];
+  }
+
+  /**
+   * Minutes after midnight of a TIME value such as '08:30:00' ('24:00' is midnight at the end of the day)
+   */
+  parseClockTime(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value || ''));
+    if (!match) return fallback;
+    return Math.min(24 * 60, parseInt(match[1]) * 60 + parseInt(match[2]));
+  }
+
+  formatClockTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Interval starts (HH:mm) within an hour
+   */
+  getIntervalStarts(hour, intervalMinutes) {
+    const starts = [];
+    for (let minute = 0; minute < 60; minute += intervalMinutes) {
+      starts.push(this.formatClockTime(hour * 60 + minute));
+    }
+    return starts;
+  }
+
+  /**
+   * Timezone of a channel, or the default when it is missing or unknown
+   */
+  getTimezone(channel) {
+    return channel && channel.timezone && moment.tz.zone(channel.timezone)
+      ? channel.timezone
+      : this.defaultTimezone;
+  }
+
+  /**
+   * Current time on the channel's clock
+   */
+  getLocalNow(channel, now = moment()) {
+    return moment(now).tz(this.getTimezone(channel));
   }
 
   /**
-   * Update hourly forecasts (called by cron job)
+   * Elapsed minutes of each interval start (HH:mm) of a local date. Normally
+   * the interval length; 0 for times skipped when clocks go forward and
+   * double for times repeated when they go back.
+   */
+  getClockMinutes(channel, date, intervalMinutes = 60) {
+    const timezone = this.getTimezone(channel);
+    const result = new Map();
+    for (let minute = 0; minute < 24 * 60; minute += intervalMinutes) {
+      result.set(this.formatClockTime(minute), 0);
+    }
+
+    const day = moment(date).format('YYYY-MM-DD');
+    const start = moment.tz(day, 'YYYY-MM-DD', timezone);
+    const end = moment.tz(moment(day).add(1, 'day').format('YYYY-MM-DD'), 'YYYY-MM-DD', timezone);
+
+    for (const time = moment(start); time.isBefore(end); time.add(CLOCK_STEP_MINUTES, 'minutes')) {
+      const minuteOfDay = time.hours() * 60 + time.minutes();
+      const key = this.formatClockTime(Math.floor(minuteOfDay / intervalMinutes) * intervalMinutes);
+      result.set(key, result.get(key) + CLOCK_STEP_MINUTES);
+    }
+
+    return result;
+  }
+
+  /**
+   * Scale a predicted volume and its bounds and percentiles by a factor
+   */
+  scaleVolume(predictedVolume, factor) {
+    if (factor === 1) return predictedVolume;
+
+    const scale = (value, round) => (value == null ? value : Math.max(0, round(value * factor)));
+    return {
+      ...predictedVolume,
+      volume: scale(predictedVolume.volume, Math.round),
+      minVolume: scale(predictedVolume.minVolume, Math.floor),
+      maxVolume: scale(predictedVolume.maxVolume, Math.ceil),
+      p10: scale(predictedVolume.p10, Math.floor),
+      p50: scale(predictedVolume.p50, Math.round),
+      p90: scale(predictedVolume.p90, Math.ceil),
+    };
+  }
+
+  /**
+   * Update hourly forecasts (called by cron job). Today is only generated when
+   * it has no forecast yet; during the day it is revised from its actuals by
+   * IntradayReforecastService.
    */
   async updateHourlyForecasts() {
     try {
       const channels = await Channel.findAll({ where: { is_active: true } });
-      const today = moment().format('YYYY-MM-DD');
-      const tomorrow = moment().add(1, 'day').format('YYYY-MM-DD');
 
       for (const channel of channels) {
-        // Update today's remaining hours
-        await this.generateHourlyForecasts(channel.id, today);
+        // Today and tomorrow on the channel's own clock
+        const today = this.getLocalNow(channel).format('YYYY-MM-DD');
+        const tomorrow = moment(today).add(1, 'day').format('YYYY-MM-DD');
+
+        const todayForecasts = await Forecast.count({
+          where: {
+            channel_id: channel.id,
+            skill_id: null,
+            forecast_date: today,
+            predicted_volume: { [Op.not]: null },
+          },
+        });
+        if (!todayForecasts) {
+          await this.generateHourlyForecasts(channel.id, today, null, { reason: 'scheduled_update' });
+          await this.generateSkillForecasts(channel.id, today, { reason: 'scheduled_update' });
+        }
         
         // Generate tomorrow's forecasts
-        await this.generateHourlyForecasts(channel.id, tomorrow);
+        await this.generateHourlyForecasts(channel.id, tomorrow, null, { reason: 'scheduled_update' });
+        await this.generateSkillForecasts(channel.id, tomorrow, { reason: 'scheduled_update' });
       }
 
       logger.info('Hourly forecast update completed');
@@ -312,48 +1484,6 @@ class ForecastService {
     const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
     return squaredDiffs.reduce((sum, val) => sum + val, 0) / values.length;
   }
-
-  calculateServiceLevelBuffer(serviceLevel, targetAnswerTime) {
-    // Higher service levels need more agents
-    return 1 + (serviceLevel - 0.5) * 0.5;
-  }
-
-  predictServiceLevel(agents, workload, targetSeconds) {
-    // Simplified service level prediction
-    const utilization = workload / agents;
-    if (utilization >= 1) return 0.1; // Overloaded
-    
-    return Math.max(0.1, Math.min(0.99, 1 - utilization));
-  }
-
-  predictAverageWaitTime(agents, workload) {
-    // Simplified wait time prediction in seconds
-    const utilization = workload / agents;
-    if (utilization >= 1) return 300; // 5 minutes when overloaded
-    
-    return Math.max(0, utilization * 60); // Increases with utilization
-  }
-
-  getHolidayFactor(momentDate) {
-    // Simplified holiday detection
-    const month = momentDate.month();
-    const date = momentDate.date();
-    
-    // Major holidays reduce volume
-    const holidays = [
-      { month: 0, date: 1 },   // New Year's Day
-      { month: 6, date: 4 },   // Independence Day
-      { month: 11, date: 25 }, // Christmas
-    ];
-    
-    for (const holiday of holidays) {
-      if (month === holiday.month && date === holiday.date) {
-        return 0.3; // 70% volume reduction
-      }
-    }
-    
-    return 1.0; // Normal day
-  }
 }
 
 module.exports = new ForecastService(); 
\ No newline at end of file
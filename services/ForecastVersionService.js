@@ -0,0 +1,328 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { sequelize, Forecast, ForecastVersion } = require('../models');
+const logger = require('../utils/logger');
+
+// Forecasts in these states are only replaced by an explicit apply
+const PROTECTED_STATUSES = ['approved', 'published'];
+
+// Cleared when a version replaces manually overridden rows
+const OVERRIDE_RESET = {
+  is_manual_override: false,
+  override_reason: null,
+  override_id: null,
+  baseline_volume: null,
+};
+
+// Fields compared to decide whether a regenerated forecast changed
+const COMPARED_FIELDS = [
+  'predicted_volume',
+  'min_volume',
+  'max_volume',
+  'p10_volume',
+  'p50_volume',
+  'p90_volume',
+  'required_agents',
+  'optimal_agents',
+  'minimum_agents',
+  'required_agents_p10',
+  'required_agents_p50',
+  'required_agents_p90',
+];
+
+// Prediction fields cleared on rows that only keep their actuals
+const PREDICTION_FIELDS = [
+  ...COMPARED_FIELDS,
+  'predicted_service_level',
+  'predicted_average_wait_time',
+  'predicted_occupancy',
+  'predicted_wait_probability',
+  'predicted_abandonment_rate',
+];
+
+class ForecastVersionService {
+  /**
+   * Record a newly generated forecast for one channel/skill/date as a new
+   * version and write it to the live forecast rows. Intervals starting before
+   * `fromTime` keep their current values. Nothing is written when the forecast
+   * did not change. Approved, published or manually overridden forecasts are
+   * not overwritten: the version is kept as pending until applied explicitly.
+   */
+  async saveVersion({
+    channelId,
+    skillId = null,
+    date,
+    intervals,
+    method = null,
+    intervalMinutes = 60,
+    fromTime = null,
+    reason = 'generation',
+    userId = null,
+    allowPublishedOverwrite = false,
+  }) {
+    const forecastDate = moment(date).format('YYYY-MM-DD');
+    const latest = await ForecastVersion.getLatest(channelId, skillId, forecastDate);
+    const existing = await this.getLiveForecasts(channelId, skillId, forecastDate);
+
+    let snapshot = intervals;
+    if (fromTime && latest) {
+      // Periods that have started keep the forecast they were worked against
+      snapshot = intervals.map(interval => (interval.start < fromTime && latest.getInterval(interval.start)) || interval);
+    }
+
+    if (latest && this.sameIntervals(latest.intervals, snapshot)) {
+      return { version: latest, changed: false, applied: latest.status === 'applied', forecasts: existing };
+    }
+
+    const isProtected = !allowPublishedOverwrite && this.isProtected(existing);
+
+    const result = await sequelize.transaction(async transaction => {
+      const version = await ForecastVersion.create({
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: forecastDate,
+        version: latest ? latest.version + 1 : 1,
+        forecast_method: method,
+        interval_minutes: intervalMinutes,
+        intervals: snapshot,
+        status: isProtected ? 'pending' : 'applied',
+        reason,
+        applied_at: isProtected ? null : new Date(),
+        applied_by: isProtected ? null : userId,
+        created_by: userId,
+      }, { transaction });
+
+      const forecasts = isProtected
+        ? existing
+        : await this.writeIntervals(version, existing, transaction);
+
+      return { version, forecasts };
+    });
+
+    if (isProtected) {
+      logger.warn(`Forecast for channel ${channelId} on ${forecastDate} is approved, published or overridden; ` +
+        `version ${result.version.version} saved as pending`);
+    }
+
+    return { ...result, changed: true, applied: !isProtected };
+  }
+
+  /**
+   * Write a pending version to the live forecast rows, or restore an older
+   * version by saving its intervals as a new version. Either way this may
+   * replace an approved forecast, so a reason is required. A published
+   * forecast has to be reopened through the workflow first.
+   */
+  async applyVersion(versionId, { userId = null, reason }) {
+    if (!reason) {
+      throw new Error('A reason is required to apply a forecast version');
+    }
+
+    const version = await ForecastVersion.findByPk(versionId);
+    if (!version) {
+      throw new Error('Forecast version not found');
+    }
+
+    const existing = await this.getLiveForecasts(version.channel_id, version.skill_id, version.forecast_date);
+    if (existing.some(f => f.status === 'published')) {
+      throw new Error('Published forecasts must be reopened before a version is applied');
+    }
+
+    const latest = await ForecastVersion.getLatest(version.channel_id, version.skill_id, version.forecast_date);
+
+    if (version.status === 'pending' && latest.id === version.id) {
+      const forecasts = await sequelize.transaction(async transaction => {
+        await version.update({
+          status: 'applied',
+          applied_at: new Date(),
+          applied_by: userId,
+          notes: reason,
+        }, { transaction });
+        return this.writeIntervals(version, existing, transaction);
+      });
+
+      logger.info(`Applied forecast version ${version.version} for channel ${version.channel_id} on ${version.forecast_date}`);
+      return { version, changed: true, applied: true, forecasts };
+    }
+
+    const restored = await this.saveVersion({
+      channelId: version.channel_id,
+      skillId: version.skill_id,
+      date: version.forecast_date,
+      intervals: version.intervals,
+      method: version.forecast_method,
+      intervalMinutes: version.interval_minutes,
+      reason: `restore_v${version.version}`,
+      userId,
+      allowPublishedOverwrite: true,
+    });
+    if (restored.changed) {
+      await restored.version.update({ notes: reason });
+    }
+
+    return restored;
+  }
+
+  /**
+   * Versions of a forecast, newest first, without their interval snapshots
+   */
+  async listVersions(channelId, skillId, date) {
+    return ForecastVersion.findAll({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: moment(date).format('YYYY-MM-DD'),
+      },
+      attributes: { exclude: ['intervals'] },
+      order: [['version', 'DESC']],
+    });
+  }
+
+  /**
+   * The forecast as it was live at a point in time: the last version applied
+   * at or before `asOf`, or null if none had been applied yet
+   */
+  async getForecastAsOf(channelId, skillId, date, asOf) {
+    return ForecastVersion.findOne({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: moment(date).format('YYYY-MM-DD'),
+        status: 'applied',
+        applied_at: { [Op.lte]: moment(asOf).toDate() },
+      },
+      order: [['applied_at', 'DESC'], ['version', 'DESC']],
+    });
+  }
+
+  /**
+   * Interval-by-interval differences between two versions of a forecast
+   */
+  async diffVersions(channelId, skillId, date, fromVersion, toVersion) {
+    const where = {
+      channel_id: channelId,
+      skill_id: skillId,
+      forecast_date: moment(date).format('YYYY-MM-DD'),
+    };
+    const [from, to] = await Promise.all([
+      ForecastVersion.findOne({ where: { ...where, version: fromVersion } }),
+      ForecastVersion.findOne({ where: { ...where, version: toVersion } }),
+    ]);
+
+    if (!from || !to) {
+      throw new Error('Forecast version not found');
+    }
+
+    const starts = [...new Set([
+      ...(from.intervals || []).map(i => i.start),
+      ...(to.intervals || []).map(i => i.start),
+    ])].sort();
+
+    const intervals = starts.map(start => {
+      const before = from.getInterval(start);
+      const after = to.getInterval(start);
+      const changes = {};
+
+      for (const field of COMPARED_FIELDS) {
+        const oldValue = before ? before[field] : null;
+        const newValue = after ? after[field] : null;
+        if (oldValue !== newValue) {
+          changes[field] = {
+            from: oldValue,
+            to: newValue,
+            change: oldValue !== null && newValue !== null ? newValue - oldValue : null,
+          };
+        }
+      }
+
+      return {
+        start,
+        status: !before ? 'added' : (!after ? 'removed' : (Object.keys(changes).length ? 'changed' : 'unchanged')),
+        changes,
+      };
+    });
+
+    const total = (version, field) => (version.intervals || []).reduce((sum, i) => sum + (i[field] || 0), 0);
+
+    return {
+      from: { version: from.version, createdAt: from.created_at, reason: from.reason },
+      to: { version: to.version, createdAt: to.created_at, reason: to.reason },
+      summary: {
+        changedIntervals: intervals.filter(i => i.status !== 'unchanged').length,
+        volumeChange: total(to, 'predicted_volume') - total(from, 'predicted_volume'),
+        agentHoursChange: (to.intervals || []).reduce((sum, i) => sum + (i.required_agents || 0) * (i.interval_minutes || 60) / 60, 0) -
+          (from.intervals || []).reduce((sum, i) => sum + (i.required_agents || 0) * (i.interval_minutes || 60) / 60, 0),
+      },
+      intervals,
+    };
+  }
+
+  /**
+   * Upsert a version's intervals onto the live rows, keeping any actuals.
+   * Rows for intervals the version no longer has are removed, or archived
+   * when they carry actuals.
+   */
+  async writeIntervals(version, existing, transaction) {
+    const byStart = new Map(existing.map(forecast => [forecast.getIntervalStart(), forecast]));
+    const forecasts = [];
+
+    for (const { start, ...attributes } of version.intervals) {
+      const values = { ...attributes, ...OVERRIDE_RESET, version: version.version, status: 'generated' };
+      const current = byStart.get(start);
+      byStart.delete(start);
+
+      if (current) {
+        forecasts.push(await current.update(values, { transaction }));
+      } else {
+        forecasts.push(await Forecast.create({
+          ...values,
+          channel_id: version.channel_id,
+          skill_id: version.skill_id,
+          forecast_date: version.forecast_date,
+        }, { transaction }));
+      }
+    }
+
+    for (const stale of byStart.values()) {
+      if (stale.actual_volume !== null) {
+        const cleared = Object.fromEntries(PREDICTION_FIELDS.map(field => [field, null]));
+        await stale.update({ ...cleared, status: 'archived', version: version.version }, { transaction });
+      } else {
+        await stale.destroy({ transaction });
+      }
+    }
+
+    return forecasts;
+  }
+
+  async getLiveForecasts(channelId, skillId, date) {
+    return Forecast.findAll({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: date,
+      },
+      order: [['forecast_hour', 'ASC'], ['forecast_minute', 'ASC']],
+    });
+  }
+
+  /**
+   * Whether a new version of these live rows would be kept as pending:
+   * they are approved, published or manually overridden
+   */
+  isProtected(forecasts) {
+    return forecasts.some(f => f.predicted_volume !== null && (PROTECTED_STATUSES.includes(f.status) || f.override_id));
+  }
+
+  sameIntervals(previous, next) {
+    if ((previous || []).length !== next.length) return false;
+
+    const byStart = new Map(previous.map(interval => [interval.start, interval]));
+    return next.every(interval => {
+      const other = byStart.get(interval.start);
+      return other && COMPARED_FIELDS.every(field => other[field] === interval[field]);
+    });
+  }
+}
+
+module.exports = new ForecastVersionService();
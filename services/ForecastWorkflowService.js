@@ -0,0 +1,88 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Forecast } = require('../models');
+const logger = require('../utils/logger');
+
+// Workflow actions: the states they move forecasts from, the state they move
+// them to, the minimum role (User.hasRole) and the columns recording who and when
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'generated', role: 'supervisor' },
+  review: { from: ['generated'], to: 'reviewed', role: 'supervisor', by: 'reviewed_by', at: 'reviewed_at' },
+  approve: { from: ['reviewed'], to: 'approved', role: 'manager', by: 'approved_by', at: 'approved_at' },
+  publish: { from: ['approved'], to: 'published', role: 'manager', by: 'published_by', at: 'published_at' },
+  reopen: { from: ['reviewed', 'approved', 'published'], to: 'generated', role: 'manager' },
+  archive: { from: ['draft', 'generated', 'reviewed', 'approved', 'published'], to: 'archived', role: 'manager' },
+};
+
+class ForecastWorkflowService {
+  getTransition(action) {
+    return TRANSITIONS[action] || null;
+  }
+
+  getActions() {
+    return Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Move every forecast interval of a channel (and optionally one skill) in a
+   * date range through one workflow step. Intervals not in a state the step
+   * starts from are left alone and counted by status.
+   */
+  async transition(action, { channelId, skillId, startDate, endDate, user, comment = null }) {
+    const transition = this.getTransition(action);
+    if (!transition) {
+      throw new Error(`Unknown workflow action "${action}"`);
+    }
+    if (!user.hasRole(transition.role)) {
+      throw new Error(`Requires ${transition.role} role or higher`);
+    }
+
+    const where = {
+      channel_id: channelId,
+      forecast_date: {
+        [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+      },
+      // Actual-only rows have nothing to review
+      predicted_volume: { [Op.not]: null },
+    };
+    if (skillId !== undefined) where.skill_id = skillId;
+
+    const forecasts = await Forecast.findAll({ where, attributes: ['id', 'status'] });
+    const eligible = forecasts.filter(f => transition.from.includes(f.status)).map(f => f.id);
+
+    const skipped = forecasts
+      .filter(f => !transition.from.includes(f.status))
+      .reduce((counts, f) => ({ ...counts, [f.status]: (counts[f.status] || 0) + 1 }), {});
+
+    const now = new Date();
+    const updates = {
+      status: transition.to,
+      status_changed_by: user.id,
+      status_changed_at: now,
+      // Kept apart from notes, which hold ingestion and override notes
+      status_comment: comment || null,
+    };
+    if (transition.by) {
+      updates[transition.by] = user.id;
+      updates[transition.at] = now;
+    }
+
+    if (eligible.length) {
+      await Forecast.update(updates, { where: { id: eligible } });
+    }
+
+    logger.info(`Forecast ${action} by ${user.username}: ${eligible.length} intervals for channel ${channelId} ` +
+      `from ${moment(startDate).format('YYYY-MM-DD')} to ${moment(endDate).format('YYYY-MM-DD')}`);
+
+    return {
+      action,
+      status: transition.to,
+      updated: eligible.length,
+      skipped,
+      actedBy: user.id,
+      actedAt: now,
+    };
+  }
+}
+
+module.exports = new ForecastWorkflowService();
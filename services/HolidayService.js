@@ -0,0 +1,282 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Holiday, HolidayCalendar, Channel, Forecast } = require('../models');
+const logger = require('../utils/logger');
+
+// Weeks of same-weekday history used as the baseline when learning factors
+const BASELINE_WEEKS = 4;
+
+class HolidayService {
+  /**
+   * Calendars that apply to a channel: its own calendar, or the site default
+   */
+  async getCalendarIdsForChannel(channel) {
+    if (channel && channel.holiday_calendar_id) {
+      return [channel.holiday_calendar_id];
+    }
+
+    const defaultCalendar = await HolidayCalendar.getDefault();
+    return defaultCalendar ? [defaultCalendar.id] : [];
+  }
+
+  /**
+   * Holiday falling on a date for the given calendars, or null
+   */
+  async findHoliday(date, calendarIds) {
+    if (!calendarIds.length) return null;
+
+    return Holiday.findOne({
+      where: {
+        holiday_calendar_id: calendarIds,
+        holiday_date: moment(date).format('YYYY-MM-DD'),
+      },
+      include: [{ model: HolidayCalendar, where: { is_active: true } }],
+    });
+  }
+
+  /**
+   * Volume factor and holiday name for a channel on a date (1.0 on normal days)
+   */
+  async getHolidayFactor(date, channel = null) {
+    try {
+      const calendarIds = await this.getCalendarIdsForChannel(channel);
+      const holiday = await this.findHoliday(date, calendarIds);
+
+      if (!holiday) {
+        return { factor: 1.0, holiday: null };
+      }
+
+      return {
+        factor: holiday.getVolumeFactor(channel ? channel.id : null, holiday.HolidayCalendar.default_volume_factor),
+        holiday: holiday.name,
+      };
+    } catch (error) {
+      logger.error('Error looking up holiday factor:', error);
+      return { factor: 1.0, holiday: null };
+    }
+  }
+
+  /**
+   * Set of holiday dates (YYYY-MM-DD) between two dates for a set of channels,
+   * including the site default calendar
+   */
+  async getHolidayDates(startDate, endDate, channelIds = []) {
+    const calendarIds = new Set();
+
+    const defaultCalendar = await HolidayCalendar.getDefault();
+    if (defaultCalendar) calendarIds.add(defaultCalendar.id);
+
+    const channelWhere = { holiday_calendar_id: { [Op.not]: null } };
+    if (channelIds && channelIds.length) channelWhere.id = channelIds;
+    const channels = await Channel.findAll({ where: channelWhere, attributes: ['holiday_calendar_id'] });
+    channels.forEach(channel => calendarIds.add(channel.holiday_calendar_id));
+
+    if (!calendarIds.size) return new Set();
+
+    const holidays = await Holiday.findAll({
+      where: {
+        holiday_calendar_id: [...calendarIds],
+        holiday_date: {
+          [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')],
+        },
+      },
+      attributes: ['holiday_date'],
+    });
+
+    return new Set(holidays.map(h => moment(h.holiday_date).format('YYYY-MM-DD')));
+  }
+
+  /**
+   * Import VEVENTs from an iCalendar (ICS) file into a calendar. Multi-day
+   * events become one holiday per day. Re-importing updates existing dates.
+   */
+  async importIcs(calendarId, icsText) {
+    const calendar = await HolidayCalendar.findByPk(calendarId);
+    if (!calendar) {
+      throw new Error('Holiday calendar not found');
+    }
+
+    const events = this.parseIcs(icsText);
+    const result = { created: 0, updated: 0, skipped: 0 };
+
+    for (const event of events) {
+      if (!event.start || !event.summary) {
+        result.skipped++;
+        continue;
+      }
+
+      // DTEND is exclusive: a date or midnight ends the day before, any other time falls on the last day
+      let end = moment(event.start);
+      if (event.end) {
+        end = event.endsAtMidnight ? moment(event.end).subtract(1, 'day') : moment(event.end);
+      }
+      if (end.isBefore(event.start)) {
+        result.skipped++;
+        continue;
+      }
+      for (const day = moment(event.start); day.isSameOrBefore(end); day.add(1, 'day')) {
+        const [holiday, created] = await Holiday.findOrCreate({
+          where: {
+            holiday_calendar_id: calendarId,
+            holiday_date: day.format('YYYY-MM-DD'),
+            name: event.summary,
+          },
+          defaults: {
+            source: 'ics_import',
+            external_uid: event.uid,
+          },
+        });
+
+        if (created) {
+          result.created++;
+        } else {
+          await holiday.update({ external_uid: event.uid || holiday.external_uid });
+          result.updated++;
+        }
+      }
+    }
+
+    logger.info(`Imported ${events.length} ICS events into calendar ${calendar.name}`);
+    return result;
+  }
+
+  /**
+   * Minimal iCalendar parser: unfolds lines and reads DTSTART, DTEND, SUMMARY and UID
+   */
+  parseIcs(icsText) {
+    const lines = icsText.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let current = null;
+
+    const parseDate = value => {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+      return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    };
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+      } else if (line === 'END:VEVENT') {
+        if (current) events.push(current);
+        current = null;
+      } else if (current) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const property = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        switch (property) {
+          case 'DTSTART':
+            current.start = parseDate(value);
+            break;
+          case 'DTEND':
+            current.end = parseDate(value);
+            // A DATE value (no time part) or a DATE-TIME at 00:00:00
+            current.endsAtMidnight = !value.includes('T') || /T000000/.test(value);
+            break;
+          case 'SUMMARY':
+            current.summary = value.replace(/\\,/g, ',').replace(/\\;/g, ';').trim();
+            break;
+          case 'UID':
+            current.uid = value.trim();
+            break;
+          default:
+            break;
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Learn volume factors for past holidays in a calendar from channel actuals:
+   * holiday volume divided by the average of the same weekday in the previous
+   * weeks. Future holidays with the same name inherit the latest learned factor.
+   */
+  async learnFactors(calendarId, channelIds = null) {
+    const calendar = await HolidayCalendar.findByPk(calendarId);
+    if (!calendar) {
+      throw new Error('Holiday calendar not found');
+    }
+
+    const channelWhere = { is_active: true };
+    if (channelIds && channelIds.length) channelWhere.id = channelIds;
+    const channels = await Channel.findAll({ where: channelWhere });
+
+    const holidays = await Holiday.findAll({
+      where: { holiday_calendar_id: calendarId },
+      order: [['holiday_date', 'ASC']],
+    });
+    const holidayDates = new Set(holidays.map(h => moment(h.holiday_date).format('YYYY-MM-DD')));
+    const today = moment().format('YYYY-MM-DD');
+
+    const learnedByName = new Map();
+    let learned = 0;
+
+    for (const holiday of holidays) {
+      const date = moment(holiday.holiday_date).format('YYYY-MM-DD');
+      const channelFactors = { ...(holiday.channel_factors || {}) };
+
+      if (date < today) {
+        for (const channel of channels) {
+          const factor = await this.measureFactor(channel.id, date, holidayDates);
+          if (factor !== null) channelFactors[channel.id] = Math.round(factor * 10000) / 10000;
+        }
+      } else if (learnedByName.has(holiday.name)) {
+        Object.assign(channelFactors, learnedByName.get(holiday.name));
+      }
+
+      if (Object.keys(channelFactors).length && holiday.factor_source !== 'manual') {
+        const factors = Object.values(channelFactors);
+        await holiday.update({
+          channel_factors: channelFactors,
+          volume_factor: factors.reduce((sum, f) => sum + f, 0) / factors.length,
+          factor_source: 'learned',
+        });
+        learnedByName.set(holiday.name, channelFactors);
+        learned++;
+      }
+    }
+
+    logger.info(`Learned volume factors for ${learned} holidays in calendar ${calendar.name}`);
+    return { learned, holidays: holidays.length };
+  }
+
+  /**
+   * Holiday volume over the baseline of the same weekday in previous
+   * non-holiday weeks, or null without enough actuals
+   */
+  async measureFactor(channelId, date, holidayDates) {
+    const baselineDates = [];
+    for (let week = 1; week <= BASELINE_WEEKS; week++) {
+      const candidate = moment(date).subtract(week, 'weeks').format('YYYY-MM-DD');
+      if (!holidayDates.has(candidate)) baselineDates.push(candidate);
+    }
+
+    const rows = await Forecast.findAll({
+      where: {
+        channel_id: channelId,
+        skill_id: null,
+        forecast_date: [date, ...baselineDates],
+        actual_volume: { [Op.not]: null },
+      },
+      attributes: ['forecast_date', 'actual_volume'],
+    });
+
+    const totals = new Map();
+    for (const row of rows) {
+      const day = moment(row.forecast_date).format('YYYY-MM-DD');
+      totals.set(day, (totals.get(day) || 0) + Number(row.actual_volume));
+    }
+
+    const baseline = baselineDates.filter(d => totals.has(d)).map(d => totals.get(d));
+    if (!totals.has(date) || baseline.length < 2) return null;
+
+    const average = baseline.reduce((sum, v) => sum + v, 0) / baseline.length;
+    return average > 0 ? totals.get(date) / average : null;
+  }
+}
+
+module.exports = new HolidayService();
@@ -0,0 +1,340 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Forecast, ForecastVersion, Channel, Skill, Shift } = require('../models');
+const ForecastService = require('./ForecastService');
+const ForecastVersionService = require('./ForecastVersionService');
+const ScheduleOptimizer = require('./ScheduleOptimizer');
+const logger = require('../utils/logger');
+
+// Forecast volume seen so far at which the observed ratio gets half its weight
+const PRIOR_VOLUME = 50;
+
+// Share of the observed deviation kept per hour further ahead
+const HOURLY_DAMPING = 0.85;
+
+// Observed ratios are clamped to this range
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+
+class IntradayReforecastService {
+  /**
+   * Reproject the rest of today, on the channel's clock, from how it is running.
+   * Actuals of the finished intervals are compared with the day's baseline
+   * forecast (the version live at the start of the day); the remaining
+   * baseline intervals are scaled by that ratio, weighted by how much volume
+   * has been seen and damped the further ahead they are. Staffing is
+   * recalculated and, unless `save` is false, the result is saved as an
+   * intraday version and the channel's skill forecasts are split again.
+   * Approved, published or overridden forecasts only get a pending version,
+   * and none at all with `savePending` false. The outlook always carries the
+   * revised requirements, split by skill, for getRemainingCoverage.
+   */
+  async reforecastChannel(channelId, {
+    skillId = null,
+    now = moment(),
+    save = true,
+    savePending = true,
+    userId = null,
+  } = {}) {
+    const channel = await Channel.findByPk(channelId);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+
+    const skill = skillId ? await Skill.findByPk(skillId) : null;
+    const localNow = ForecastService.getLocalNow(channel, now);
+    const date = localNow.format('YYYY-MM-DD');
+    const fromTime = localNow.format('HH:mm');
+
+    const baseline = await this.getBaseline(channelId, skillId, date, localNow);
+    if (!baseline) return null;
+
+    const live = await ForecastVersionService.getLiveForecasts(channelId, skillId, date);
+    const actuals = new Map(live
+      .filter(f => f.actual_volume !== null)
+      .map(f => [f.getIntervalStart(), Number(f.actual_volume)]));
+
+    const observed = this.observe(baseline.intervals, actuals, fromTime);
+    const minutesNow = this.toMinutes(fromTime);
+
+    // Scale the remaining intervals; started ones keep the baseline
+    const predicted = baseline.intervals.map(interval => {
+      const volumes = {
+        volume: interval.predicted_volume,
+        minVolume: interval.min_volume,
+        maxVolume: interval.max_volume,
+        p10: interval.p10_volume ?? null,
+        p50: interval.p50_volume ?? null,
+        p90: interval.p90_volume ?? null,
+      };
+      if (interval.start < fromTime) return { ...volumes, factor: 1 };
+
+      const hoursAhead = (this.toMinutes(interval.start) - minutesNow) / 60;
+      const factor = 1 + (observed.ratio - 1) * observed.weight * Math.pow(HOURLY_DAMPING, hoursAhead);
+      const scale = (value, round) => (value == null ? null : Math.max(0, round(value * factor)));
+
+      return {
+        volume: scale(volumes.volume, Math.round),
+        minVolume: scale(volumes.minVolume, Math.floor),
+        maxVolume: scale(volumes.maxVolume, Math.ceil),
+        p10: scale(volumes.p10, Math.floor),
+        p50: scale(volumes.p50, Math.round),
+        p90: scale(volumes.p90, Math.ceil),
+        factor,
+      };
+    });
+
+    const intervalMinutes = baseline.interval_minutes || 60;
+    const staffing = ForecastService.calculateDailyRequirements(predicted, channel, skill, intervalMinutes);
+    const percentileStaffing = ForecastService.calculatePercentileRequirements(predicted, channel, skill, intervalMinutes);
+
+    const intervals = baseline.intervals.map((interval, i) => ({
+      ...interval,
+      predicted_volume: predicted[i].volume,
+      min_volume: predicted[i].minVolume,
+      max_volume: predicted[i].maxVolume,
+      p10_volume: predicted[i].p10,
+      p50_volume: predicted[i].p50,
+      p90_volume: predicted[i].p90,
+      required_agents: staffing[i].required,
+      optimal_agents: staffing[i].optimal,
+      minimum_agents: staffing[i].minimum,
+      required_agents_p10: percentileStaffing[i].p10,
+      required_agents_p50: percentileStaffing[i].p50,
+      required_agents_p90: percentileStaffing[i].p90,
+      predicted_service_level: staffing[i].predictedServiceLevel,
+      predicted_average_wait_time: staffing[i].predictedWaitTime,
+      predicted_occupancy: staffing[i].occupancy,
+      predicted_wait_probability: staffing[i].probabilityOfWaiting,
+      predicted_abandonment_rate: staffing[i].predictedAbandonmentRate,
+      external_factors: {
+        ...(interval.external_factors || {}),
+        intradayFactor: predicted[i].factor,
+      },
+    }));
+
+    let version = null;
+    if (save && (savePending || !ForecastVersionService.isProtected(live))) {
+      const result = await ForecastVersionService.saveVersion({
+        channelId,
+        skillId,
+        date,
+        intervals,
+        method: baseline.forecast_method,
+        intervalMinutes,
+        fromTime,
+        reason: 'intraday_reforecast',
+        userId,
+      });
+      version = { version: result.version.version, changed: result.changed, applied: result.applied };
+
+      if (!skillId && result.applied) {
+        await ForecastService.generateSkillForecasts(channelId, date, {
+          fromTime,
+          reason: 'intraday_reforecast',
+          userId,
+        });
+      }
+    }
+
+    const remaining = intervals
+      .map((interval, i) => ({ interval, baseline: baseline.intervals[i] }))
+      .filter(({ interval }) => interval.start >= fromTime)
+      .map(({ interval, baseline: base }) => ({
+        start: interval.start,
+        intervalMinutes: interval.interval_minutes || intervalMinutes,
+        baselineVolume: base.predicted_volume,
+        revisedVolume: interval.predicted_volume,
+        baselineRequiredAgents: base.required_agents,
+        requiredAgents: interval.required_agents,
+        requiredAgentsP90: interval.required_agents_p90,
+      }));
+
+    // The channel's skills share the revised volume, whether or not it went live
+    let skills = [];
+    if (!skillId) {
+      const mix = await ForecastService.getSkillMix(channel, date);
+      const revised = intervals.map(interval => Forecast.build({ ...interval, channel_id: channelId, forecast_date: date }));
+      if (mix.skills.length && revised.length) {
+        skills = ForecastService.splitSkillIntervals(channel, revised, mix).map(({ skill: split, intervals: skillIntervals }) => ({
+          skillId: split.id,
+          name: split.name,
+          remaining: skillIntervals
+            .filter(interval => interval.start >= fromTime)
+            .map(interval => ({
+              start: interval.start,
+              intervalMinutes: interval.interval_minutes || intervalMinutes,
+              revisedVolume: interval.predicted_volume,
+              requiredAgents: interval.required_agents,
+              requiredAgentsP90: interval.required_agents_p90,
+            })),
+        }));
+      }
+    }
+
+    logger.info(`Intraday reforecast for channel ${channelId} at ${fromTime}: running at ` +
+      `${Math.round(observed.ratio * 100)}% of forecast over ${observed.intervals} intervals`);
+
+    return {
+      channelId,
+      skillId,
+      date,
+      asOf: localNow.format(),
+      baselineVersion: baseline.version,
+      observed,
+      remaining,
+      skills,
+      totals: {
+        baselineVolume: remaining.reduce((sum, r) => sum + (r.baselineVolume || 0), 0),
+        revisedVolume: remaining.reduce((sum, r) => sum + (r.revisedVolume || 0), 0),
+      },
+      version,
+    };
+  }
+
+  /**
+   * Reforecast every active channel and compare the revised requirements with
+   * the agents on shift for the rest of the day in the default timezone
+   * (called by cron job)
+   */
+  async reforecastAll({ now = moment(), save = true } = {}) {
+    const channels = await Channel.findAll({ where: { is_active: true } });
+    const outlooks = [];
+
+    for (const channel of channels) {
+      try {
+        // Run every 15 minutes, so protected forecasts get no pending version each time
+        const outlook = await this.reforecastChannel(channel.id, { now, save, savePending: false });
+        if (outlook) outlooks.push(outlook);
+      } catch (error) {
+        logger.error(`Error reforecasting channel ${channel.id}:`, error);
+      }
+    }
+
+    const coverage = await this.getRemainingCoverage(ForecastService.defaultTimezone, { now, outlooks });
+    return { asOf: moment(now).tz(ForecastService.defaultTimezone).format(), channels: outlooks, ...coverage };
+  }
+
+  /**
+   * Staffing gaps for the intervals of today not yet started, against the
+   * live forecasts of all channels. Channels (or skills) with an outlook from
+   * reforecastChannel are measured against its revised requirements instead,
+   * since those may not have replaced an approved or published forecast.
+   * Today and now are read on the clock of the given timezone.
+   */
+  async getRemainingCoverage(timezone = ForecastService.defaultTimezone, { now = moment(), outlooks = [] } = {}) {
+    const localNow = moment(now).tz(timezone);
+    const date = localNow.format('YYYY-MM-DD');
+    const fromTime = localNow.format('HH:mm');
+
+    const [forecasts, shifts] = await Promise.all([
+      Forecast.findAll({
+        where: {
+          forecast_date: date,
+          predicted_volume: { [Op.not]: null },
+          status: { [Op.ne]: 'archived' },
+        },
+      }),
+      Shift.findAll({
+        where: {
+          shift_date: date,
+          status: ['scheduled', 'confirmed', 'in_progress'],
+        },
+      }),
+    ]);
+
+    const revised = outlooks.filter(outlook => outlook.date === date);
+    const replaced = forecast => revised.some(outlook =>
+      outlook.channelId === forecast.channel_id && (!outlook.skillId || outlook.skillId === forecast.skill_id)
+    );
+    const toForecast = (outlook, skillId, entry) => {
+      const [hour, minute] = entry.start.split(':').map(Number);
+      return Forecast.build({
+        channel_id: outlook.channelId,
+        skill_id: skillId,
+        forecast_date: date,
+        forecast_hour: hour,
+        forecast_minute: minute,
+        interval_minutes: entry.intervalMinutes,
+        predicted_volume: entry.revisedVolume,
+        required_agents: entry.requiredAgents,
+        required_agents_p90: entry.requiredAgentsP90,
+      });
+    };
+
+    const coverage = ScheduleOptimizer.calculateIntervalCoverage(shifts, [
+      ...forecasts.filter(forecast => !replaced(forecast)),
+      ...revised.flatMap(outlook => [
+        ...outlook.remaining.map(entry => toForecast(outlook, outlook.skillId, entry)),
+        ...(outlook.skills || []).flatMap(skill => skill.remaining.map(entry => toForecast(outlook, skill.skillId, entry))),
+      ]),
+    ]);
+    const gaps = coverage.intervals.filter(interval => interval.start >= fromTime);
+
+    return {
+      gaps,
+      understaffedIntervals: gaps.filter(interval => interval.gap < 0).length,
+      largestShortfall: gaps.reduce((worst, interval) => Math.min(worst, interval.gap), 0),
+    };
+  }
+
+  /**
+   * The forecast today is measured against: the version live at the start of
+   * the day, or the first version applied today
+   */
+  async getBaseline(channelId, skillId, date, now) {
+    const startOfDay = await ForecastVersionService.getForecastAsOf(
+      channelId,
+      skillId,
+      date,
+      moment(now).startOf('day')
+    );
+    if (startOfDay) return startOfDay;
+
+    return ForecastVersion.findOne({
+      where: {
+        channel_id: channelId,
+        skill_id: skillId,
+        forecast_date: date,
+        status: 'applied',
+      },
+      order: [['version', 'ASC']],
+    });
+  }
+
+  /**
+   * Actual vs baseline volume over the intervals that have finished and have
+   * actuals. The weight grows with the forecast volume seen so far.
+   */
+  observe(intervals, actuals, fromTime) {
+    const minutesNow = this.toMinutes(fromTime);
+    let actual = 0;
+    let forecast = 0;
+    let count = 0;
+
+    for (const interval of intervals) {
+      const end = this.toMinutes(interval.start) + (interval.interval_minutes || 60);
+      if (end > minutesNow || !actuals.has(interval.start)) continue;
+
+      actual += actuals.get(interval.start);
+      forecast += interval.predicted_volume || 0;
+      count += 1;
+    }
+
+    const ratio = forecast > 0 ? Math.min(MAX_RATIO, Math.max(MIN_RATIO, actual / forecast)) : 1;
+    return {
+      intervals: count,
+      actualVolume: actual,
+      forecastVolume: forecast,
+      ratio,
+      weight: forecast / (forecast + PRIOR_VOLUME),
+    };
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+}
+
+module.exports = new IntradayReforecastService();
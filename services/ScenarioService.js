@@ -0,0 +1,392 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Scenario, Forecast, Channel } = require('../models');
+const ForecastService = require('./ForecastService');
+const ForecastOverrideService = require('./ForecastOverrideService');
+const CapacityPlanningService = require('./CapacityPlanningService');
+const ScheduleOptimizer = require('./ScheduleOptimizer');
+const HolidayService = require('./HolidayService');
+const logger = require('../utils/logger');
+
+// Volume and AHT are changed relative to the live values, headcount by a
+// number of agents; shrinkage and service level settings replace the channel's
+const DEFAULT_ADJUSTMENTS = {
+  volumePercent: 0,
+  ahtSeconds: 0,
+  shrinkage: null,
+  serviceLevelTarget: null,
+  serviceLevelThreshold: null,
+  headcountChange: 0,
+};
+
+const MAX_SCENARIO_DAYS = 31;
+const MAX_COMPARED_SCENARIOS = 5;
+
+// Summary figures lined up when scenarios are compared
+const COMPARED_METRICS = [
+  'totalVolume',
+  'requiredHours',
+  'peakRequiredAgents',
+  'predictedServiceLevel',
+  'headcount',
+  'intervalsOverHeadcount',
+];
+
+class ScenarioService {
+  /**
+   * Clone the live channel forecasts of a date range, apply what-if
+   * adjustments and rerun staffing (and, when asked, shift generation and
+   * simulation). Everything is computed in memory and kept on the scenario;
+   * forecasts, schedules and shifts are never written. Saved unless `save`
+   * is false.
+   */
+  async createScenario({
+    name,
+    description = null,
+    startDate,
+    endDate,
+    channelIds = [],
+    adjustments = {},
+    generateSchedule = false,
+    save = true,
+    userId = null,
+  }) {
+    const start = moment(startDate).format('YYYY-MM-DD');
+    const end = moment(endDate || startDate).format('YYYY-MM-DD');
+    if (end < start) {
+      throw new Error('End date must not be before start date');
+    }
+    if (moment(end).diff(moment(start), 'days') + 1 > MAX_SCENARIO_DAYS) {
+      throw new Error(`Scenarios cover at most ${MAX_SCENARIO_DAYS} days`);
+    }
+
+    const scenario = {
+      name: name || `Scenario from ${start}`,
+      description,
+      start_date: start,
+      end_date: end,
+      channel_ids: channelIds,
+      adjustments: this.getAdjustments(adjustments),
+      generate_schedule: Boolean(generateSchedule),
+      created_by: userId,
+    };
+    Object.assign(scenario, await this.runScenario(scenario));
+
+    if (!save) return scenario;
+
+    const saved = await Scenario.create(scenario);
+    logger.info(`Created scenario ${saved.id} from ${start} to ${end}`);
+    return saved;
+  }
+
+  /**
+   * Recalculate a saved scenario against the current live forecasts
+   */
+  async rerunScenario(id) {
+    const scenario = await Scenario.findByPk(id);
+    if (!scenario) {
+      throw new Error('Scenario not found');
+    }
+
+    await scenario.update(await this.runScenario(scenario));
+    return scenario;
+  }
+
+  /**
+   * Side-by-side summaries of several scenarios, with one row per metric
+   */
+  async compareScenarios(ids) {
+    if (ids.length > MAX_COMPARED_SCENARIOS) {
+      throw new Error(`At most ${MAX_COMPARED_SCENARIOS} scenarios can be compared`);
+    }
+
+    const found = await Scenario.findAll({ where: { id: ids } });
+    const scenarios = ids.map(id => found.find(s => s.id === id));
+    if (scenarios.some(s => !s)) {
+      throw new Error('Scenario not found');
+    }
+
+    const withSchedule = scenarios.some(s => (s.summary || {}).schedule);
+    const metrics = COMPARED_METRICS.map(metric => ({
+      metric,
+      baseline: scenarios.map(s => ((s.summary || {}).baseline || {})[metric] ?? null),
+      scenario: scenarios.map(s => ((s.summary || {}).scenario || {})[metric] ?? null),
+    }));
+    if (withSchedule) {
+      for (const metric of ['serviceLevel', 'averageSpeedOfAnswer', 'abandonmentRate', 'occupancy', 'coverage']) {
+        metrics.push({
+          metric: `schedule.${metric}`,
+          baseline: scenarios.map(() => null),
+          scenario: scenarios.map(s => ((s.summary || {}).schedule || {})[metric] ?? null),
+        });
+      }
+    }
+
+    return {
+      scenarios: scenarios.map(s => ({
+        id: s.id,
+        name: s.name,
+        startDate: s.start_date,
+        endDate: s.end_date,
+        adjustments: s.adjustments,
+        calculatedAt: s.calculated_at,
+      })),
+      metrics,
+    };
+  }
+
+  getAdjustments(overrides = {}) {
+    return {
+      ...DEFAULT_ADJUSTMENTS,
+      ...overrides,
+      channels: { ...(overrides.channels || {}) },
+    };
+  }
+
+  /**
+   * Adjustments for one channel: the scenario-wide ones with the channel's
+   * own overrides on top
+   */
+  getChannelAdjustments(adjustments, channelId) {
+    const { channels, ...global } = adjustments;
+    return { ...global, ...((channels || {})[channelId] || {}) };
+  }
+
+  /**
+   * A detached copy of the channel with the scenario's parameters
+   */
+  adjustChannel(channel, adjustments) {
+    const copy = { ...(typeof channel.get === 'function' ? channel.get({ plain: true }) : channel) };
+    const aht = parseFloat(copy.average_handle_time) || 5;
+
+    copy.average_handle_time = Math.max(0.1, aht + (adjustments.ahtSeconds || 0) / 60);
+    if (adjustments.shrinkage != null) copy.shrinkage_factor = adjustments.shrinkage;
+    if (adjustments.serviceLevelTarget != null) copy.service_level_target = adjustments.serviceLevelTarget;
+    if (adjustments.serviceLevelThreshold != null) copy.service_level_threshold = adjustments.serviceLevelThreshold;
+
+    return copy;
+  }
+
+  /**
+   * Staff the baseline and the adjusted forecasts day by day for each channel
+   */
+  async runScenario(scenario) {
+    const channelIds = scenario.channel_ids || [];
+    const channels = await Channel.findAll({
+      where: channelIds.length ? { id: channelIds } : { is_active: true },
+    });
+
+    const forecasts = await Forecast.findAll({
+      where: {
+        channel_id: channels.map(c => c.id),
+        skill_id: null,
+        forecast_date: { [Op.between]: [scenario.start_date, scenario.end_date] },
+        predicted_volume: { [Op.not]: null },
+        status: { [Op.ne]: 'archived' },
+      },
+    });
+    if (!forecasts.length) {
+      throw new Error('No forecasts found for the scenario');
+    }
+
+    const adjustedChannels = [];
+    const scenarioForecasts = [];
+    const results = [];
+
+    for (const channel of channels) {
+      const adjustments = this.getChannelAdjustments(scenario.adjustments, channel.id);
+      const adjusted = this.adjustChannel(channel, adjustments);
+      const factor = 1 + (adjustments.volumePercent || 0) / 100;
+      const intervals = [];
+
+      const byDate = new Map();
+      for (const forecast of forecasts.filter(f => f.channel_id === channel.id)) {
+        const date = moment(forecast.forecast_date).format('YYYY-MM-DD');
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push(forecast);
+      }
+      if (!byDate.size) continue;
+
+      for (const [date, rows] of [...byDate.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        rows.sort((a, b) => a.getIntervalStart().localeCompare(b.getIntervalStart()));
+        const intervalMinutes = rows[0].interval_minutes || 60;
+
+        const baseline = rows.map(f => ForecastOverrideService.getPredictedVolume(f));
+        const predicted = baseline.map(pv => ForecastService.scaleVolume(pv, factor));
+        const baselineStaffing = ForecastService.calculateDailyRequirements(baseline, channel, null, intervalMinutes);
+        const staffing = ForecastService.calculateDailyRequirements(predicted, adjusted, null, intervalMinutes);
+        const percentileStaffing = ForecastService.calculatePercentileRequirements(
+          predicted,
+          adjusted,
+          null,
+          intervalMinutes
+        );
+
+        rows.forEach((forecast, i) => {
+          intervals.push({
+            date,
+            start: forecast.getIntervalStart(),
+            minutes: intervalMinutes,
+            baselineVolume: baseline[i].volume,
+            volume: predicted[i].volume,
+            baselineRequiredAgents: baselineStaffing[i].required,
+            requiredAgents: staffing[i].required,
+            baselineServiceLevel: baselineStaffing[i].predictedServiceLevel,
+            predictedServiceLevel: staffing[i].predictedServiceLevel,
+          });
+
+          // Unsaved copies for shift generation
+          scenarioForecasts.push(Forecast.build({
+            ...forecast.get({ plain: true }),
+            predicted_volume: predicted[i].volume,
+            min_volume: predicted[i].minVolume,
+            max_volume: predicted[i].maxVolume,
+            p10_volume: predicted[i].p10,
+            p50_volume: predicted[i].p50,
+            p90_volume: predicted[i].p90,
+            ...ForecastOverrideService.getStaffingFields(staffing[i], percentileStaffing[i]),
+          }));
+        });
+      }
+
+      adjustedChannels.push(adjusted);
+      results.push({
+        channelId: channel.id,
+        name: channel.name,
+        parameters: {
+          baseline: this.describeParameters(channel),
+          scenario: this.describeParameters(adjusted),
+        },
+        volumeFactor: factor,
+        intervals,
+      });
+    }
+
+    const agents = await CapacityPlanningService.loadAgents(channelIds);
+    const headcount = {
+      baseline: agents.length,
+      scenario: Math.max(0, agents.length + (scenario.adjustments.headcountChange || 0)),
+    };
+    const allIntervals = results.flatMap(r => r.intervals);
+
+    const summary = {
+      baseline: this.summarize(allIntervals, 'baseline', headcount.baseline),
+      scenario: this.summarize(allIntervals, 'scenario', headcount.scenario),
+    };
+    summary.change = this.describeChange(summary.baseline, summary.scenario);
+
+    if (scenario.generate_schedule) {
+      summary.schedule = await this.simulateSchedule(scenario, scenarioForecasts, adjustedChannels, agents, headcount.scenario);
+    }
+
+    return {
+      channels: results,
+      summary,
+      calculated_at: new Date(),
+    };
+  }
+
+  /**
+   * Generate shifts for the adjusted forecasts in memory and simulate them.
+   * Headcount changes drop the least suitable agents or add placeholders.
+   */
+  async simulateSchedule(scenario, forecasts, channels, agents, headcount) {
+    const pool = ScheduleOptimizer.sortAgentsBySuitability([...agents]).slice(0, headcount);
+    for (let i = pool.length; i < headcount; i++) {
+      pool.push({ id: `scenario-agent-${i + 1}`, can_work_holidays: true, can_work_weekends: true });
+    }
+
+    const agentIds = agents.map(agent => agent.id);
+    const timeOff = agentIds.length
+      ? await ScheduleOptimizer.getTimeOffRequests(agentIds, scenario.start_date, scenario.end_date)
+      : [];
+    const holidayDates = await HolidayService.getHolidayDates(
+      scenario.start_date,
+      scenario.end_date,
+      channels.map(c => c.id)
+    );
+
+    const preferences = ScheduleOptimizer.getDefaultOptimizationPreferences();
+    const { shifts, report } = ScheduleOptimizer.solveSchedule({
+      startDate: scenario.start_date,
+      endDate: scenario.end_date,
+      agents: pool,
+      forecasts,
+      timeOffRequests: timeOff,
+      holidayDates,
+      constraints: ScheduleOptimizer.getDefaultConstraints(),
+      staffingPercentile: preferences.staffing_percentile,
+    });
+
+    const metrics = await ScheduleOptimizer.calculateScheduleMetrics(
+      { optimization_preferences: preferences },
+      shifts,
+      forecasts,
+      channels
+    );
+
+    return {
+      shifts: shifts.length,
+      scheduledHours: shifts.reduce((sum, s) => sum + ScheduleOptimizer.calculateShiftHours(s.start_time, s.end_time), 0),
+      serviceLevel: metrics.serviceLevel,
+      averageSpeedOfAnswer: metrics.averageSpeedOfAnswer,
+      abandonmentRate: metrics.abandonmentRate,
+      occupancy: metrics.occupancy,
+      coverage: metrics.coverage,
+      understaffedIntervals: metrics.understaffedIntervals,
+      unmetAgentHours: report.unmetAgentHours,
+    };
+  }
+
+  describeParameters(channel) {
+    const params = ForecastService.getStaffingParameters(channel);
+    return {
+      handleTimeSeconds: params.handleTimeSeconds,
+      shrinkage: params.shrinkage,
+      serviceLevelTarget: params.serviceLevelTarget,
+      thresholdSeconds: params.thresholdSeconds,
+    };
+  }
+
+  /**
+   * Totals over all channels for one side. Agents are added up across
+   * channels per date and interval start before the peak and the headcount
+   * check are taken.
+   */
+  summarize(intervals, side, headcount) {
+    const volume = i => (side === 'baseline' ? i.baselineVolume : i.volume) || 0;
+    const agents = i => (side === 'baseline' ? i.baselineRequiredAgents : i.requiredAgents) || 0;
+    const level = i => (side === 'baseline' ? i.baselineServiceLevel : i.predictedServiceLevel);
+
+    const combined = new Map();
+    for (const interval of intervals) {
+      const key = `${interval.date}|${interval.start}`;
+      combined.set(key, (combined.get(key) || 0) + agents(interval));
+    }
+
+    const measured = intervals.filter(i => level(i) != null && volume(i) > 0);
+    const measuredVolume = measured.reduce((sum, i) => sum + volume(i), 0);
+
+    return {
+      totalVolume: intervals.reduce((sum, i) => sum + volume(i), 0),
+      requiredHours: Math.round(intervals.reduce((sum, i) => sum + agents(i) * i.minutes / 60, 0) * 10) / 10,
+      peakRequiredAgents: Math.max(0, ...combined.values()),
+      predictedServiceLevel: measuredVolume > 0
+        ? measured.reduce((sum, i) => sum + level(i) * volume(i), 0) / measuredVolume
+        : null,
+      headcount,
+      intervalsOverHeadcount: [...combined.values()].filter(required => required > headcount).length,
+    };
+  }
+
+  describeChange(baseline, scenario) {
+    const percent = (from, to) => (from > 0 ? Math.round(((to - from) / from) * 1000) / 10 : null);
+    return {
+      volumePercent: percent(baseline.totalVolume, scenario.totalVolume),
+      requiredHoursPercent: percent(baseline.requiredHours, scenario.requiredHours),
+      peakRequiredAgents: scenario.peakRequiredAgents - baseline.peakRequiredAgents,
+    };
+  }
+}
+
+module.exports = new ScenarioService();
@@ -1,6 +1,13 @@
 const moment = require('moment-timezone');
 const { Schedule, Shift, Agent, Forecast, TimeOff, Channel } = require('../models');
 const logger = require('../utils/logger');
+const HolidayService = require('./HolidayService');
+const ForecastService = require('./ForecastService');
+const { simulateQueues } = require('../utils/queueSimulator');
+const { solveShifts, DEFAULT_WEIGHTS, LIMITS } = require('../utils/shiftSolver');
+
+// Shortest shift the solver offers (part-time block), in hours
+const MIN_SHIFT_HOURS = 4;
 
 class ScheduleOptimizer {
   constructor() {
@@ -38,28 +45,28 @@ class ScheduleOptimizer {
       const agents = await this.getAvailableAgents(agentIds, startDate, endDate);
       const forecasts = await this.getForecastData(channelIds, startDate, endDate);
       const timeOffRequests = await this.getTimeOffRequests(agentIds, startDate, endDate);
+      const holidayDates = await HolidayService.getHolidayDates(startDate, endDate, channelIds);
+      const existingShifts = await this.getExistingShifts(
+        agents.map(agent => agent.id),
+        startDate,
+        endDate,
+        schedule.constraints
+      );
 
-      // Generate shifts for each day
-      const allShifts = [];
-      const currentDate = moment(startDate);
-      const endMoment = moment(endDate);
-
-      while (currentDate.isSameOrBefore(endMoment)) {
-        const dateString = currentDate.format('YYYY-MM-DD');
-        
-        const dailyShifts = await this.generateDailyShifts({
-          date: dateString,
-          agents,
-          forecasts: forecasts.filter(f => f.forecast_date === dateString),
-          timeOffRequests: timeOffRequests.filter(t => 
-            dateString >= t.start_date && dateString <= t.end_date
-          ),
-          schedule,
-          constraints: schedule.constraints,
-        });
-
-        allShifts.push(...dailyShifts);
-        currentDate.add(1, 'day');
+      // Assign agents to shifts across the whole period
+      const { shifts: allShifts, report } = this.solveSchedule({
+        startDate,
+        endDate,
+        agents,
+        forecasts,
+        timeOffRequests,
+        holidayDates,
+        existingShifts,
+        constraints: schedule.constraints,
+        staffingPercentile: schedule.optimization_preferences.staffing_percentile,
+      });
+      if (report.relaxedLimits.length) {
+        logger.warn(`Schedule ${schedule.id} relaxes ${report.relaxedLimits.length} agent limits to cover demand`);
       }
 
       // Optimize the complete schedule
@@ -76,17 +83,22 @@ class ScheduleOptimizer {
       }
 
       // Calculate schedule metrics
-      const metrics = await this.calculateScheduleMetrics(schedule, savedShifts);
+      const metrics = await this.calculateScheduleMetrics(schedule, savedShifts, forecasts);
       
+      const scored = report.agentPreferences.filter(agent => agent.shifts > 0);
       await schedule.update({
-        service_level_achieved: metrics.serviceLevel,
-        coverage_percentage: metrics.coverage,
-        total_labor_cost: metrics.totalCost,
+        ...this.getMetricFields(metrics),
+        // Mean preference satisfaction on the 1-5 scale
+        agent_satisfaction_score: scored.length
+          ? Number((1 + 4 * scored.reduce((sum, agent) => sum + agent.score, 0) / scored.length).toFixed(2))
+          : null,
+        solver_report: report,
         status: 'generated',
       });
 
-      logger.info(`Generated schedule with ${savedShifts.length} shifts`);
-      return { schedule, shifts: savedShifts, metrics };
+      logger.info(`Generated schedule with ${savedShifts.length} shifts (objective ${report.objective}, ` +
+        `${report.unmetAgentHours} agent-hours unmet, ${report.runtimeMs} ms)`);
+      return { schedule, shifts: savedShifts, metrics, solver: report };
 
     } catch (error) {
       logger.error('Error generating optimized schedule:', error);
@@ -95,172 +107,516 @@ class ScheduleOptimizer {
   }
 
   /**
-   * Generate shifts for a single day
+   * Assign agents to shifts over the whole period with the shift solver
+   * (see utils/shiftSolver). Every day is staffed to the agents required per
+   * interval at the staffing percentile. Candidate shifts start on the hour
+   * (half hour for sub-hourly forecasts) and last max_hours_per_day or a
+   * part-time block, with breaks and lunch placed as on saved shifts. Agents
+   * on approved time off, on a holiday they cannot work or with an existing
+   * shift that day are unavailable. Existing shifts around the period count
+   * towards max_consecutive_days, min_days_off_per_week, max_hours_per_week
+   * and min_time_between_shifts. Those limits are only broken when listed in
+   * relaxable_limits, and every one broken is in the report's relaxedLimits.
+   * Returns the shifts and the solver's report.
    */
-  async generateDailyShifts({ date, agents, forecasts, timeOffRequests, schedule, constraints }) {
-    const shifts = [];
-    const unavailableAgents = new Set(
-      timeOffRequests
-        .filter(t => t.status === 'approved')
-        .map(t => t.agent_id)
+  solveSchedule({
+    startDate,
+    endDate,
+    agents,
+    forecasts,
+    timeOffRequests = [],
+    holidayDates = new Set(),
+    existingShifts = [],
+    constraints,
+    staffingPercentile = 'point',
+    solverOptions = {},
+  }) {
+    const toMinutes = time => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+    const toTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    const round = value => Math.round(value * 100) / 100;
+
+    const dates = [];
+    for (const day = moment(startDate); day.isSameOrBefore(endDate, 'day'); day.add(1, 'day')) {
+      dates.push(day.format('YYYY-MM-DD'));
+    }
+
+    // Agents required per slot of the shortest forecast interval
+    const requirements = dates.map(date =>
+      this.calculateIntervalRequirements(forecasts.filter(f => f.forecast_date === date), staffingPercentile)
     );
+    const slotMinutes = Math.min(60, ...requirements.flatMap(r => Object.values(r).map(i => i.minutes)));
+    const days = dates.map((date, d) => {
+      const required = new Array(1440 / slotMinutes).fill(0);
+      for (const [start, interval] of Object.entries(requirements[d])) {
+        for (let minute = toMinutes(start); minute < toMinutes(start) + interval.minutes; minute += slotMinutes) {
+          const slot = Math.floor(minute / slotMinutes);
+          required[slot] = Math.max(required[slot], interval.totalAgents);
+        }
+      }
+      return { date, week: moment(date).format('GGGG-[W]WW'), required };
+    });
 
-    // Get available agents for this day
-    const availableAgents = agents.filter(agent => !unavailableAgents.has(agent.id));
-    
-    if (availableAgents.length === 0) {
-      logger.warn(`No available agents for ${date}`);
-      return shifts;
+    const patterns = this.generateShiftPatterns(days, slotMinutes, constraints);
+
+    // Shifts agents already have, by day relative to the start of the period
+    const booked = new Map();
+    for (const shift of existingShifts) {
+      const day = moment(shift.shift_date).diff(moment(startDate), 'days');
+      if (!booked.has(shift.agent_id)) booked.set(shift.agent_id, {});
+      booked.get(shift.agent_id)[day] = {
+        start: toMinutes(shift.start_time),
+        end: toMinutes(shift.end_time),
+        week: moment(shift.shift_date).format('GGGG-[W]WW'),
+      };
     }
 
-    // Group forecasts by channel and hour
-    const hourlyRequirements = this.calculateHourlyRequirements(forecasts);
-    
-    // Generate shift patterns based on requirements
-    const shiftPatterns = this.generateShiftPatterns(hourlyRequirements, constraints);
-    
-    // Assign agents to shifts
-    const assignments = this.assignAgentsToShifts(shiftPatterns, availableAgents, constraints);
+    const weights = { ...DEFAULT_WEIGHTS, ...(solverOptions.weights || {}) };
+    const rules = { ...this.getDefaultConstraints().agent_rules, ...(constraints.agent_rules || {}) };
+
+    const ordered = this.sortAgentsBySuitability([...agents]);
+    const solverAgents = ordered.map(agent => ({
+      available: dates.map(date =>
+        !timeOffRequests.some(t =>
+          t.agent_id === agent.id && t.status === 'approved' && date >= t.start_date && date <= t.end_date
+        ) && (!holidayDates.has(date) || agent.can_work_holidays)
+      ),
+      booked: booked.get(agent.id) || {},
+      ...this.getAgentTerms(agent, dates, patterns, constraints, rules, weights),
+    }));
+    const result = solveShifts({
+      days,
+      slotMinutes,
+      patterns,
+      agents: solverAgents,
+      constraints: {
+        maxConsecutiveDays: constraints.max_consecutive_days,
+        maxDaysPerWeek: 7 - (constraints.min_days_off_per_week || 0),
+        maxMinutesPerWeek: constraints.max_hours_per_week ? constraints.max_hours_per_week * 60 : null,
+        minRestMinutes: (constraints.min_time_between_shifts || 0) * 60,
+        relaxable: constraints.relaxable_limits || [],
+      },
+      weights,
+      timeLimitMs: solverOptions.timeLimitMs,
+      maxPasses: solverOptions.maxPasses,
+    });
 
-    // Create shift objects
-    for (const assignment of assignments) {
-      shifts.push({
-        agent_id: assignment.agentId,
-        shift_date: date,
-        start_time: assignment.startTime,
-        end_time: assignment.endTime,
-        primary_channel_id: assignment.primaryChannelId,
-        secondary_channels: assignment.secondaryChannels || [],
-        required_skills: assignment.requiredSkills || [],
-        expected_volume: assignment.expectedVolume || 0,
-        shift_type: assignment.shiftType || 'regular',
-        breaks: this.generateBreaks(assignment.startTime, assignment.endTime, constraints),
-        lunch_break: this.generateLunchBreak(assignment.startTime, assignment.endTime, constraints),
-      });
+    const shifts = result.assignments.map(({ agent: a, day: d, pattern: p }) => {
+      const agent = ordered[a];
+      const pattern = patterns[p];
+      return {
+        agent_id: agent.id,
+        shift_date: dates[d],
+        start_time: pattern.startTime,
+        end_time: pattern.endTime,
+        primary_channel_id: this.selectPrimaryChannel(agent, pattern),
+        secondary_channels: this.selectSecondaryChannels(agent, pattern) || [],
+        required_skills: this.getRequiredSkills(agent, pattern) || [],
+        expected_volume: this.calculateExpectedVolume(pattern) || 0,
+        shift_type: (pattern.end - pattern.start) / 60 > 8 ? 'overtime' : 'regular',
+        breaks: pattern.breaks,
+        lunch_break: pattern.lunchBreak,
+      };
+    });
+
+    const requiredMinutes = days.reduce((sum, day) => sum + day.required.reduce((total, r) => total + r, 0), 0) * slotMinutes;
+    const report = {
+      status: result.status,
+      objective: round(result.objective),
+      weights,
+      runtimeMs: result.runtimeMs,
+      passes: result.passes,
+      shifts: shifts.length,
+      scheduledHours: round(shifts.reduce((sum, s) => sum + this.calculateShiftHours(s.start_time, s.end_time), 0)),
+      requiredAgentHours: round(requiredMinutes / 60),
+      unmetAgentHours: round(result.underMinutes / 60),
+      excessAgentHours: round(result.overMinutes / 60),
+      unmetCoverage: result.unmet.map(slot => ({
+        date: dates[slot.day],
+        start: toTime(slot.slot * slotMinutes),
+        minutes: slotMinutes,
+        required: slot.required,
+        scheduled: round(slot.staffed),
+        shortfall: round(slot.shortfall),
+      })),
+      preferencePenalty: round(result.penalty),
+      agentPreferences: this.scoreAgentPreferences(ordered, shifts, constraints, rules),
+      // Hour and rest limits are in hours, like the constraints
+      relaxedLimits: result.relaxed.map(({ agent, day, week, limit, value, allowed }) => {
+        const inHours = [LIMITS.hoursPerWeek, LIMITS.rest].includes(limit);
+        return {
+          agent_id: ordered[agent].id,
+          ...(day !== undefined ? { date: dates[day] } : { week }),
+          limit,
+          value: inHours ? round(value / 60) : value,
+          allowed: inHours ? round(allowed / 60) : allowed,
+        };
+      }),
+    };
+
+    return { shifts, report };
+  }
+
+  /**
+   * An agent's contract limits and preferences as solver terms. Each rule in
+   * constraints.agent_rules is 'hard' (never broken), 'off' (ignored) or a
+   * number: the penalty per hour (per shift for weekends) of breaking it,
+   * where an agent-hour short costs 300 at the default weights.
+   *
+   * - max_hours_per_day: no shift longer than the agent's daily hours
+   * - employment_type: part-timers only work part-time blocks
+   * - can_work_weekends: no Saturday or Sunday shifts unless allowed
+   * - preferred_hours: shifts inside preferred_start_time-preferred_end_time
+   * - max_hours_per_week: the agent's weekly hours (within the schedule's)
+   *   are the limit; a number lets the agent go over at that penalty
+   * - overtime_eligible: only eligible agents work past their weekly hours
+   *   when relaxable_limits allows it; a number lets others at that penalty
+   */
+  getAgentTerms(agent, dates, patterns, constraints, rules, weights) {
+    const toMinutes = time => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+    const overlap = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+    const weightOf = rule => (rule === 'hard' ? Infinity : (Number.isFinite(Number(rule)) && rule !== null ? Number(rule) : 0));
+    const cost = (rule, amount) => (amount > 0 ? weightOf(rule) * amount : 0);
+
+    const dayHours = parseFloat(agent.max_hours_per_day) || null;
+    const partTime = agent.employment_type === 'part_time';
+    let windowStart = agent.preferred_start_time ? toMinutes(agent.preferred_start_time) : 0;
+    let windowEnd = agent.preferred_end_time ? toMinutes(agent.preferred_end_time) : 1440;
+    if (windowEnd <= windowStart) {
+      windowStart = 0;
+      windowEnd = 1440;
     }
+    const weekend = dates.map(date => [0, 6].includes(moment(date).day()));
+
+    const penalty = (d, p) => {
+      const { start, end } = patterns[p];
+      const hours = (end - start) / 60;
+      return cost(rules.max_hours_per_day, dayHours ? hours - dayHours : 0) +
+        cost(rules.employment_type, partTime ? hours - MIN_SHIFT_HOURS : 0) +
+        cost(rules.can_work_weekends, weekend[d] && !agent.can_work_weekends ? 1 : 0) +
+        cost(rules.preferred_hours, (end - start - overlap(start, end, windowStart, windowEnd)) / 60);
+    };
 
-    return shifts;
+    const scheduleMinutes = constraints.max_hours_per_week ? constraints.max_hours_per_week * 60 : Infinity;
+    const agentMinutes = rules.max_hours_per_week !== 'off' && parseFloat(agent.max_hours_per_week)
+      ? parseFloat(agent.max_hours_per_week) * 60
+      : Infinity;
+
+    // Who may go past their weekly hours, and at what penalty
+    const relaxable = new Set(constraints.relaxable_limits || []);
+    let relaxationWeight = weights.relaxation;
+    if (rules.max_hours_per_week !== 'hard' && rules.max_hours_per_week !== 'off') {
+      relaxable.add(LIMITS.hoursPerWeek);
+      relaxationWeight = weightOf(rules.max_hours_per_week);
+    } else if (relaxable.has(LIMITS.hoursPerWeek) && !agent.overtime_eligible && rules.overtime_eligible !== 'off') {
+      if (rules.overtime_eligible === 'hard') {
+        relaxable.delete(LIMITS.hoursPerWeek);
+      } else {
+        relaxationWeight = weightOf(rules.overtime_eligible);
+      }
+    }
+
+    return {
+      penalty,
+      maxMinutesPerWeek: Math.min(scheduleMinutes, agentMinutes),
+      relaxable: [...relaxable],
+      relaxationWeight,
+    };
   }
 
   /**
-   * Calculate hourly staffing requirements from forecasts
+   * How well each agent's shifts fit their contract and preferences, from 0
+   * to 1: the share of checks met, where a shift partly outside the preferred
+   * hours counts by the share inside them. Rules that are 'off' are not
+   * checked, and overtime is only a miss for agents not eligible for it.
    */
-  calculateHourlyRequirements(forecasts) {
+  scoreAgentPreferences(agents, shifts, constraints, rules) {
+    const toMinutes = time => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+    const overlap = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+    const round = (value, digits = 2) => Number(value.toFixed(digits));
+    const checked = rule => rule !== 'off';
+
+    return agents.map(agent => {
+      const own = shifts.filter(shift => shift.agent_id === agent.id);
+      const checks = [];
+      const violations = {
+        max_hours_per_day: 0,
+        employment_type: 0,
+        can_work_weekends: 0,
+        preferred_hours: 0,
+        max_hours_per_week: 0,
+      };
+
+      const windowStart = agent.preferred_start_time ? toMinutes(agent.preferred_start_time) : null;
+      const windowEnd = agent.preferred_end_time ? toMinutes(agent.preferred_end_time) : null;
+      const hasWindow = (windowStart !== null || windowEnd !== null) &&
+        (windowStart === null || windowEnd === null || windowEnd > windowStart);
+
+      const weeks = new Map();
+      for (const shift of own) {
+        const start = toMinutes(shift.start_time);
+        const end = toMinutes(shift.end_time);
+        const hours = (end - start) / 60;
+        const week = moment(shift.shift_date).format('GGGG-[W]WW');
+        weeks.set(week, (weeks.get(week) || 0) + hours);
+
+        if (checked(rules.preferred_hours) && hasWindow) {
+          const inside = overlap(start, end, windowStart ?? 0, windowEnd ?? 1440) / (end - start);
+          checks.push(inside);
+          violations.preferred_hours += (1 - inside) * hours;
+        }
+        if (checked(rules.can_work_weekends) && !agent.can_work_weekends) {
+          const weekend = [0, 6].includes(moment(shift.shift_date).day());
+          checks.push(weekend ? 0 : 1);
+          if (weekend) violations.can_work_weekends++;
+        }
+        if (checked(rules.max_hours_per_day) && parseFloat(agent.max_hours_per_day)) {
+          const met = hours <= parseFloat(agent.max_hours_per_day);
+          checks.push(met ? 1 : 0);
+          if (!met) violations.max_hours_per_day++;
+        }
+        if (checked(rules.employment_type) && agent.employment_type === 'part_time') {
+          const met = hours <= MIN_SHIFT_HOURS;
+          checks.push(met ? 1 : 0);
+          if (!met) violations.employment_type++;
+        }
+      }
+
+      // Weekly hours within this schedule against the agent's (and schedule's) limit
+      const weeklyLimit = Math.min(
+        constraints.max_hours_per_week || Infinity,
+        checked(rules.max_hours_per_week) ? parseFloat(agent.max_hours_per_week) || Infinity : Infinity
+      );
+      let overtimeHours = 0;
+      for (const hours of weeks.values()) {
+        const over = Math.max(0, hours - weeklyLimit);
+        overtimeHours += over;
+        const met = over === 0 || (agent.overtime_eligible && rules.overtime_eligible !== 'off');
+        checks.push(met ? 1 : 0);
+        if (!met) violations.max_hours_per_week++;
+      }
+
+      violations.preferred_hours = round(violations.preferred_hours);
+      return {
+        agent_id: agent.id,
+        score: checks.length ? round(checks.reduce((sum, c) => sum + c, 0) / checks.length, 3) : 1,
+        shifts: own.length,
+        hours: round(own.reduce((sum, s) => sum + this.calculateShiftHours(s.start_time, s.end_time), 0)),
+        overtimeHours: round(overtimeHours),
+        violations,
+      };
+    });
+  }
+
+  /**
+   * Candidate shifts for the solver: max_hours_per_day and part-time
+   * lengths, starting every hour (half hour for sub-hourly slots) from the
+   * first start that reaches any requirement to the last that does, within
+   * the day. Coverage is the share of each slot worked outside breaks.
+   */
+  generateShiftPatterns(days, slotMinutes, constraints) {
+    const toTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    const overlap = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+    const toMinutes = time => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+
+    const slots = days.flatMap(day => day.required.map((r, slot) => (r > 0 ? slot : null))).filter(s => s !== null);
+    if (!slots.length) return [];
+    const first = Math.min(...slots) * slotMinutes;
+    const last = (Math.max(...slots) + 1) * slotMinutes;
+
+    const maxHours = constraints.max_hours_per_day || 8;
+    const lengths = [...new Set([maxHours, Math.min(MIN_SHIFT_HOURS, maxHours)])].map(hours => hours * 60);
+    const step = slotMinutes < 60 ? 30 : 60;
+
+    const patterns = [];
+    for (const length of lengths) {
+      const earliest = Math.max(0, Math.ceil((first - length + 1) / step) * step);
+      // Shifts may end at midnight, written as 24:00 so end times stay after start times
+      for (let start = earliest; start < last && start + length <= 1440; start += step) {
+        const startTime = toTime(start);
+        const endTime = toTime(start + length);
+        const breaks = this.generateBreaks(startTime, endTime, constraints);
+        const lunchBreak = this.generateLunchBreak(startTime, endTime, constraints);
+        const away = [...breaks, lunchBreak].filter(Boolean).map(b => [toMinutes(b.start_time), toMinutes(b.end_time)]);
+
+        const coverage = days[0].required.map((_, slot) => {
+          const from = slot * slotMinutes;
+          const to = from + slotMinutes;
+          const worked = overlap(start, start + length, from, to) -
+            away.reduce((sum, [awayFrom, awayTo]) => sum + overlap(awayFrom, awayTo, from, to), 0);
+          return Math.max(0, worked) / slotMinutes;
+        });
+
+        patterns.push({ start, end: start + length, startTime, endTime, breaks, lunchBreak, coverage });
+      }
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Calculate staffing requirements per interval start (HH:mm) from forecasts.
+   * Where a channel's interval is split into skill forecasts, the skills are
+   * staffed instead of the channel total and listed under `skills`. Agents
+   * are taken at the staffing percentile ('point', 'p10', 'p50' or 'p90').
+   */
+  calculateIntervalRequirements(forecasts, staffingPercentile = 'point') {
     const requirements = {};
-    
+    const skillSplit = new Set(forecasts
+      .filter(f => f.skill_id)
+      .map(f => `${f.getIntervalStart()}|${f.channel_id}`));
+
     for (const forecast of forecasts) {
-      const hour = forecast.forecast_hour;
-      
-      if (!requirements[hour]) {
-        requirements[hour] = {
+      const start = forecast.getIntervalStart();
+
+      if (!requirements[start]) {
+        requirements[start] = {
+          hour: forecast.forecast_hour,
+          minutes: forecast.interval_minutes || 60,
           totalAgents: 0,
           channels: {},
+          skills: {},
           totalVolume: 0,
         };
       }
-      
-      requirements[hour].totalAgents += forecast.required_agents || 0;
-      requirements[hour].totalVolume += forecast.predicted_volume || 0;
-      requirements[hour].channels[forecast.channel_id] = {
-        agents: forecast.required_agents || 0,
-        volume: forecast.predicted_volume || 0,
-      };
+
+      const requirement = requirements[start];
+      const channel = requirement.channels[forecast.channel_id] ||
+        (requirement.channels[forecast.channel_id] = { agents: 0, volume: 0 });
+      const agents = forecast.getRequiredAgents(staffingPercentile);
+      const volume = forecast.predicted_volume || 0;
+      requirement.minutes = Math.min(requirement.minutes, forecast.interval_minutes || 60);
+
+      if (forecast.skill_id) {
+        const skill = requirement.skills[forecast.skill_id] ||
+          (requirement.skills[forecast.skill_id] = { agents: 0, volume: 0 });
+        skill.agents += agents;
+        skill.volume += volume;
+        requirement.totalAgents += agents;
+        channel.agents += agents;
+        continue;
+      }
+
+      // Skill volumes are part of the channel total, so only volume counts here
+      if (!skillSplit.has(`${start}|${forecast.channel_id}`)) {
+        requirement.totalAgents += agents;
+        channel.agents += agents;
+      }
+      requirement.totalVolume += volume;
+      channel.volume += volume;
     }
-    
+
     return requirements;
   }
 
   /**
-   * Generate shift patterns based on requirements
+   * Calculate hourly staffing requirements from forecasts. Sub-hourly
+   * intervals are aggregated: volumes add up and agents take the busiest interval.
    */
-  generateShiftPatterns(hourlyRequirements, constraints) {
-    const patterns = [];
-    const maxHoursPerDay = constraints.max_hours_per_day || 8;
-    const minShiftLength = 4; // minimum 4-hour shifts
-    
-    // Find peak hours
-    const peakHours = this.findPeakHours(hourlyRequirements);
-    
-    // Generate standard 8-hour shifts covering peak periods
-    const standardShifts = [
-      { start: '08:00', end: '16:00', type: 'morning' },
-      { start: '09:00', end: '17:00', type: 'day' },
-      { start: '10:00', end: '18:00', type: 'day' },
-      { start: '12:00', end: '20:00', type: 'afternoon' },
-      { start: '14:00', end: '22:00', type: 'evening' },
-    ];
-
-    // Add part-time shifts for coverage gaps
-    const partTimeShifts = [
-      { start: '08:00', end: '12:00', type: 'part_time' },
-      { start: '13:00', end: '17:00', type: 'part_time' },
-      { start: '18:00', end: '22:00', type: 'part_time' },
-    ];
-
-    // Combine and prioritize shifts
-    patterns.push(...standardShifts);
-    patterns.push(...partTimeShifts);
-
-    return patterns.map(pattern => ({
-      ...pattern,
-      priority: this.calculateShiftPriority(pattern, peakHours),
-    })).sort((a, b) => b.priority - a.priority);
+  calculateHourlyRequirements(forecasts, staffingPercentile = 'point') {
+    const requirements = {};
+    const intervals = this.calculateIntervalRequirements(forecasts, staffingPercentile);
+
+    for (const interval of Object.values(intervals)) {
+      const hour = interval.hour;
+
+      if (!requirements[hour]) {
+        requirements[hour] = {
+          totalAgents: 0,
+          channels: {},
+          skills: {},
+          totalVolume: 0,
+        };
+      }
+
+      requirements[hour].totalAgents = Math.max(requirements[hour].totalAgents, interval.totalAgents);
+      requirements[hour].totalVolume += interval.totalVolume;
+
+      for (const [channelId, channel] of Object.entries(interval.channels)) {
+        const hourly = requirements[hour].channels[channelId] || { agents: 0, volume: 0 };
+        requirements[hour].channels[channelId] = {
+          agents: Math.max(hourly.agents, channel.agents),
+          volume: hourly.volume + channel.volume,
+        };
+      }
+
+      for (const [skillId, skill] of Object.entries(interval.skills)) {
+        const hourly = requirements[hour].skills[skillId] || { agents: 0, volume: 0 };
+        requirements[hour].skills[skillId] = {
+          agents: Math.max(hourly.agents, skill.agents),
+          volume: hourly.volume + skill.volume,
+        };
+      }
+    }
+
+    return requirements;
   }
 
   /**
-   * Assign agents to shifts using optimization algorithm
+   * Compare agents on shift with required agents interval by interval.
+   * Agents on a break or lunch count for the part of the interval they work.
    */
-  assignAgentsToShifts(shiftPatterns, availableAgents, constraints) {
-    const assignments = [];
-    const agentWorkload = new Map();
-    
-    // Initialize agent workload tracking
-    availableAgents.forEach(agent => {
-      agentWorkload.set(agent.id, {
-        hoursAssigned: 0,
-        shiftsAssigned: 0,
-        lastShiftEnd: null,
-      });
-    });
+  calculateIntervalCoverage(shifts, forecasts, staffingPercentile = 'point') {
+    const toMinutes = time => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+    const overlap = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
 
-    // Sort agents by suitability (consider skills, preferences, performance)
-    const sortedAgents = this.sortAgentsBySuitability(availableAgents);
+    const intervals = [];
+    const dates = [...new Set(forecasts.map(f => f.forecast_date))];
 
-    // Assign shifts in priority order
-    for (const pattern of shiftPatterns) {
-      const suitableAgents = this.findSuitableAgents(
-        sortedAgents,
-        pattern,
-        agentWorkload,
-        constraints
+    for (const date of dates) {
+      const requirements = this.calculateIntervalRequirements(
+        forecasts.filter(f => f.forecast_date === date),
+        staffingPercentile
       );
-
-      if (suitableAgents.length > 0) {
-        const selectedAgent = suitableAgents[0];
-        const workload = agentWorkload.get(selectedAgent.id);
-        
-        // Calculate shift details
-        const shiftHours = this.calculateShiftHours(pattern.start, pattern.end);
-        
-        assignments.push({
-          agentId: selectedAgent.id,
-          startTime: pattern.start,
-          endTime: pattern.end,
-          shiftType: shiftHours > 8 ? 'overtime' : 'regular',
-          primaryChannelId: this.selectPrimaryChannel(selectedAgent, pattern),
-          secondaryChannels: this.selectSecondaryChannels(selectedAgent, pattern),
-          requiredSkills: this.getRequiredSkills(selectedAgent, pattern),
-          expectedVolume: this.calculateExpectedVolume(pattern),
+      const dayShifts = shifts.filter(shift => shift.shift_date === date);
+
+      for (const [start, requirement] of Object.entries(requirements)) {
+        const from = toMinutes(start);
+        const to = from + requirement.minutes;
+
+        const scheduled = dayShifts.reduce((sum, shift) => {
+          const worked = overlap(toMinutes(shift.start_time), toMinutes(shift.end_time), from, to);
+          if (!worked) return sum;
+
+          const away = [...(shift.breaks || []), shift.lunch_break]
+            .filter(Boolean)
+            .reduce((total, b) => total + overlap(toMinutes(b.start_time), toMinutes(b.end_time), from, to), 0);
+          return sum + Math.max(0, worked - away) / requirement.minutes;
+        }, 0);
+
+        intervals.push({
+          date,
+          start,
+          minutes: requirement.minutes,
+          required: requirement.totalAgents,
+          scheduled: Math.round(scheduled * 100) / 100,
+          gap: Math.round((scheduled - requirement.totalAgents) * 100) / 100,
         });
-
-        // Update agent workload
-        workload.hoursAssigned += shiftHours;
-        workload.shiftsAssigned += 1;
-        workload.lastShiftEnd = pattern.end;
       }
     }
 
-    return assignments;
+    const required = intervals.reduce((sum, i) => sum + i.required, 0);
+    const covered = intervals.reduce((sum, i) => sum + Math.min(i.scheduled, i.required), 0);
+
+    return {
+      coverage: required > 0 ? covered / required : 1,
+      understaffedIntervals: intervals.filter(i => i.gap < 0).length,
+      intervals,
+    };
   }
 
   /**
@@ -355,6 +711,16 @@ class ScheduleOptimizer {
       min_break_duration: 30,
       lunch_break_duration: 60,
       min_time_between_shifts: 8,
+      relaxable_limits: ['max_hours_per_week'], // broken only where that covers demand
+      // Per-agent contract limits and preferences: 'hard', 'off' or a penalty per hour
+      agent_rules: {
+        max_hours_per_day: 'hard',
+        max_hours_per_week: 'hard',
+        employment_type: 'hard',
+        can_work_weekends: 'hard',
+        overtime_eligible: 'hard',
+        preferred_hours: 60,
+      },
     };
   }
 
@@ -365,6 +731,7 @@ class ScheduleOptimizer {
       balance_workload: true,
       optimize_for_service_level: true,
       allow_split_shifts: false,
+      staffing_percentile: 'point', // or 'p10', 'p50', 'p90' to staff to a forecast risk level
     };
   }
 
@@ -380,6 +747,29 @@ class ScheduleOptimizer {
     return Agent.findAll({ where });
   }
 
+  /**
+   * Shifts the agents already have from a week before the period to a week
+   * after it (longer when max_consecutive_days needs it), so limits carry
+   * across weeks and schedules
+   */
+  async getExistingShifts(agentIds, startDate, endDate, constraints = {}) {
+    if (!agentIds.length) return [];
+    const padding = Math.max(7, (constraints.max_consecutive_days || 0) + 1);
+
+    return Shift.findAll({
+      where: {
+        agent_id: agentIds,
+        shift_date: {
+          [require('sequelize').Op.between]: [
+            moment(startDate).subtract(padding, 'days').format('YYYY-MM-DD'),
+            moment(endDate).add(padding, 'days').format('YYYY-MM-DD'),
+          ],
+        },
+        status: { [require('sequelize').Op.ne]: 'cancelled' },
+      },
+    });
+  }
+
   async getForecastData(channelIds, startDate, endDate) {
     const where = {
       forecast_date: {
@@ -425,25 +815,6 @@ class ScheduleOptimizer {
     return require('../models').TimeOff.findAll({ where });
   }
 
-  findPeakHours(hourlyRequirements) {
-    const hours = Object.keys(hourlyRequirements);
-    return hours
-      .sort((a, b) => hourlyRequirements[b].totalAgents - hourlyRequirements[a].totalAgents)
-      .slice(0, Math.ceil(hours.length * 0.3)); // Top 30% of hours
-  }
-
-  calculateShiftPriority(pattern, peakHours) {
-    const shiftStart = parseInt(pattern.start.split(':')[0]);
-    const shiftEnd = parseInt(pattern.end.split(':')[0]);
-    
-    // Calculate overlap with peak hours
-    const overlapHours = peakHours.filter(hour => 
-      parseInt(hour) >= shiftStart && parseInt(hour) < shiftEnd
-    ).length;
-    
-    return overlapHours;
-  }
-
   sortAgentsBySuitability(agents) {
     return agents.sort((a, b) => {
       // Sort by performance metrics, flexibility, etc.
@@ -461,40 +832,12 @@ class ScheduleOptimizer {
     });
   }
 
-  findSuitableAgents(agents, pattern, agentWorkload, constraints) {
-    return agents.filter(agent => {
-      const workload = agentWorkload.get(agent.id);
-      const shiftHours = this.calculateShiftHours(pattern.start, pattern.end);
-      
-      // Check hour constraints
-      if (workload.hoursAssigned + shiftHours > constraints.max_hours_per_week) {
-        return false;
-      }
-      
-      // Check time between shifts
-      if (workload.lastShiftEnd) {
-        const timeBetween = this.calculateTimeBetween(workload.lastShiftEnd, pattern.start);
-        if (timeBetween < constraints.min_time_between_shifts) {
-          return false;
-        }
-      }
-      
-      return true;
-    });
-  }
-
   calculateShiftHours(startTime, endTime) {
     const start = moment(`2000-01-01T${startTime}`);
     const end = moment(`2000-01-01T${endTime}`);
     return end.diff(start, 'hours', true);
   }
 
-  calculateTimeBetween(endTime, startTime) {
-    const end = moment(`2000-01-01T${endTime}`);
-    const start = moment(`2000-01-02T${startTime}`); // Next day
-    return start.diff(end, 'hours', true);
-  }
-
   selectPrimaryChannel(agent, pattern) {
     // Logic to select primary channel based on agent skills and pattern
     return null; // Placeholder
@@ -524,7 +867,8 @@ class ScheduleOptimizer {
       const breakDuration = constraints.min_break_duration || 15;
       const numBreaks = Math.floor(shiftHours / 4);
       
-      for (let i = 1; i <= numBreaks; i++) {
+      // Breaks fall inside the shift, never at its end
+      for (let i = 1; i <= numBreaks && i * 4 < shiftHours; i++) {
         const breakTime = moment(`2000-01-01T${startTime}`)
           .add(i * 4, 'hours')
           .format('HH:mm');
@@ -565,15 +909,191 @@ class ScheduleOptimizer {
     return null;
   }
 
-  async calculateScheduleMetrics(schedule, shifts) {
-    // Calculate various metrics for the schedule
-    const totalCost = shifts.reduce((sum, shift) => sum + (shift.total_cost || 0), 0);
-    
+  /**
+   * Coverage, cost and simulated queue performance of a schedule's shifts
+   * against the forecasts. Channels are loaded unless given.
+   */
+  async calculateScheduleMetrics(schedule, shifts, forecasts = [], channels = null) {
+    const totalCost = shifts.reduce((sum, shift) => sum + (parseFloat(shift.total_cost) || 0), 0);
+    const intervalCoverage = this.calculateIntervalCoverage(
+      shifts,
+      forecasts,
+      (schedule.optimization_preferences || {}).staffing_percentile
+    );
+    const simulation = await this.simulateServiceLevels(shifts, forecasts, channels);
+
+    // Simulated results are shown next to the coverage of the same interval
+    const simulated = new Map(simulation.intervals.map(i => [`${i.date}|${i.start}`, i]));
+    const intervals = intervalCoverage.intervals.map(interval => {
+      const result = simulated.get(`${interval.date}|${interval.start}`) || {};
+      return {
+        ...interval,
+        offered: result.offered ?? 0,
+        serviceLevel: result.serviceLevel ?? null,
+        averageSpeedOfAnswer: result.averageSpeedOfAnswer ?? null,
+        abandonmentRate: result.abandonmentRate ?? null,
+        occupancy: result.occupancy ?? null,
+        channels: result.channels || {},
+      };
+    });
+
     return {
-      serviceLevel: 0.85, // Placeholder
-      coverage: 0.90, // Placeholder
+      serviceLevel: simulation.serviceLevel,
+      averageSpeedOfAnswer: simulation.averageSpeedOfAnswer,
+      abandonmentRate: simulation.abandonmentRate,
+      occupancy: simulation.occupancy,
+      coverage: intervalCoverage.coverage,
+      understaffedIntervals: intervalCoverage.understaffedIntervals,
+      intervalCoverage: intervals,
       totalCost,
-      efficiency: 0.88, // Placeholder
+    };
+  }
+
+  /**
+   * Schedule columns holding the metrics
+   */
+  getMetricFields(metrics) {
+    const round = (value, digits) => (value == null ? null : Number(value.toFixed(digits)));
+    return {
+      service_level_achieved: round(metrics.serviceLevel, 4),
+      average_speed_of_answer: round(metrics.averageSpeedOfAnswer, 2),
+      abandonment_rate: round(metrics.abandonmentRate, 4),
+      occupancy: round(metrics.occupancy, 4),
+      coverage_percentage: round(metrics.coverage, 4),
+      total_labor_cost: round(metrics.totalCost, 2),
+      interval_metrics: metrics.intervalCoverage,
+    };
+  }
+
+  /**
+   * Re-evaluate a saved schedule against the current forecasts and store the
+   * results, e.g. after shifts were edited and before publishing
+   */
+  async evaluateSchedule(scheduleId) {
+    const schedule = await Schedule.findByPk(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    const shifts = await Shift.findAll({
+      where: {
+        schedule_id: schedule.id,
+        status: { [require('sequelize').Op.ne]: 'cancelled' },
+      },
+    });
+    const forecasts = await this.getForecastData(null, schedule.start_date, schedule.end_date);
+
+    const metrics = await this.calculateScheduleMetrics(schedule, shifts, forecasts);
+    await schedule.update(this.getMetricFields(metrics));
+
+    return { schedule, metrics };
+  }
+
+  /**
+   * Run the queue simulator day by day over the forecast channel volumes
+   * (skill splits are part of them) with the agents on shift. Agents are
+   * away during breaks and lunch, and only take the channels their shift is
+   * assigned to when it has a primary channel. Channels (e.g. with what-if
+   * parameters) are loaded unless given.
+   */
+  async simulateServiceLevels(shifts, forecasts, channels = null) {
+    const toMinutes = time => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+
+    const channelIds = [...new Set(forecasts.map(f => f.channel_id))];
+    if (!channels) {
+      channels = channelIds.length ? await Channel.findAll({ where: { id: channelIds } }) : [];
+    }
+    const parameters = new Map(channels.filter(channel => channelIds.includes(channel.id)).map(channel => {
+      const params = ForecastService.getStaffingParameters(channel);
+      const deferred = params.staffingModel === 'backlog';
+      return [channel.id, {
+        handleTimeSeconds: params.sessionHandleTimeSeconds,
+        concurrency: params.concurrency,
+        patienceSeconds: deferred ? null : params.patienceSeconds,
+        thresholdSeconds: deferred ? params.maxResponseTimeHours * 3600 : params.thresholdSeconds,
+        deferred,
+      }];
+    }));
+
+    const intervals = [];
+    const totals = { offered: 0, withinThreshold: 0, answered: 0, waitSeconds: 0, abandoned: 0, available: 0, busy: 0 };
+    const dates = [...new Set(forecasts.map(f => f.forecast_date))].sort();
+
+    for (const date of dates) {
+      const requirements = Object.entries(this.calculateIntervalRequirements(
+        forecasts.filter(f => f.forecast_date === date && parameters.has(f.channel_id))
+      )).sort(([a], [b]) => a.localeCompare(b));
+      if (!requirements.length) continue;
+
+      const streams = [...parameters.entries()].map(([channelId, params]) => ({
+        key: channelId,
+        ...params,
+        volumes: requirements.map(([, requirement]) => (requirement.channels[channelId] || {}).volume || 0),
+      }));
+
+      const agents = shifts
+        .filter(shift => shift.shift_date === date)
+        .map(shift => {
+          const away = [...(shift.breaks || []), shift.lunch_break]
+            .filter(Boolean)
+            .map(b => [toMinutes(b.start_time), toMinutes(b.end_time)])
+            .sort((a, b) => a[0] - b[0]);
+
+          const periods = [];
+          let from = toMinutes(shift.start_time);
+          for (const [start, end] of away) {
+            if (start > from) periods.push([from, start]);
+            from = Math.max(from, end);
+          }
+          periods.push([from, toMinutes(shift.end_time)]);
+
+          return {
+            periods,
+            streams: shift.primary_channel_id
+              ? [shift.primary_channel_id, ...(shift.secondary_channels || [])]
+              : null,
+          };
+        });
+
+      const results = simulateQueues({
+        intervals: requirements.map(([start, requirement]) => ({ from: toMinutes(start), minutes: requirement.minutes })),
+        streams,
+        agents,
+      });
+
+      results.forEach((result, i) => {
+        const offered = result.offered;
+        intervals.push({
+          date,
+          start: requirements[i][0],
+          agents: Math.round(result.agents * 100) / 100,
+          offered,
+          serviceLevel: result.serviceLevel,
+          averageSpeedOfAnswer: result.averageSpeedOfAnswer,
+          abandonmentRate: result.abandonmentRate,
+          occupancy: result.occupancy,
+          channels: result.streams,
+        });
+
+        totals.offered += offered;
+        totals.withinThreshold += (result.serviceLevel || 0) * offered;
+        totals.answered += result.answered;
+        totals.waitSeconds += (result.averageSpeedOfAnswer || 0) * result.answered;
+        totals.abandoned += result.abandoned;
+        totals.available += result.agents * result.minutes;
+        totals.busy += (result.occupancy || 0) * result.agents * result.minutes;
+      });
+    }
+
+    return {
+      serviceLevel: totals.offered > 0 ? totals.withinThreshold / totals.offered : null,
+      averageSpeedOfAnswer: totals.answered > 0 ? totals.waitSeconds / totals.answered : null,
+      abandonmentRate: totals.offered > 0 ? totals.abandoned / totals.offered : null,
+      occupancy: totals.available > 0 ? totals.busy / totals.available : null,
+      intervals,
     };
   }
 
@@ -0,0 +1,234 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { SpecialEvent, Channel, Forecast } = require('../models');
+const HolidayService = require('./HolidayService');
+const logger = require('../utils/logger');
+
+// Weeks of same-weekday history used as the baseline when measuring uplift
+const BASELINE_WEEKS = 4;
+
+// Completed events of the same type averaged into an uplift estimate
+const SIMILAR_EVENTS = 5;
+
+// Days after an event ends that evaluation waits for its actuals
+const EVALUATION_WINDOW_DAYS = 14;
+
+class SpecialEventService {
+  /**
+   * Events that cover a date and apply to a channel
+   */
+  async getEventsOn(date, channel = null) {
+    const day = moment(date).format('YYYY-MM-DD');
+    const events = await SpecialEvent.findAll({
+      where: {
+        status: { [Op.ne]: 'cancelled' },
+        start_date: { [Op.lte]: day },
+        end_date: { [Op.gte]: day },
+      },
+    });
+
+    return channel ? events.filter(event => event.appliesToChannel(channel.id)) : events;
+  }
+
+  /**
+   * Combined volume factor of the events in an hour (1.0 without events)
+   */
+  async getEventFactor(date, hour, channel = null) {
+    try {
+      const events = (await this.getEventsOn(date, channel))
+        .filter(event => event.getShapeWeight(hour) > 0);
+
+      return {
+        factor: events.reduce((factor, event) => factor * event.getVolumeFactor(hour), 1.0),
+        events: events.map(event => event.name),
+      };
+    } catch (error) {
+      logger.error('Error looking up special event factor:', error);
+      return { factor: 1.0, events: [] };
+    }
+  }
+
+  /**
+   * Uplift suggested by the measured uplift of recent completed events of
+   * the same type, preferring each event's figures for the given channels
+   */
+  async estimateUplift(eventType, channelIds = []) {
+    const similar = await SpecialEvent.findAll({
+      where: {
+        event_type: eventType,
+        status: 'completed',
+        actual_uplift: { [Op.not]: null },
+      },
+      order: [['end_date', 'DESC']],
+      limit: SIMILAR_EVENTS,
+    });
+
+    if (!similar.length) return null;
+
+    const uplifts = similar.map(event => {
+      const channelUplifts = event.channel_uplifts || {};
+      const matching = (channelIds || [])
+        .filter(id => channelUplifts[id] != null)
+        .map(id => parseFloat(channelUplifts[id]));
+      return matching.length
+        ? matching.reduce((sum, u) => sum + u, 0) / matching.length
+        : parseFloat(event.actual_uplift);
+    });
+
+    return {
+      uplift: Math.round((uplifts.reduce((sum, u) => sum + u, 0) / uplifts.length) * 10000) / 10000,
+      basedOn: similar.map(event => ({
+        id: event.id,
+        name: event.name,
+        expectedUplift: parseFloat(event.expected_uplift),
+        actualUplift: parseFloat(event.actual_uplift),
+      })),
+    };
+  }
+
+  /**
+   * Measure the uplift an event actually caused on each affected channel and
+   * record it next to the expected uplift. Without actuals to measure it the
+   * event stays planned so a later run can evaluate it, until it is more than
+   * EVALUATION_WINDOW_DAYS past.
+   */
+  async evaluateEvent(eventId) {
+    const event = await SpecialEvent.findByPk(eventId);
+    if (!event) {
+      throw new Error('Special event not found');
+    }
+
+    const channelWhere = { is_active: true };
+    if ((event.channel_ids || []).length) channelWhere.id = event.channel_ids;
+    const channels = await Channel.findAll({ where: channelWhere });
+
+    const channelUplifts = {};
+    for (const channel of channels) {
+      const uplift = await this.measureUplift(event, channel);
+      if (uplift !== null) channelUplifts[channel.id] = Math.round(uplift * 10000) / 10000;
+    }
+
+    const measured = Object.values(channelUplifts);
+    const actualUplift = measured.length
+      ? measured.reduce((sum, u) => sum + u, 0) / measured.length
+      : null;
+
+    const waiting = actualUplift === null &&
+      moment().diff(moment(event.end_date), 'days') <= EVALUATION_WINDOW_DAYS;
+
+    await event.update({
+      channel_uplifts: channelUplifts,
+      actual_uplift: actualUplift,
+      evaluated_at: new Date(),
+      status: waiting ? 'planned' : 'completed',
+    });
+
+    if (waiting) {
+      logger.info(`No actuals yet to evaluate special event ${event.name}; it will be retried`);
+    } else {
+      logger.info(`Evaluated special event ${event.name}: expected ${event.expected_uplift}, actual ${actualUplift}`);
+    }
+
+    return {
+      event,
+      expectedUplift: parseFloat(event.expected_uplift),
+      actualUplift,
+      error: actualUplift === null ? null : actualUplift - parseFloat(event.expected_uplift),
+    };
+  }
+
+  /**
+   * Evaluate every planned event that has finished (called by cron job)
+   */
+  async evaluateFinishedEvents() {
+    try {
+      const events = await SpecialEvent.findAll({
+        where: {
+          status: 'planned',
+          end_date: { [Op.lt]: moment().format('YYYY-MM-DD') },
+        },
+      });
+
+      for (const event of events) {
+        await this.evaluateEvent(event.id);
+      }
+
+      logger.info(`Evaluated ${events.length} finished special events`);
+    } catch (error) {
+      logger.error('Error evaluating finished special events:', error);
+    }
+  }
+
+  /**
+   * Extra volume during the event's shaped hours over the same weekday in
+   * previous weeks without holidays or other events, relative to the shaped
+   * baseline so it is comparable with expected_uplift. Null without enough actuals.
+   */
+  async measureUplift(event, channel) {
+    const start = moment(event.start_date);
+    const end = moment(event.end_date);
+    const historyStart = moment(start).subtract(BASELINE_WEEKS, 'weeks');
+
+    const excluded = await HolidayService.getHolidayDates(historyStart, end, [channel.id]);
+    const otherEvents = await SpecialEvent.findAll({
+      where: {
+        id: { [Op.ne]: event.id },
+        status: { [Op.ne]: 'cancelled' },
+        start_date: { [Op.lte]: end.format('YYYY-MM-DD') },
+        end_date: { [Op.gte]: historyStart.format('YYYY-MM-DD') },
+      },
+    });
+    for (const other of otherEvents.filter(e => e.appliesToChannel(channel.id))) {
+      for (const day = moment(other.start_date); day.isSameOrBefore(other.end_date); day.add(1, 'day')) {
+        excluded.add(day.format('YYYY-MM-DD'));
+      }
+    }
+
+    const rows = await Forecast.findAll({
+      where: {
+        channel_id: channel.id,
+        skill_id: null,
+        forecast_date: { [Op.between]: [historyStart.format('YYYY-MM-DD'), end.format('YYYY-MM-DD')] },
+        actual_volume: { [Op.not]: null },
+      },
+      attributes: ['forecast_date', 'forecast_hour', 'actual_volume'],
+    });
+
+    const volumes = new Map();
+    for (const row of rows) {
+      // Sub-hourly rows add up to their hour
+      const key = `${moment(row.forecast_date).format('YYYY-MM-DD')}|${row.forecast_hour}`;
+      volumes.set(key, (volumes.get(key) || 0) + Number(row.actual_volume));
+    }
+
+    let extraVolume = 0;
+    let shapedBaseline = 0;
+
+    for (const day = moment(start); day.isSameOrBefore(end); day.add(1, 'day')) {
+      const baselineDates = [];
+      for (let week = 1; week <= BASELINE_WEEKS; week++) {
+        const candidate = moment(day).subtract(week, 'weeks').format('YYYY-MM-DD');
+        if (!excluded.has(candidate)) baselineDates.push(candidate);
+      }
+
+      for (let hour = 0; hour < 24; hour++) {
+        const weight = event.getShapeWeight(hour);
+        const actual = volumes.get(`${day.format('YYYY-MM-DD')}|${hour}`);
+        if (weight <= 0 || actual === undefined) continue;
+
+        const baseline = baselineDates
+          .map(d => volumes.get(`${d}|${hour}`))
+          .filter(v => v !== undefined);
+        if (baseline.length < 2) continue;
+
+        const average = baseline.reduce((sum, v) => sum + v, 0) / baseline.length;
+        extraVolume += actual - average;
+        shapedBaseline += average * weight;
+      }
+    }
+
+    return shapedBaseline > 0 ? extraVolume / shapedBaseline : null;
+  }
+}
+
+module.exports = new SpecialEventService();
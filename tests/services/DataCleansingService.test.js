@@ -0,0 +1,47 @@
+jest.mock('../../models', () => ({}));
+
+const moment = require('moment-timezone');
+const DataCleansingService = require('../../services/DataCleansingService');
+
+const hours = [9, 10, 11];
+
+// Four weeks of flat hourly actuals with the given dates left unreported
+function history(missing) {
+  const actuals = [];
+  for (let d = 0; d < 28; d++) {
+    const date = moment('2026-02-02').add(d, 'days').format('YYYY-MM-DD');
+    if (missing.includes(date)) continue;
+    for (const hour of hours) {
+      actuals.push({ date, hour, volume: 30, intervals: [] });
+    }
+  }
+  return actuals;
+}
+
+const imputedOn = (cleaned, date) => cleaned.filter(r => r.imputed && r.date === date).map(r => r.hour);
+
+describe('DataCleansingService.cleanActuals', () => {
+  test('a day without any actuals is filled with the weekday median', () => {
+    const cleaned = DataCleansingService.cleanActuals(history(['2026-02-18']), [], hours);
+
+    expect(imputedOn(cleaned, '2026-02-18')).toEqual(hours);
+    expect(cleaned.find(r => r.date === '2026-02-18').volume).toBe(30);
+  });
+
+  test('holidays and days excluded as a whole are not filled', () => {
+    const flags = [{ flag_date: '2026-02-11', flag_hour: null, action: 'exclude' }];
+    const cleaned = DataCleansingService.cleanActuals(
+      history(['2026-02-16']), flags, hours, new Set(['2026-02-16'])
+    );
+
+    expect(imputedOn(cleaned, '2026-02-16')).toEqual([]);
+    expect(cleaned.filter(r => r.date === '2026-02-11')).toEqual([]);
+  });
+
+  test('days before the first or after the last reported day are not filled', () => {
+    const cleaned = DataCleansingService.cleanActuals(history(['2026-02-02', '2026-03-01']), [], hours);
+
+    expect(imputedOn(cleaned, '2026-02-02')).toEqual([]);
+    expect(imputedOn(cleaned, '2026-03-01')).toEqual([]);
+  });
+});
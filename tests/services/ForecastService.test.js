@@ -0,0 +1,57 @@
+jest.mock('../../models', () => ({}));
+
+const moment = require('moment-timezone');
+const ForecastService = require('../../services/ForecastService');
+
+// A round-the-clock channel with four weeks of flat hourly history
+const channel = {
+  id: 'channel-1',
+  timezone: 'America/New_York',
+  operating_hours_start: '00:00',
+  operating_hours_end: '00:00',
+  configuration: {},
+};
+
+function flatHistory(asOf, days) {
+  const actuals = [];
+  for (let d = days - 1; d >= 0; d--) {
+    const date = moment(asOf).subtract(d, 'days').format('YYYY-MM-DD');
+    for (let hour = 0; hour < 24; hour++) {
+      actuals.push({ date, hour, volume: 40 });
+    }
+  }
+  return actuals;
+}
+
+function neutralFactors(hours) {
+  return new Map(hours.map(hour => [hour, { specialEvent: 1, weather: 1, holidayFactor: 1 }]));
+}
+
+describe('ForecastService.predictDay on a DST day', () => {
+  const targetDate = '2026-03-08';
+  const asOf = '2026-03-07';
+
+  test('the hour skipped when clocks go forward is not an operating hour', () => {
+    const hours = ForecastService.getOperatingHours(channel, targetDate);
+    expect(hours).toHaveLength(23);
+    expect(hours).not.toContain(2);
+  });
+
+  test.each(['historical_average', 'seasonal_decomposition', 'holt_winters'])(
+    '%s predicts only the hours on the clock',
+    async method => {
+      const hours = ForecastService.getOperatingHours(channel, targetDate);
+      const predicted = await ForecastService.predictDay(method, {
+        channel,
+        actuals: flatHistory(asOf, 28),
+        targetDate,
+        asOf,
+        externalFactorsByHour: neutralFactors(hours),
+      });
+
+      expect(predicted).not.toBeNull();
+      expect([...predicted.keys()]).toEqual(hours);
+      expect(predicted.get(3).predictedVolume.volume).toBeGreaterThan(0);
+    }
+  );
+});
@@ -0,0 +1,56 @@
+const erlang = require('../../utils/erlang');
+
+// 100 calls an hour at 180 s handle time is 5 Erlangs, staffed to 80/20
+const inputs = { volume: 100, handleTimeSeconds: 180, thresholdSeconds: 20, targetServiceLevel: 0.8 };
+
+describe('Erlang B and C', () => {
+  test('match textbook values for one Erlang on two agents', () => {
+    expect(erlang.erlangB(2, 1)).toBeCloseTo(0.2, 10);
+    expect(erlang.erlangC(2, 1)).toBeCloseTo(1 / 3, 10);
+  });
+
+  test('traffic is volume times handle time over the interval', () => {
+    expect(erlang.trafficIntensity(100, 180)).toBe(5);
+    expect(erlang.trafficIntensity(100, 180, 1800)).toBe(10);
+    expect(erlang.trafficIntensity(0, 180)).toBe(0);
+  });
+});
+
+describe('erlang.requiredAgents', () => {
+  test('staffs 100 calls at 180 s to 80/20 with 8 agents', () => {
+    const result = erlang.requiredAgents(inputs);
+
+    expect(result.agents).toBe(8);
+    expect(result.traffic).toBe(5);
+    expect(result.serviceLevel).toBeCloseTo(0.88, 2);
+    expect(result.probabilityOfWaiting).toBeCloseTo(0.167, 3);
+    expect(result.averageSpeedOfAnswer).toBeCloseTo(10.0, 1);
+    expect(result.occupancy).toBeCloseTo(0.625, 10);
+  });
+
+  test('returns the smallest count meeting the target', () => {
+    expect(erlang.serviceLevel(7, 5, 180, 20)).toBeLessThan(0.8);
+  });
+
+  test('needs no agents without volume', () => {
+    expect(erlang.requiredAgents({ ...inputs, volume: 0 }).agents).toBe(0);
+  });
+});
+
+describe('erlang.erlangA', () => {
+  test('approaches Erlang C when callers never abandon', () => {
+    const withPatience = erlang.erlangA(8, 5, 180, 1e9, 20);
+
+    expect(withPatience.serviceLevel).toBeCloseTo(0.88, 2);
+    expect(withPatience.probabilityOfWaiting).toBeCloseTo(erlang.erlangC(8, 5), 6);
+    expect(withPatience.abandonmentRate).toBeCloseTo(0, 6);
+  });
+
+  test('needs fewer agents once impatient callers leave the queue', () => {
+    const result = erlang.requiredAgentsWithAbandonment({ ...inputs, patienceSeconds: 120 });
+
+    expect(result.agents).toBe(7);
+    expect(result.serviceLevel).toBeGreaterThanOrEqual(0.8);
+    expect(result.abandonmentRate).toBeGreaterThan(0);
+  });
+});
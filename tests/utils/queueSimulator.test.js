@@ -0,0 +1,52 @@
+const { simulateQueues } = require('../../utils/queueSimulator');
+const erlang = require('../../utils/erlang');
+
+// Eight hours of 100 calls an hour at 180 s, without abandonment
+const intervals = Array.from({ length: 8 }, (_, i) => ({ from: 9 * 60 + i * 60, minutes: 60 }));
+const streams = [{
+  key: 'voice',
+  volumes: intervals.map(() => 100),
+  handleTimeSeconds: 180,
+  concurrency: 1,
+  patienceSeconds: null,
+  thresholdSeconds: 20,
+}];
+
+function staff(count) {
+  return Array.from({ length: count }, () => ({ periods: [[8 * 60, 18 * 60]], streams: null }));
+}
+
+function dayServiceLevel(results) {
+  const offered = results.reduce((sum, r) => sum + r.offered, 0);
+  return results.reduce((sum, r) => sum + r.serviceLevel * r.offered, 0) / offered;
+}
+
+describe('simulateQueues', () => {
+  test('gives the same result for the same seed', () => {
+    const first = simulateQueues({ intervals, streams, agents: staff(8), seed: 42 });
+    const second = simulateQueues({ intervals, streams, agents: staff(8), seed: 42 });
+
+    expect(second).toEqual(first);
+  });
+
+  test('gives a different sample for another seed', () => {
+    const first = simulateQueues({ intervals, streams, agents: staff(8), seed: 42 });
+    const other = simulateQueues({ intervals, streams, agents: staff(8), seed: 43 });
+
+    expect(other.map(r => r.offered)).not.toEqual(first.map(r => r.offered));
+  });
+
+  test('agrees with Erlang C on a steady queue', () => {
+    const results = simulateQueues({ intervals, streams, agents: staff(8), replications: 20 });
+    const expected = erlang.serviceLevel(8, 5, 180, 20);
+
+    expect(results.every(r => r.agents === 8)).toBe(true);
+    expect(Math.abs(dayServiceLevel(results) - expected)).toBeLessThan(0.03);
+  });
+
+  test('answers nothing without agents', () => {
+    const results = simulateQueues({ intervals, streams, agents: [], replications: 1 });
+
+    expect(results.every(r => r.answered === 0 && r.occupancy === null)).toBe(true);
+  });
+});
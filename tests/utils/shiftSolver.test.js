@@ -0,0 +1,107 @@
+const { solveShifts, LIMITS } = require('../../utils/shiftSolver');
+
+const SLOT_MINUTES = 60;
+
+function pattern(start, end) {
+  const coverage = Array.from({ length: 24 }, (_, slot) => (slot * 60 >= start && slot * 60 < end ? 1 : 0));
+  return { start, end, coverage };
+}
+
+// An early and a late eight-hour shift; a late followed by an early leaves 8 h of rest
+const patterns = [pattern(6 * 60, 14 * 60), pattern(14 * 60, 22 * 60)];
+
+// Two weeks needing more agents than there are, so every limit is pushed against
+const days = Array.from({ length: 14 }, (_, d) => ({
+  required: Array.from({ length: 24 }, (_, slot) => (slot >= 6 && slot < 22 ? 4 : 0)),
+  week: Math.floor(d / 7),
+}));
+
+const constraints = {
+  maxConsecutiveDays: 4,
+  maxDaysPerWeek: 5,
+  maxMinutesPerWeek: 32 * 60,
+  minRestMinutes: 10 * 60,
+};
+
+function agents(count, extra = {}) {
+  return Array.from({ length: count }, () => ({ available: days.map(() => true), ...extra }));
+}
+
+function solve(options = {}) {
+  return solveShifts({ days, slotMinutes: SLOT_MINUTES, patterns, agents: agents(3), constraints, ...options });
+}
+
+function shiftsByAgent(result) {
+  const byAgent = new Map();
+  for (const { agent, day, pattern: p } of result.assignments) {
+    if (!byAgent.has(agent)) byAgent.set(agent, new Map());
+    byAgent.get(agent).set(day, patterns[p]);
+  }
+  return byAgent;
+}
+
+describe('solveShifts', () => {
+  test('keeps every agent within the scheduling limits', () => {
+    const result = solve();
+
+    expect(result.assignments.length).toBeGreaterThan(0);
+    expect(result.relaxed).toEqual([]);
+
+    for (const shifts of shiftsByAgent(result).values()) {
+      let run = 0;
+      for (let d = 0; d < days.length; d++) {
+        run = shifts.has(d) ? run + 1 : 0;
+        expect(run).toBeLessThanOrEqual(constraints.maxConsecutiveDays);
+
+        const previous = shifts.get(d - 1);
+        const next = shifts.get(d);
+        if (previous && next) {
+          expect(1440 - previous.end + next.start).toBeGreaterThanOrEqual(constraints.minRestMinutes);
+        }
+      }
+
+      for (const week of [0, 1]) {
+        const worked = [...shifts.entries()].filter(([d]) => days[d].week === week);
+        expect(worked.length).toBeLessThanOrEqual(constraints.maxDaysPerWeek);
+        expect(worked.reduce((sum, [, s]) => sum + s.end - s.start, 0))
+          .toBeLessThanOrEqual(constraints.maxMinutesPerWeek);
+      }
+    }
+  });
+
+  test('never assigns an agent on a day they are unavailable', () => {
+    const available = days.map((_, d) => d % 2 === 0);
+    const result = solve({ agents: agents(3, { available }) });
+
+    expect(result.assignments.length).toBeGreaterThan(0);
+    expect(result.assignments.every(({ day }) => available[day])).toBe(true);
+  });
+
+  test('counts shifts booked before the period towards the consecutive days', () => {
+    const booked = {};
+    for (let d = -4; d < 0; d++) booked[d] = { start: 6 * 60, end: 14 * 60, week: -1 };
+    const result = solve({ agents: agents(3, { booked }) });
+
+    expect(result.assignments.some(({ day }) => day === 0)).toBe(false);
+    expect(result.relaxed).toEqual([]);
+  });
+
+  test('reports every limit it relaxes', () => {
+    const result = solve({
+      constraints: { ...constraints, relaxable: [LIMITS.hoursPerWeek] },
+      weights: { under: 5, over: 1, relaxation: 0 },
+    });
+
+    expect(result.relaxed.length).toBeGreaterThan(0);
+    expect(result.relaxed.every(r => r.limit === LIMITS.hoursPerWeek)).toBe(true);
+    expect(result.relaxed.every(r => r.value > r.allowed)).toBe(true);
+  });
+
+  test('gives the same schedule for the same seed', () => {
+    const first = solve({ seed: 7 });
+    const second = solve({ seed: 7 });
+
+    expect(second.assignments).toEqual(first.assignments);
+    expect(second.objective).toBe(first.objective);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Staffing for deferred work (email, social media) that is answered within a
+ * response time target instead of in real time.
+ *
+ * Work is modelled as a fluid FIFO queue on a business-minute clock: anything
+ * left at close is picked up at the next opening, and every day is assumed to
+ * start with the carry-over of an identical previous day.
+ */
+
+const MAX_AGENTS = 10000;
+
+/**
+ * Simulate a day of backlog handling with a constant number of productive agents.
+ * Volumes are per interval; returns per-interval answered-in-time share and wait.
+ */
+function simulateBacklog({ volumes, handleTimeSeconds, agents, responseMinutes, intervalMinutes = 60 }) {
+  const dayMinutes = volumes.length * intervalMinutes;
+  const handleMinutes = handleTimeSeconds / 60;
+  const results = volumes.map(() => ({ answered: 0, withinTarget: 0, totalWait: 0 }));
+  const queue = [];
+
+  // Two passes over the same day: the first one builds the carry-over backlog,
+  // statistics are taken from the second one
+  for (let minute = 0; minute < dayMinutes * 2; minute++) {
+    const dayMinute = minute % dayMinutes;
+    const interval = Math.floor(dayMinute / intervalMinutes);
+    const count = volumes[interval] / intervalMinutes;
+
+    if (count > 0) {
+      queue.push({
+        arrival: minute,
+        interval,
+        measured: minute >= dayMinutes,
+        count,
+        work: count * handleMinutes,
+      });
+    }
+
+    let capacity = agents;
+    while (capacity > 0 && queue.length) {
+      const item = queue[0];
+      const done = Math.min(capacity, item.work);
+      const completedCount = item.count * (done / item.work);
+      const completion = minute + (agents - capacity + done) / agents;
+
+      record(results, item, completedCount, completion, responseMinutes);
+
+      capacity -= done;
+      item.work -= done;
+      item.count -= completedCount;
+      if (item.work <= 1e-9) queue.shift();
+    }
+  }
+
+  // Whatever is still queued is answered at the next opening, in order
+  let ahead = 0;
+  for (const item of queue) {
+    ahead += item.work;
+    const completion = dayMinutes * 2 + (agents > 0 ? ahead / agents : Infinity);
+    record(results, item, item.count, completion, responseMinutes);
+  }
+
+  return results.map((result, i) => ({
+    volume: volumes[i],
+    serviceLevel: result.answered > 0 ? result.withinTarget / result.answered : 1,
+    averageWaitSeconds: result.answered > 0 ? (result.totalWait / result.answered) * 60 : 0,
+  }));
+}
+
+function record(results, item, count, completion, responseMinutes) {
+  if (!item.measured || count <= 0) return;
+
+  const wait = completion - item.arrival;
+  const result = results[item.interval];
+  result.answered += count;
+  result.totalWait += wait * count;
+  if (wait <= responseMinutes) {
+    result.withinTarget += count;
+  }
+}
+
+/**
+ * Smallest constant number of productive agents that answers the target share
+ * of the day's work within the response time
+ */
+function requiredBacklogAgents({
+  volumes,
+  handleTimeSeconds,
+  responseMinutes,
+  targetServiceLevel,
+  intervalMinutes = 60,
+}) {
+  const dayMinutes = volumes.length * intervalMinutes;
+  const totalVolume = volumes.reduce((sum, v) => sum + (v || 0), 0);
+  const totalWork = (totalVolume * handleTimeSeconds) / 60;
+
+  const evaluate = agents => {
+    const intervals = simulateBacklog({ volumes, handleTimeSeconds, agents, responseMinutes, intervalMinutes });
+    const answeredInTime = intervals.reduce((sum, r) => sum + r.volume * r.serviceLevel, 0);
+    return {
+      agents,
+      intervals,
+      serviceLevel: totalVolume > 0 ? answeredInTime / totalVolume : 1,
+      occupancy: agents > 0 && dayMinutes > 0 ? Math.min(1, totalWork / (agents * dayMinutes)) : 0,
+    };
+  };
+
+  if (totalVolume <= 0 || dayMinutes === 0) {
+    return evaluate(0);
+  }
+
+  // The day's work has to fit into the day, so start from the average load
+  let agents = Math.max(1, Math.ceil(totalWork / dayMinutes));
+  let result = evaluate(agents);
+  while (result.serviceLevel < targetServiceLevel && agents < MAX_AGENTS) {
+    agents++;
+    result = evaluate(agents);
+  }
+
+  return result;
+}
+
+module.exports = {
+  simulateBacklog,
+  requiredBacklogAgents,
+};
@@ -0,0 +1,280 @@
+/**
+ * Queueing formulas used for staffing calculations.
+ *
+ * Traffic is expressed in Erlangs (arrivals per second * handle time in seconds).
+ * All times are in seconds.
+ */
+
+const MAX_AGENTS = 10000;
+
+/**
+ * Erlang B blocking probability, computed with the recursive form
+ * B(n) = A * B(n-1) / (n + A * B(n-1)) so it stays stable for large traffic.
+ */
+function erlangB(agents, traffic) {
+  if (traffic <= 0) return 0;
+
+  let blocking = 1;
+  for (let n = 1; n <= agents; n++) {
+    blocking = (traffic * blocking) / (n + traffic * blocking);
+  }
+  return blocking;
+}
+
+/**
+ * Erlang C probability that an arriving contact has to wait
+ */
+function erlangC(agents, traffic) {
+  if (traffic <= 0) return 0;
+  if (agents <= traffic) return 1;
+
+  const blocking = erlangB(agents, traffic);
+  return (agents * blocking) / (agents - traffic * (1 - blocking));
+}
+
+/**
+ * Fraction of contacts answered within the threshold
+ */
+function serviceLevel(agents, traffic, handleTimeSeconds, thresholdSeconds) {
+  if (traffic <= 0) return 1;
+  if (agents <= traffic) return 0;
+
+  const waitProbability = erlangC(agents, traffic);
+  const level = 1 - waitProbability * Math.exp(-(agents - traffic) * thresholdSeconds / handleTimeSeconds);
+  return Math.max(0, Math.min(1, level));
+}
+
+/**
+ * Average speed of answer in seconds
+ */
+function averageSpeedOfAnswer(agents, traffic, handleTimeSeconds) {
+  if (traffic <= 0) return 0;
+  if (agents <= traffic) return Infinity;
+
+  return (erlangC(agents, traffic) * handleTimeSeconds) / (agents - traffic);
+}
+
+/**
+ * Agent occupancy (share of logged-in time spent handling contacts)
+ */
+function occupancy(agents, traffic) {
+  if (agents <= 0) return traffic > 0 ? 1 : 0;
+  return Math.min(1, traffic / agents);
+}
+
+/**
+ * Traffic intensity in Erlangs for a volume arriving over an interval
+ */
+function trafficIntensity(volume, handleTimeSeconds, intervalSeconds = 3600) {
+  if (!volume || volume <= 0) return 0;
+  return (volume * handleTimeSeconds) / intervalSeconds;
+}
+
+/**
+ * Find the smallest number of agents meeting the service level target.
+ * Returns the agent count together with the queue statistics at that count.
+ */
+function requiredAgents({
+  volume,
+  handleTimeSeconds,
+  thresholdSeconds,
+  targetServiceLevel,
+  intervalSeconds = 3600,
+  maxOccupancy = 1,
+}) {
+  const traffic = trafficIntensity(volume, handleTimeSeconds, intervalSeconds);
+
+  if (traffic === 0) {
+    return describe(0, traffic, handleTimeSeconds, thresholdSeconds);
+  }
+
+  let agents = Math.max(1, Math.floor(traffic) + 1);
+  while (agents < MAX_AGENTS) {
+    const level = serviceLevel(agents, traffic, handleTimeSeconds, thresholdSeconds);
+    if (level >= targetServiceLevel && occupancy(agents, traffic) <= maxOccupancy) {
+      break;
+    }
+    agents++;
+  }
+
+  return describe(agents, traffic, handleTimeSeconds, thresholdSeconds);
+}
+
+/**
+ * Erlang A (M/M/n+M) queue statistics, where waiting contacts abandon after
+ * an exponentially distributed patience.
+ *
+ * The steady state is computed on the birth-death chain in log space and the
+ * waiting time distribution of a tagged arrival by uniformization, so both
+ * stay stable for large traffic.
+ */
+function erlangA(agents, traffic, handleTimeSeconds, patienceSeconds, thresholdSeconds) {
+  if (traffic <= 0) {
+    return {
+      agents,
+      traffic,
+      probabilityOfWaiting: 0,
+      serviceLevel: 1,
+      averageSpeedOfAnswer: 0,
+      abandonmentRate: 0,
+      occupancy: 0,
+    };
+  }
+
+  const serviceRate = 1 / handleTimeSeconds;
+  const abandonRate = 1 / patienceSeconds;
+  const arrivalRate = traffic * serviceRate;
+
+  // Unnormalized log state probabilities
+  const logTerms = [0];
+  for (let k = 1; k <= agents; k++) {
+    logTerms.push(logTerms[k - 1] + Math.log(traffic / k));
+  }
+  let peak = Math.max(...logTerms);
+  for (let k = agents + 1; k < agents + MAX_AGENTS; k++) {
+    const departureRate = agents * serviceRate + (k - agents) * abandonRate;
+    const term = logTerms[k - 1] + Math.log(arrivalRate / departureRate);
+    logTerms.push(term);
+    peak = Math.max(peak, term);
+    if (arrivalRate < departureRate && term < peak - 40) break;
+  }
+
+  const weights = logTerms.map(term => Math.exp(term - peak));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const probabilities = weights.map(w => w / total);
+
+  // Arrivals see the steady state (PASTA); queued[i] = P(i contacts ahead in queue)
+  const queued = probabilities.slice(agents);
+  const probabilityOfWaiting = queued.reduce((sum, p) => sum + p, 0);
+  const meanQueueLength = queued.reduce((sum, p, i) => sum + i * p, 0);
+
+  const abandonmentRate = Math.min(1, (abandonRate * meanQueueLength) / arrivalRate);
+  const averageWait = meanQueueLength / arrivalRate;
+
+  const answeredWithinThreshold = (1 - probabilityOfWaiting) +
+    queuedServedWithin(queued, agents * serviceRate, abandonRate, thresholdSeconds);
+
+  return {
+    agents,
+    traffic,
+    probabilityOfWaiting,
+    serviceLevel: Math.max(0, Math.min(1, answeredWithinThreshold)),
+    averageSpeedOfAnswer: averageWait,
+    abandonmentRate,
+    occupancy: agents > 0 ? Math.min(1, (traffic * (1 - abandonmentRate)) / agents) : 0,
+  };
+}
+
+/**
+ * Probability that a queued arrival reaches an agent within the threshold.
+ *
+ * The tagged contact moves from i contacts ahead to i - 1 at rate
+ * (agents * mu + i * theta), reaches an agent from 0 at rate agents * mu,
+ * and abandons at rate theta throughout.
+ */
+function queuedServedWithin(queued, serverRate, abandonRate, thresholdSeconds) {
+  if (!queued.length || thresholdSeconds <= 0 || serverRate <= 0) return 0;
+
+  const depth = queued.length;
+  const uniformRate = serverRate + depth * abandonRate;
+  const expected = uniformRate * thresholdSeconds;
+  const maxSteps = Math.ceil(expected + 10 * Math.sqrt(expected) + 20);
+
+  let state = queued.slice();
+  let served = 0;
+  let result = 0;
+  let logFactorial = 0;
+
+  for (let step = 0; step <= maxSteps; step++) {
+    if (step > 0) logFactorial += Math.log(step);
+    const poisson = Math.exp(-expected + step * Math.log(expected) - logFactorial);
+    result += poisson * served;
+
+    const next = new Array(depth).fill(0);
+    for (let i = 0; i < depth; i++) {
+      const mass = state[i];
+      if (!mass) continue;
+
+      const advanceRate = i === 0 ? serverRate : serverRate + i * abandonRate;
+      const advance = mass * (advanceRate / uniformRate);
+      const stay = mass * (1 - (advanceRate + abandonRate) / uniformRate);
+
+      if (i === 0) {
+        served += advance;
+      } else {
+        next[i - 1] += advance;
+      }
+      next[i] += stay;
+    }
+    state = next;
+  }
+
+  return result;
+}
+
+/**
+ * Find the smallest number of agents meeting the service level target when
+ * contacts abandon (Erlang A). Uses a bisection search because each
+ * evaluation is more expensive than Erlang C.
+ */
+function requiredAgentsWithAbandonment({
+  volume,
+  handleTimeSeconds,
+  thresholdSeconds,
+  targetServiceLevel,
+  patienceSeconds,
+  intervalSeconds = 3600,
+}) {
+  const traffic = trafficIntensity(volume, handleTimeSeconds, intervalSeconds);
+  const evaluate = agents => erlangA(agents, traffic, handleTimeSeconds, patienceSeconds, thresholdSeconds);
+
+  if (traffic === 0) {
+    return evaluate(0);
+  }
+
+  let low = 0;
+  let high = Math.max(1, Math.ceil(traffic));
+  while (high < MAX_AGENTS && evaluate(high).serviceLevel < targetServiceLevel) {
+    low = high;
+    high *= 2;
+  }
+
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (evaluate(mid).serviceLevel >= targetServiceLevel) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return evaluate(high);
+}
+
+/**
+ * Queue statistics for a given number of agents
+ */
+function describe(agents, traffic, handleTimeSeconds, thresholdSeconds) {
+  return {
+    agents,
+    traffic,
+    probabilityOfWaiting: erlangC(agents, traffic),
+    serviceLevel: serviceLevel(agents, traffic, handleTimeSeconds, thresholdSeconds),
+    averageSpeedOfAnswer: averageSpeedOfAnswer(agents, traffic, handleTimeSeconds),
+    abandonmentRate: 0,
+    occupancy: occupancy(agents, traffic),
+  };
+}
+
+module.exports = {
+  erlangB,
+  erlangC,
+  serviceLevel,
+  averageSpeedOfAnswer,
+  occupancy,
+  trafficIntensity,
+  requiredAgents,
+  erlangA,
+  requiredAgentsWithAbandonment,
+  describe,
+};
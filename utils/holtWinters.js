@@ -0,0 +1,128 @@
+/**
+ * Additive Holt-Winters (triple exponential smoothing).
+ *
+ * Volumes are modelled as level + trend + seasonal, which copes with the zero
+ * and near-zero intervals at the edges of the operating day better than the
+ * multiplicative form.
+ */
+
+const PARAMETER_GRID = {
+  alpha: [0.05, 0.1, 0.2, 0.3, 0.5],
+  beta: [0, 0.01, 0.05, 0.1],
+  gamma: [0.05, 0.1, 0.2, 0.3],
+};
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Initial level, trend and seasonal indices from the first full seasons
+ */
+function initialize(series, seasonLength) {
+  const seasons = Math.floor(series.length / seasonLength);
+  const seasonMeans = [];
+  for (let s = 0; s < seasons; s++) {
+    seasonMeans.push(mean(series.slice(s * seasonLength, (s + 1) * seasonLength)));
+  }
+
+  const level = seasonMeans[0];
+  const trend = seasons > 1 ? (seasonMeans[1] - seasonMeans[0]) / seasonLength : 0;
+
+  const seasonals = [];
+  for (let i = 0; i < seasonLength; i++) {
+    let total = 0;
+    for (let s = 0; s < seasons; s++) {
+      total += series[s * seasonLength + i] - seasonMeans[s];
+    }
+    seasonals.push(total / seasons);
+  }
+
+  return { level, trend, seasonals };
+}
+
+/**
+ * Run the smoothing recursions over the series with fixed parameters
+ */
+function fit(series, seasonLength, { alpha, beta, gamma }) {
+  let { level, trend, seasonals } = initialize(series, seasonLength);
+  seasonals = seasonals.slice();
+
+  const residuals = [];
+  for (let t = 0; t < series.length; t++) {
+    const seasonIndex = t % seasonLength;
+    const predicted = level + trend + seasonals[seasonIndex];
+    const value = series[t];
+    residuals.push(value - predicted);
+
+    const previousLevel = level;
+    level = alpha * (value - seasonals[seasonIndex]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals[seasonIndex] = gamma * (value - level) + (1 - gamma) * seasonals[seasonIndex];
+  }
+
+  // Skip the first season, where the model is still warming up
+  const scored = residuals.slice(seasonLength);
+  const sse = scored.reduce((sum, r) => sum + r * r, 0);
+
+  return {
+    alpha,
+    beta,
+    gamma,
+    seasonLength,
+    observations: series.length,
+    level,
+    trend,
+    seasonals,
+    sse,
+    residualStdDev: scored.length > 1 ? Math.sqrt(sse / (scored.length - 1)) : 0,
+  };
+}
+
+/**
+ * Fit the model choosing smoothing parameters by grid search on one-step errors
+ */
+function fitBest(series, seasonLength, grid = PARAMETER_GRID) {
+  if (series.length < seasonLength * 2) {
+    throw new Error(`Holt-Winters needs at least two seasons (${seasonLength * 2} observations)`);
+  }
+
+  let best = null;
+  for (const alpha of grid.alpha) {
+    for (const beta of grid.beta) {
+      for (const gamma of grid.gamma) {
+        const model = fit(series, seasonLength, { alpha, beta, gamma });
+        if (!best || model.sse < best.sse) {
+          best = model;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Point forecast and components `steps` periods after the last observation (steps >= 1)
+ */
+function forecast(model, steps) {
+  const seasonIndex = (model.observations + steps - 1) % model.seasonLength;
+  const trendComponent = model.trend * steps;
+  const seasonal = model.seasonals[seasonIndex];
+
+  // Error grows roughly with the number of seasons ahead
+  const seasonsAhead = Math.floor((steps - 1) / model.seasonLength);
+  const stdDev = model.residualStdDev * Math.sqrt(1 + seasonsAhead);
+
+  return {
+    value: Math.max(0, model.level + trendComponent + seasonal),
+    level: model.level,
+    trend: trendComponent,
+    seasonal,
+    stdDev,
+  };
+}
+
+module.exports = {
+  initialize,
+  fit,
+  fitBest,
+  forecast,
+};
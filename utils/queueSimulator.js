@@ -0,0 +1,313 @@
+/**
+ * Discrete-event simulation of a day of real-time queues served by a pool of
+ * scheduled agents.
+ *
+ * Contacts arrive as a Poisson process per interval, wait in a FIFO queue per
+ * stream, are handled for an exponentially distributed time and abandon after
+ * an exponentially distributed patience. Agents work the periods they are on
+ * shift and not on a break; one going off duty finishes the contacts in hand.
+ * A concurrent contact takes 1 / concurrency of an agent. Deferred work
+ * (email, social media) is only picked from the queue when no real-time
+ * contact the agent can take is waiting.
+ *
+ * Times are in seconds from the start of the day; intervals are in minutes of
+ * the day. Runs are seeded so the same inputs always give the same result.
+ */
+
+const DEFAULT_SEED = 20240101;
+const DEFAULT_REPLICATIONS = 5;
+const EPSILON = 1e-9;
+
+/**
+ * Small, fast seeded generator (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function exponential(random, mean) {
+  return -Math.log(1 - random()) * mean;
+}
+
+/**
+ * Binary min-heap of events ordered by time, then by insertion
+ */
+class EventQueue {
+  constructor() {
+    this.items = [];
+    this.sequence = 0;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(event) {
+    const item = { ...event, sequence: this.sequence++ };
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && before(items[left], items[smallest])) smallest = left;
+        if (right < items.length && before(items[right], items[smallest])) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+function before(a, b) {
+  return a.time < b.time || (a.time === b.time && a.sequence < b.sequence);
+}
+
+/**
+ * Simulate one day.
+ *
+ * intervals: [{ from, minutes }] reporting intervals (minutes of the day)
+ * streams: [{ key, volumes: [per interval], handleTimeSeconds, concurrency,
+ *             patienceSeconds, thresholdSeconds, deferred }]
+ * agents: [{ periods: [[fromMinute, toMinute], ...], streams: [keys] | null }]
+ *
+ * Statistics are attributed to the interval a contact arrived in (occupancy to
+ * the interval the work was done in) and averaged over the replications.
+ */
+function simulateQueues({
+  intervals,
+  streams,
+  agents,
+  seed = DEFAULT_SEED,
+  replications = DEFAULT_REPLICATIONS,
+}) {
+  const totals = intervals.map(() => streams.map(() => emptyStats()));
+  const capacity = intervals.map(() => ({ availableSeconds: 0, busySeconds: 0 }));
+
+  for (let run = 0; run < replications; run++) {
+    runDay({ intervals, streams, agents, random: createRandom(seed + run), totals, capacity });
+  }
+
+  return intervals.map((interval, i) => {
+    const byStream = {};
+    const combined = emptyStats();
+
+    streams.forEach((stream, s) => {
+      byStream[stream.key] = summarize(totals[i][s], replications);
+      for (const field of Object.keys(combined)) combined[field] += totals[i][s][field];
+    });
+
+    const { availableSeconds, busySeconds } = capacity[i];
+    return {
+      from: interval.from,
+      minutes: interval.minutes,
+      agents: availableSeconds / replications / (interval.minutes * 60),
+      ...summarize(combined, replications),
+      occupancy: availableSeconds > 0 ? Math.min(1, busySeconds / availableSeconds) : null,
+      streams: byStream,
+    };
+  });
+}
+
+function emptyStats() {
+  return { offered: 0, answered: 0, answeredWithinThreshold: 0, abandoned: 0, totalWaitSeconds: 0 };
+}
+
+/**
+ * Service level is the share of offered contacts answered within the
+ * threshold, so contacts that abandon or are still queued at the end count
+ * against it
+ */
+function summarize(stats, replications) {
+  return {
+    offered: stats.offered / replications,
+    answered: stats.answered / replications,
+    abandoned: stats.abandoned / replications,
+    serviceLevel: stats.offered > 0 ? stats.answeredWithinThreshold / stats.offered : null,
+    averageSpeedOfAnswer: stats.answered > 0 ? stats.totalWaitSeconds / stats.answered : null,
+    abandonmentRate: stats.offered > 0 ? stats.abandoned / stats.offered : null,
+  };
+}
+
+function runDay({ intervals, streams, agents, random, totals, capacity }) {
+  const events = new EventQueue();
+  const queues = streams.map(() => []);
+  const pool = agents.map(agent => ({
+    load: 0,
+    onDuty: false,
+    streams: agent.streams ? new Set(agent.streams) : null,
+  }));
+
+  // Arrivals
+  intervals.forEach((interval, i) => {
+    const start = interval.from * 60;
+    const end = start + interval.minutes * 60;
+
+    streams.forEach((stream, s) => {
+      const volume = stream.volumes[i] || 0;
+      if (volume <= 0) return;
+
+      const meanGap = (interval.minutes * 60) / volume;
+      for (let time = start + exponential(random, meanGap); time < end; time += exponential(random, meanGap)) {
+        events.push({ type: 'arrival', time, stream: s, interval: i });
+      }
+    });
+  });
+
+  // Agents coming on and going off duty
+  agents.forEach((agent, a) => {
+    for (const [from, to] of agent.periods) {
+      if (to <= from) continue;
+      events.push({ type: 'on', time: from * 60, agent: a });
+      events.push({ type: 'off', time: to * 60, agent: a });
+      recordAvailable(intervals, capacity, from * 60, to * 60);
+    }
+  });
+
+  const canTake = (agent, s) => agent.onDuty &&
+    (!agent.streams || agent.streams.has(streams[s].key)) &&
+    agent.load + 1 / streams[s].concurrency <= 1 + EPSILON;
+
+  const answer = (contact, agentIndex, time) => {
+    const stream = streams[contact.stream];
+    const stats = totals[contact.interval][contact.stream];
+    const wait = time - contact.arrival;
+    const share = 1 / stream.concurrency;
+    const duration = exponential(random, stream.handleTimeSeconds);
+
+    contact.answered = true;
+    stats.answered++;
+    stats.totalWaitSeconds += wait;
+    if (wait <= stream.thresholdSeconds + EPSILON) stats.answeredWithinThreshold++;
+
+    pool[agentIndex].load += share;
+    recordBusy(intervals, capacity, time, time + duration, share);
+    events.push({ type: 'completion', time: time + duration, agent: agentIndex, share });
+  };
+
+  // Oldest waiting contact the agent can take across streams, real-time first
+  const nextFor = agentIndex => {
+    let best = null;
+    queues.forEach((queue, s) => {
+      while (queue.length && (queue[0].answered || queue[0].abandoned)) queue.shift();
+      if (!queue.length || !canTake(pool[agentIndex], s)) return;
+
+      const candidate = queue[0];
+      const deferred = Boolean(streams[s].deferred);
+      const bestDeferred = best && Boolean(streams[best.stream].deferred);
+      if (!best || (bestDeferred && !deferred) ||
+        (bestDeferred === deferred && candidate.arrival < best.arrival)) {
+        best = candidate;
+      }
+    });
+    return best;
+  };
+
+  const pullWork = (agentIndex, time) => {
+    for (let contact = nextFor(agentIndex); contact; contact = nextFor(agentIndex)) {
+      answer(contact, agentIndex, time);
+    }
+  };
+
+  while (events.size) {
+    const event = events.pop();
+
+    switch (event.type) {
+      case 'arrival': {
+        const stream = streams[event.stream];
+        const contact = { arrival: event.time, stream: event.stream, interval: event.interval };
+        totals[event.interval][event.stream].offered++;
+
+        // Least loaded agent with room, otherwise queue
+        let chosen = -1;
+        pool.forEach((agent, a) => {
+          if (canTake(agent, event.stream) && (chosen === -1 || agent.load < pool[chosen].load)) chosen = a;
+        });
+
+        if (chosen !== -1) {
+          answer(contact, chosen, event.time);
+        } else {
+          queues[event.stream].push(contact);
+          if (stream.patienceSeconds) {
+            events.push({ type: 'abandon', time: event.time + exponential(random, stream.patienceSeconds), contact });
+          }
+        }
+        break;
+      }
+      case 'abandon': {
+        const { contact } = event;
+        if (!contact.answered && !contact.abandoned) {
+          contact.abandoned = true;
+          totals[contact.interval][contact.stream].abandoned++;
+        }
+        break;
+      }
+      case 'completion':
+        pool[event.agent].load = Math.max(0, pool[event.agent].load - event.share);
+        pullWork(event.agent, event.time);
+        break;
+      case 'on':
+        pool[event.agent].onDuty = true;
+        pullWork(event.agent, event.time);
+        break;
+      case 'off':
+        pool[event.agent].onDuty = false;
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+function recordAvailable(intervals, capacity, start, end) {
+  intervals.forEach((interval, i) => {
+    const seconds = overlapSeconds(interval, start, end);
+    if (seconds > 0) capacity[i].availableSeconds += seconds;
+  });
+}
+
+function recordBusy(intervals, capacity, start, end, share) {
+  intervals.forEach((interval, i) => {
+    const seconds = overlapSeconds(interval, start, end);
+    if (seconds > 0) capacity[i].busySeconds += seconds * share;
+  });
+}
+
+function overlapSeconds(interval, start, end) {
+  const from = interval.from * 60;
+  const to = from + interval.minutes * 60;
+  return Math.max(0, Math.min(end, to) - Math.max(start, from));
+}
+
+module.exports = {
+  simulateQueues,
+  createRandom,
+};
@@ -0,0 +1,91 @@
+/**
+ * Ridge regression for demand drivers.
+ *
+ * Columns are standardized before the penalty is applied so drivers on very
+ * different scales (invoices vs subscribers) are shrunk alike; coefficients
+ * are returned on the original scale. There is no intercept: callers center
+ * the response and the drivers.
+ */
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solve(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fit y ~ X with a ridge penalty. Rows of X are observations. Returns the
+ * coefficients, residual standard deviation and R², or null when the system
+ * cannot be solved. Drivers that never vary get a zero coefficient.
+ */
+function ridge(rows, y, penalty = 1) {
+  const n = rows.length;
+  const p = n ? rows[0].length : 0;
+  if (!n || !p) return null;
+
+  const scales = [];
+  for (let j = 0; j < p; j++) {
+    const column = rows.map(row => row[j]);
+    const sd = Math.sqrt(mean(column.map(v => v * v)));
+    scales.push(sd > 1e-12 ? sd : 0);
+  }
+  const active = scales.map((sd, j) => j).filter(j => scales[j] > 0);
+
+  const coefficients = new Array(p).fill(0);
+  if (active.length) {
+    const standardized = rows.map(row => active.map(j => row[j] / scales[j]));
+    const gram = active.map((_, a) => active.map((__, b) =>
+      standardized.reduce((sum, row) => sum + row[a] * row[b], 0) + (a === b ? penalty : 0)
+    ));
+    const moments = active.map((_, a) => standardized.reduce((sum, row, i) => sum + row[a] * y[i], 0));
+
+    const solution = solve(gram, moments);
+    if (!solution) return null;
+    active.forEach((j, a) => {
+      coefficients[j] = solution[a] / scales[j];
+    });
+  }
+
+  const residuals = rows.map((row, i) => y[i] - row.reduce((sum, value, j) => sum + value * coefficients[j], 0));
+  const sse = residuals.reduce((sum, r) => sum + r * r, 0);
+  const sst = y.reduce((sum, v) => sum + v * v, 0);
+  const degrees = Math.max(1, n - active.length);
+
+  return {
+    coefficients,
+    stdDev: Math.sqrt(sse / degrees),
+    rSquared: sst > 0 ? Math.max(0, 1 - sse / sst) : 0,
+    observations: n,
+  };
+}
+
+module.exports = {
+  ridge,
+  solve,
+};
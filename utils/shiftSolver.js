@@ -0,0 +1,409 @@
+/**
+ * Local-search solver assigning agents to shift patterns over a schedule
+ * period.
+ *
+ * Each day is a row of equal slots holding the agents required. A shift
+ * pattern covers every slot by the share of it the agent works (breaks and
+ * lunch taken out). Every agent works at most one pattern a day and the
+ * solver minimises
+ *
+ *   under * agent-minutes short of requirement + over * agent-minutes above it
+ *
+ * subject to each agent's availability and four limits: consecutive working
+ * days, working days per week, paid minutes per week and rest between the
+ * end of one shift and the start of the next. Shifts an agent already has
+ * around or inside the period (`booked`) count towards every limit, so
+ * state carries across weeks and schedules. A greedy construction fills the
+ * largest gaps first; local search then re-times, adds, drops and moves
+ * shifts until a full pass finds no improvement or the time limit is hit.
+ * Limits listed as relaxable may then be broken, at a penalty each, where
+ * that closes enough of the remaining gaps. Every limit the final schedule
+ * breaks is reported. Agents may add their own cost to working a pattern on
+ * a day (soft preferences; Infinity forbids it) and have their own weekly
+ * minutes, relaxable limits and relaxation penalty.
+ *
+ * Times are minutes of the day; days are consecutive calendar days. Moves
+ * are tried in a seeded order so the same inputs give the same schedule.
+ */
+
+const { createRandom } = require('./queueSimulator');
+
+const DEFAULT_WEIGHTS = { under: 5, over: 1, relaxation: 300 };
+const DEFAULT_TIME_LIMIT_MS = 5000;
+const DEFAULT_MAX_PASSES = 50;
+const DEFAULT_SEED = 20240101;
+const MINUTES_PER_DAY = 1440;
+const EPSILON = 1e-9;
+
+const LIMITS = {
+  consecutiveDays: 'max_consecutive_days',
+  daysPerWeek: 'min_days_off_per_week',
+  hoursPerWeek: 'max_hours_per_week',
+  rest: 'min_time_between_shifts',
+};
+
+/**
+ * Assign agents to patterns.
+ *
+ * - `days`: { required: [agents per slot], week }
+ * - `patterns`: { start, end, coverage: [share of each slot worked] }
+ * - `agents`: { available: [boolean per day], booked: { [day index]: { start, end, week } },
+ *   penalty(day, pattern), maxMinutesPerWeek, relaxable, relaxationWeight } where
+ *   booked day indexes may fall before (negative) or after the period and the
+ *   rest are optional overrides
+ * - `constraints`: { maxConsecutiveDays, maxDaysPerWeek, maxMinutesPerWeek,
+ *   minRestMinutes, relaxable: [limit names] }
+ *
+ * Returns the assignments (agent, day and pattern indexes), the objective,
+ * the unmet requirement per slot, the limits broken and the runtime.
+ */
+function solveShifts({
+  days,
+  slotMinutes,
+  patterns,
+  agents,
+  constraints = {},
+  weights = DEFAULT_WEIGHTS,
+  timeLimitMs = DEFAULT_TIME_LIMIT_MS,
+  maxPasses = DEFAULT_MAX_PASSES,
+  seed = DEFAULT_SEED,
+}) {
+  const startedAt = Date.now();
+  const random = createRandom(seed);
+  const dayCount = days.length;
+  const under = weights.under ?? DEFAULT_WEIGHTS.under;
+  const over = weights.over ?? DEFAULT_WEIGHTS.over;
+  const relaxationWeight = weights.relaxation ?? DEFAULT_WEIGHTS.relaxation;
+  const maxConsecutive = constraints.maxConsecutiveDays || Infinity;
+  const maxDaysPerWeek = constraints.maxDaysPerWeek ?? Infinity;
+  const maxMinutesPerWeek = constraints.maxMinutesPerWeek || Infinity;
+  const minRest = constraints.minRestMinutes || 0;
+  const relaxable = agents.map(agent => new Set(agent.relaxable || constraints.relaxable || []));
+  const relaxationWeights = agents.map(agent => agent.relaxationWeight ?? relaxationWeight);
+  const weeklyMinutes = agents.map(agent => agent.maxMinutesPerWeek || maxMinutesPerWeek);
+
+  // Each agent's own cost of working a pattern on a day
+  const penalties = agents.map(agent => days.map((_, d) => patterns.map((__, p) => (agent.penalty ? agent.penalty(d, p) : 0))));
+
+  // Only the slots a pattern touches matter when it is added or removed
+  const cover = patterns.map(pattern => pattern.coverage
+    .map((share, slot) => [slot, share])
+    .filter(([, share]) => share > EPSILON));
+
+  const staffed = days.map(day => new Float64Array(day.required.length));
+  const assigned = agents.map(() => new Int32Array(dayCount).fill(-1));
+  const booked = agents.map(agent => agent.booked || {});
+  const minutesWorked = new Float64Array(agents.length);
+  const patternMinutes = patterns.map(pattern => pattern.end - pattern.start);
+
+  // Days and minutes per agent and week, starting from the booked shifts
+  const weekDays = agents.map(() => new Map());
+  const weekMinutes = agents.map(() => new Map());
+  const addToWeek = (a, week, count, minutes) => {
+    weekDays[a].set(week, (weekDays[a].get(week) || 0) + count);
+    weekMinutes[a].set(week, (weekMinutes[a].get(week) || 0) + minutes);
+  };
+  booked.forEach((shifts, a) => {
+    for (const shift of Object.values(shifts)) addToWeek(a, shift.week, 1, shift.end - shift.start);
+  });
+
+  // The shift an agent works on a day, in or around the period
+  const shiftOn = (a, d) => {
+    if (d >= 0 && d < dayCount && assigned[a][d] !== -1) return patterns[assigned[a][d]];
+    return booked[a][d] || null;
+  };
+
+  const cost = (required, agentsOn) => (agentsOn < required
+    ? under * (required - agentsOn)
+    : over * (agentsOn - required));
+
+  // Change in objective from adding (+1) or removing (-1) a pattern on a day
+  const delta = (d, p, sign = 1) => {
+    const required = days[d].required;
+    let change = 0;
+    for (const [slot, share] of cover[p]) {
+      const current = staffed[d][slot];
+      change += cost(required[slot], current + sign * share) - cost(required[slot], current);
+    }
+    return change * slotMinutes;
+  };
+
+  const place = (a, d, p) => {
+    for (const [slot, share] of cover[p]) staffed[d][slot] += share;
+    assigned[a][d] = p;
+    addToWeek(a, days[d].week, 1, patternMinutes[p]);
+    minutesWorked[a] += patternMinutes[p];
+  };
+
+  const unplace = (a, d) => {
+    const p = assigned[a][d];
+    for (const [slot, share] of cover[p]) staffed[d][slot] -= share;
+    assigned[a][d] = -1;
+    addToWeek(a, days[d].week, -1, -patternMinutes[p]);
+    minutesWorked[a] -= patternMinutes[p];
+    return p;
+  };
+
+  // Limits broken if an agent who is off on day d worked pattern p; null
+  // when the agent cannot work that day at all
+  const limitsBroken = (a, d, p) => {
+    if (!agents[a].available[d] || assigned[a][d] !== -1 || booked[a][d] || penalties[a][d][p] === Infinity) return null;
+    const broken = [];
+
+    const week = days[d].week;
+    if ((weekDays[a].get(week) || 0) + 1 > maxDaysPerWeek) broken.push(LIMITS.daysPerWeek);
+    if ((weekMinutes[a].get(week) || 0) + patternMinutes[p] > weeklyMinutes[a]) broken.push(LIMITS.hoursPerWeek);
+
+    let run = 1;
+    for (let i = d - 1; shiftOn(a, i); i--) run++;
+    for (let i = d + 1; shiftOn(a, i); i++) run++;
+    if (run > maxConsecutive) broken.push(LIMITS.consecutiveDays);
+
+    const previous = shiftOn(a, d - 1);
+    const next = shiftOn(a, d + 1);
+    if ((previous && MINUTES_PER_DAY - previous.end + patterns[p].start < minRest) ||
+      (next && MINUTES_PER_DAY - patterns[p].end + next.start < minRest)) {
+      broken.push(LIMITS.rest);
+    }
+
+    return broken;
+  };
+
+  const canWork = (a, d, p) => {
+    const broken = limitsBroken(a, d, p);
+    return broken !== null && broken.length === 0;
+  };
+
+  // Cheapest pattern agent a may work on day d, as { pattern, change }
+  const bestPattern = (a, d) => {
+    let best = null;
+    for (let p = 0; p < patterns.length; p++) {
+      if (!canWork(a, d, p)) continue;
+      const change = delta(d, p) + penalties[a][d][p];
+      if (!best || change < best.change - EPSILON) best = { pattern: p, change };
+    }
+    return best;
+  };
+
+  // Greedy construction: staff the (day, pattern) that helps most with the
+  // agent able to work it at the least cost, then the least used one, until
+  // nothing helps
+  const gains = days.map((_, d) => patterns.map((__, p) => delta(d, p)));
+  const blocked = days.map(() => new Uint8Array(patterns.length));
+  for (;;) {
+    let best = null;
+    for (let d = 0; d < dayCount; d++) {
+      for (let p = 0; p < patterns.length; p++) {
+        if (blocked[d][p] || gains[d][p] >= -EPSILON) continue;
+        if (!best || gains[d][p] < best.change - EPSILON) best = { day: d, pattern: p, change: gains[d][p] };
+      }
+    }
+    if (!best) break;
+
+    let agent = -1;
+    for (let a = 0; a < agents.length; a++) {
+      if (!canWork(a, best.day, best.pattern)) continue;
+      const penalty = penalties[a][best.day][best.pattern];
+      if (best.change + penalty >= -EPSILON) continue;
+      const chosen = agent === -1 ? null : penalties[agent][best.day][best.pattern];
+      if (agent === -1 || penalty < chosen - EPSILON ||
+        (Math.abs(penalty - chosen) <= EPSILON && minutesWorked[a] < minutesWorked[agent] - EPSILON)) {
+        agent = a;
+      }
+    }
+    if (agent === -1) {
+      blocked[best.day][best.pattern] = 1;
+      continue;
+    }
+
+    place(agent, best.day, best.pattern);
+    gains[best.day] = patterns.map((_, p) => delta(best.day, p));
+  }
+
+  // Local search over every agent-day in a seeded order
+  const cells = [];
+  agents.forEach((_, a) => days.forEach((__, d) => cells.push([a, d])));
+  const shuffle = () => {
+    for (let i = cells.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [cells[i], cells[j]] = [cells[j], cells[i]];
+    }
+  };
+  const outOfTime = () => Date.now() - startedAt > timeLimitMs;
+
+  let passes = 0;
+  let status = 'converged';
+  let improved = true;
+  while (improved) {
+    if (passes >= maxPasses) {
+      status = 'pass_limit';
+      break;
+    }
+    passes++;
+    improved = false;
+    shuffle();
+
+    for (const [a, d] of cells) {
+      if (outOfTime()) {
+        status = 'time_limit';
+        improved = false;
+        break;
+      }
+
+      if (assigned[a][d] === -1) {
+        const add = agents[a].available[d] ? bestPattern(a, d) : null;
+        if (add && add.change < -EPSILON) {
+          place(a, d, add.pattern);
+          improved = true;
+        }
+        continue;
+      }
+
+      // Take the shift out, then look for a better place for it (or none)
+      const current = unplace(a, d);
+      const keep = delta(d, current) + penalties[a][d][current];
+      let move = { day: d, pattern: null, change: 0 };
+      for (let other = 0; other < dayCount; other++) {
+        const candidate = bestPattern(a, other);
+        if (candidate && candidate.change < move.change - EPSILON) {
+          move = { day: other, pattern: candidate.pattern, change: candidate.change };
+        }
+      }
+
+      if (move.change < keep - EPSILON) {
+        if (move.pattern !== null) place(a, move.day, move.pattern);
+        improved = true;
+      } else {
+        place(a, d, current);
+      }
+    }
+  }
+
+  // Break relaxable limits where the coverage gained outweighs the penalty
+  if (relaxable.some(limits => limits.size)) {
+    let added = true;
+    while (added && !outOfTime()) {
+      added = false;
+      shuffle();
+      for (const [a, d] of cells) {
+        if (assigned[a][d] !== -1) continue;
+
+        let best = null;
+        for (let p = 0; p < patterns.length; p++) {
+          const broken = limitsBroken(a, d, p);
+          if (!broken || !broken.length || broken.some(limit => !relaxable[a].has(limit))) continue;
+          const change = delta(d, p) + penalties[a][d][p] + relaxationWeights[a] * broken.length;
+          if (change < -EPSILON && (!best || change < best.change - EPSILON)) best = { pattern: p, change };
+        }
+        if (best) {
+          place(a, d, best.pattern);
+          added = true;
+        }
+      }
+    }
+  }
+
+  // Objective and unmet requirement of the final schedule
+  let underMinutes = 0;
+  let overMinutes = 0;
+  const unmet = [];
+  days.forEach((day, d) => {
+    day.required.forEach((required, slot) => {
+      const agentsOn = staffed[d][slot];
+      if (agentsOn < required - EPSILON) {
+        underMinutes += (required - agentsOn) * slotMinutes;
+        unmet.push({ day: d, slot, required, staffed: agentsOn, shortfall: required - agentsOn });
+      } else {
+        overMinutes += (agentsOn - required) * slotMinutes;
+      }
+    });
+  });
+
+  const assignments = [];
+  let penaltyTotal = 0;
+  agents.forEach((_, a) => days.forEach((__, d) => {
+    if (assigned[a][d] === -1) return;
+    assignments.push({ agent: a, day: d, pattern: assigned[a][d] });
+    penaltyTotal += penalties[a][d][assigned[a][d]];
+  }));
+
+  const relaxed = auditLimits({
+    days,
+    agents,
+    assigned,
+    shiftOn,
+    weekDays,
+    weekMinutes,
+    limits: { maxConsecutive, maxDaysPerWeek, weeklyMinutes, minRest },
+  });
+
+  return {
+    assignments,
+    objective: under * underMinutes + over * overMinutes + penaltyTotal +
+      relaxed.reduce((sum, r) => sum + relaxationWeights[r.agent], 0),
+    underMinutes,
+    overMinutes,
+    penalty: penaltyTotal,
+    unmet,
+    relaxed,
+    passes,
+    status,
+    runtimeMs: Date.now() - startedAt,
+  };
+}
+
+/**
+ * Every limit the schedule breaks where at least one of the shifts involved
+ * is in the period: runs of working days, working days and minutes per week
+ * and short rests between shifts
+ */
+function auditLimits({ days, agents, assigned, shiftOn, weekDays, weekMinutes, limits }) {
+  const { maxConsecutive, maxDaysPerWeek, weeklyMinutes, minRest } = limits;
+  const relaxed = [];
+
+  agents.forEach((_, a) => {
+    const worked = d => d >= 0 && d < days.length && assigned[a][d] !== -1;
+
+    // A run is reported once, on its last day in the period
+    for (let d = 0; d < days.length; d++) {
+      if (!worked(d) || (d + 1 < days.length && shiftOn(a, d + 1))) continue;
+      let start = d;
+      while (shiftOn(a, start - 1)) start--;
+      let end = d;
+      while (shiftOn(a, end + 1)) end++;
+      if (end - start + 1 > maxConsecutive) {
+        relaxed.push({ agent: a, day: d, limit: LIMITS.consecutiveDays, value: end - start + 1, allowed: maxConsecutive });
+      }
+    }
+
+    const weeks = [...new Set(days.filter((__, d) => worked(d)).map(day => day.week))];
+    for (const week of weeks) {
+      const count = weekDays[a].get(week) || 0;
+      if (count > maxDaysPerWeek) {
+        relaxed.push({ agent: a, week, limit: LIMITS.daysPerWeek, value: count, allowed: maxDaysPerWeek });
+      }
+      const minutes = weekMinutes[a].get(week) || 0;
+      if (minutes > weeklyMinutes[a]) {
+        relaxed.push({ agent: a, week, limit: LIMITS.hoursPerWeek, value: minutes, allowed: weeklyMinutes[a] });
+      }
+    }
+
+    for (let d = 0; d <= days.length; d++) {
+      const previous = shiftOn(a, d - 1);
+      const next = shiftOn(a, d);
+      if (!previous || !next || (!worked(d - 1) && !worked(d))) continue;
+      const rest = MINUTES_PER_DAY - previous.end + next.start;
+      if (rest < minRest) {
+        relaxed.push({ agent: a, day: worked(d) ? d : d - 1, limit: LIMITS.rest, value: rest, allowed: minRest });
+      }
+    }
+  });
+
+  return relaxed;
+}
+
+module.exports = {
+  solveShifts,
+  DEFAULT_WEIGHTS,
+  LIMITS,
+};